@@ -0,0 +1,150 @@
+import express from "express";
+import cors from "cors";
+import cookieParser from "cookie-parser";
+import { createAuth } from "./lib/auth.js";
+import { createLedger } from "./lib/ledger.js";
+import { createPayments } from "./lib/payments.js";
+import { createJudging } from "./lib/judging.js";
+import { createNotifications } from "./lib/notifications.js";
+import { createContestEvents } from "./lib/events.js";
+import { createAuditLog } from "./lib/audit.js";
+import { createArchive } from "./lib/archive.js";
+import { createRateLimiter, createMemoryRateLimitStore } from "./lib/rateLimit.js";
+import { createRankings } from "./lib/rankings.js";
+import { createProfiles } from "./lib/profiles.js";
+import { createPromos } from "./lib/promos.js";
+import { createSeats } from "./lib/seats.js";
+import { createTeams } from "./lib/teams.js";
+import { createAnalytics } from "./lib/analytics.js";
+import { createDiscussions } from "./lib/discussions.js";
+import { registerAuthRoutes } from "./routes/auth.js";
+import { registerUserRoutes } from "./routes/users.js";
+import { registerContestRoutes } from "./routes/contests.js";
+import { registerPaymentRoutes } from "./routes/payments.js";
+import { registerSubmissionRoutes } from "./routes/submissions.js";
+import { registerJudgingRoutes } from "./routes/judging.js";
+import { registerWinnerRoutes } from "./routes/winners.js";
+import { registerLedgerRoutes } from "./routes/ledger.js";
+import { registerNotificationRoutes } from "./routes/notifications.js";
+import { registerEventRoutes } from "./routes/events.js";
+import { registerAuditRoutes } from "./routes/audit.js";
+import { registerCreatorRoutes } from "./routes/creators.js";
+import { registerPromoRoutes } from "./routes/promos.js";
+import { registerTeamRoutes } from "./routes/teams.js";
+import { registerAnalyticsRoutes } from "./routes/analytics.js";
+import { registerExportRoutes } from "./routes/exports.js";
+import { registerDiscussionRoutes } from "./routes/discussions.js";
+
+// Builds the Express app around injected services:
+//   connect  async () => collections (see lib/db.js); called before each request
+//   stripe   a Stripe client (or anything with the same methods)
+//   storage  an attachment storage backend (see lib/storage.js)
+//   mailer   a mail transport (see lib/mailer.js)
+//   rateLimitStore  where rate limit counters live (see lib/rateLimit.js)
+export const createApp = ({ connect, stripe, storage, mailer, rateLimitStore = createMemoryRateLimitStore() }) => {
+    const app = express();
+
+    // Behind Vercel or another proxy the client IP is in X-Forwarded-For; rate
+    // limits need the real one. Number of proxy hops, or an Express trust setting.
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+    }
+
+    // Comma-separated allowlist, defaulting to the site itself
+    const allowedOrigins = (process.env.CORS_ORIGINS || process.env.SITE_DOMAIN_URL || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+    if (!allowedOrigins.length) {
+        console.warn("Neither CORS_ORIGINS nor SITE_DOMAIN_URL is set: allowing any origin without cookies, so browser clients can't refresh their session");
+    }
+
+    // Middleware
+    app.use(
+        cors({
+            // Refresh tokens travel in a cookie, which needs concrete origins rather than "*"
+            origin: allowedOrigins.length ? allowedOrigins : "*",
+            methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+            credentials: allowedOrigins.length > 0,
+        })
+    );
+    app.use(cookieParser());
+    app.use(express.json({
+        // Stripe signs the exact bytes it sent, so keep them around for the webhook
+        verify: (req, res, buf) => {
+            if (req.originalUrl.startsWith('/webhooks/stripe')) {
+                req.rawBody = buf;
+            }
+        }
+    }));
+
+    // Filled in by the first request; everything below holds on to this object
+    const db = {};
+
+    // Middleware to ensure DB connection before each request
+    const ensureDBConnection = async (req, res, next) => {
+        try {
+            Object.assign(db, await connect());
+            next();
+        } catch (error) {
+            console.error("Database connection error:", error);
+            res.status(500).json({ error: "Database connection failed" });
+        }
+    };
+
+    // Apply to all routes
+    app.use(ensureDBConnection);
+
+    const ledger = createLedger(db);
+    const notifications = createNotifications({ db, mailer });
+    const events = createContestEvents({ db });
+    const promos = createPromos(db);
+    const seats = createSeats({ db, notifications });
+    const payments = createPayments({ db, stripe, ledger, notifications, events, promos, seats });
+    const ctx = {
+        db,
+        stripe,
+        storage,
+        auth: createAuth(db),
+        ledger,
+        notifications,
+        events,
+        payments,
+        promos,
+        seats,
+        teams: createTeams(db),
+        judging: createJudging(db),
+        audit: createAuditLog(db),
+        archive: createArchive({ db, storage, payments }),
+        limits: createRateLimiter({ store: rateLimitStore }),
+        rankings: createRankings(db),
+        profiles: createProfiles(db),
+        analytics: createAnalytics(db),
+        discussions: createDiscussions(db)
+    };
+
+    app.get("/", (req, res) => {
+        res.send("Backend is running");
+    });
+
+    registerAuthRoutes(app, ctx);
+    registerUserRoutes(app, ctx);
+    registerContestRoutes(app, ctx);
+    registerPaymentRoutes(app, ctx);
+    registerSubmissionRoutes(app, ctx);
+    registerJudgingRoutes(app, ctx);
+    registerWinnerRoutes(app, ctx);
+    registerLedgerRoutes(app, ctx);
+    registerNotificationRoutes(app, ctx);
+    registerEventRoutes(app, ctx);
+    registerAuditRoutes(app, ctx);
+    registerCreatorRoutes(app, ctx);
+    registerPromoRoutes(app, ctx);
+    registerTeamRoutes(app, ctx);
+    registerAnalyticsRoutes(app, ctx);
+    registerExportRoutes(app, ctx);
+    registerDiscussionRoutes(app, ctx);
+
+    return app;
+};
@@ -0,0 +1,230 @@
+// =================================================
+// ANALYTICS
+// =================================================
+//
+// Reports are aggregated on read from the collections the app writes anyway,
+// plus two that exist for the funnel:
+//   contest_views_collections  { contestId, day, views }: one counter per
+//                              contest per UTC day, bumped on every detail view
+//   checkouts_collections      { contestId, email, sessionId, amount,
+//                              status: 'open' | 'paid' | 'expired', createdAt }
+// Every metric is bucketed by day or ISO week (Monday, UTC).
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY) * DAY);
+
+// Same bucket start as $dateTrunc with startOfWeek 'monday'
+const bucketStart = (date, interval) => {
+    const day = startOfDay(date);
+    if (interval === 'day') return day;
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+};
+
+const bucketKey = (field, interval) => ({ $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: 'monday' } });
+
+// Each source adds its metrics to the report, counted by its own date field
+const SOURCES = [
+    {
+        collection: 'contestViews',
+        dateField: 'day',
+        // Stored per day, so the day the range starts on counts whole
+        daily: true,
+        metrics: { views: { $sum: '$views' } }
+    },
+    {
+        collection: 'checkouts',
+        dateField: 'createdAt',
+        metrics: {
+            checkoutsStarted: { $sum: 1 },
+            checkoutsPaid: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] } }
+        }
+    },
+    {
+        collection: 'participated',
+        dateField: 'paymentTime',
+        filter: { paymentStatus: { $ne: 'refunded' } },
+        metrics: {
+            participants: { $sum: 1 },
+            revenue: { $sum: { $ifNull: ['$price', 0] } },
+            // A team enters once, however many members it has
+            soloEntries: { $sum: { $cond: [{ $ifNull: ['$teamId', false] }, 0, 1] } },
+            teamIds: { $addToSet: '$teamId' }
+        },
+        // Folds the entry counts of one group into `entries`
+        finish: ({ soloEntries, teamIds, ...metrics }) => ({
+            ...metrics,
+            entries: soloEntries + teamIds.filter(Boolean).length
+        })
+    },
+    {
+        collection: 'submissions',
+        dateField: 'submittedAt',
+        metrics: { submissions: { $sum: 1 } }
+    }
+];
+
+const emptyMetrics = () => ({
+    views: 0,
+    checkoutsStarted: 0,
+    checkoutsPaid: 0,
+    participants: 0,
+    entries: 0,
+    submissions: 0,
+    revenue: 0
+});
+
+const percent = (part, whole) => whole ? Math.round(part / whole * 1000) / 10 : null;
+
+// Adds the rates that only make sense on top of the counts
+const withRates = (metrics) => ({
+    ...metrics,
+    revenue: Math.round(metrics.revenue * 100) / 100,
+    checkoutConversion: percent(metrics.checkoutsPaid, metrics.checkoutsStarted),
+    // Teams hand in one submission for all their members
+    submissionRate: percent(metrics.submissions, metrics.entries)
+});
+
+// Turns { from, to, interval } query params into a bounded range. Returns { error } if it's unusable.
+export const resolveRange = ({ from, to, interval = 'day' }, now = new Date()) => {
+    const end = to || now;
+    const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY);
+    if (start >= end) {
+        return { error: '`from` must be before `to`' };
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY) {
+        return { error: `A report can cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    return { from: start, to: end, interval };
+};
+
+export const createAnalytics = (db) => {
+    const recordView = (contest) => db.contestViews.updateOne(
+        { contestId: contest._id.toString(), day: startOfDay(new Date()) },
+        { $inc: { views: 1 } },
+        { upsert: true }
+    );
+
+    const recordCheckout = (session, { contestId, email, amount, teamId }) => db.checkouts.insertOne({
+        contestId,
+        email,
+        ...(teamId && { teamId }),
+        sessionId: session.id,
+        amount,
+        status: 'open',
+        createdAt: new Date()
+    });
+
+    const closeCheckout = (session, status) => db.checkouts.updateOne(
+        { sessionId: session.id, status: 'open' },
+        { $set: { status, closedAt: new Date() } }
+    );
+
+    // Runs every source grouped by `groupBy(dateField)` and merges the rows by group
+    const collect = async (contestIds, range, groupBy) => {
+        const rows = new Map();
+        for (const source of SOURCES) {
+            const groups = await db[source.collection].aggregate([
+                {
+                    $match: {
+                        contestId: { $in: contestIds },
+                        [source.dateField]: { $gte: source.daily ? startOfDay(range.from) : range.from, $lt: range.to },
+                        ...source.filter
+                    }
+                },
+                { $group: { _id: groupBy(source.dateField), ...source.metrics } }
+            ]).toArray();
+            for (const { _id, ...metrics } of groups) {
+                const key = _id instanceof Date ? _id.toISOString() : String(_id);
+                rows.set(key, { ...(rows.get(key) || emptyMetrics()), ...(source.finish ? source.finish(metrics) : metrics) });
+            }
+        }
+        return rows;
+    };
+
+    const sumMetrics = (rows) => rows.reduce((total, row) => {
+        for (const name of Object.keys(total)) total[name] += row[name] || 0;
+        return total;
+    }, emptyMetrics());
+
+    // Where participants come from: the last part of their profile address,
+    // which is usually the country
+    const geography = async (contestIds, range) => {
+        const entries = await db.participated.find(
+            {
+                contestId: { $in: contestIds },
+                paymentTime: { $gte: range.from, $lt: range.to },
+                paymentStatus: { $ne: 'refunded' }
+            },
+            { projection: { participantEmail: 1 } }
+        ).toArray();
+        const regions = await db.users.aggregate([
+            { $match: { email: { $in: [...new Set(entries.map(entry => entry.participantEmail))] } } },
+            {
+                $project: {
+                    region: { $trim: { input: { $arrayElemAt: [{ $split: [{ $ifNull: ['$address', ''] }, ','] }, -1] } } }
+                }
+            },
+            { $group: { _id: { $cond: [{ $eq: ['$region', ''] }, 'Unknown', '$region'] }, participants: { $sum: 1 } } },
+            { $sort: { participants: -1, _id: 1 } }
+        ]).toArray();
+        return regions.map(({ _id, participants }) => ({ region: _id, participants }));
+    };
+
+    // Totals, a time series with every bucket in the range, and geography
+    const report = async (contestIds, range) => {
+        const rows = await collect(contestIds, range, field => bucketKey(field, range.interval));
+        const series = [];
+        const step = range.interval === 'week' ? 7 * DAY : DAY;
+        for (let bucket = bucketStart(range.from, range.interval); bucket < range.to; bucket = new Date(bucket.getTime() + step)) {
+            series.push({ period: bucket, ...withRates(rows.get(bucket.toISOString()) || emptyMetrics()) });
+        }
+        // Counted over the whole range rather than summed from the buckets, so
+        // a team whose members paid in different buckets still enters once
+        const [totals] = (await collect(contestIds, range, () => 'total')).values();
+        return {
+            range,
+            totals: withRates(totals || emptyMetrics()),
+            series,
+            geography: await geography(contestIds, range)
+        };
+    };
+
+    // The same metrics per contest, for a creator's contest table
+    const byContest = async (contests, range) => {
+        const rows = await collect(contests.map(contest => contest._id.toString()), range, () => '$contestId');
+        return contests.map(contest => ({
+            contestId: contest._id,
+            name: contest.name,
+            type: contest.type,
+            status: contest.status,
+            ...withRates(rows.get(contest._id.toString()) || emptyMetrics())
+        }));
+    };
+
+    // Every contest type side by side, with averages over the contests that
+    // saw any activity in the range
+    const byType = async (contests, range) => {
+        const active = (await byContest(contests, range))
+            .filter(row => row.views || row.checkoutsStarted || row.participants || row.submissions);
+        const types = new Map();
+        for (const row of active) {
+            const key = row.type || 'Other';
+            types.set(key, [...(types.get(key) || []), row]);
+        }
+        return [...types].map(([type, rows]) => {
+            const totals = withRates(sumMetrics(rows));
+            return {
+                type,
+                contests: rows.length,
+                ...totals,
+                averageParticipants: Math.round(totals.participants / rows.length * 10) / 10,
+                averageRevenue: Math.round(totals.revenue / rows.length * 100) / 100
+            };
+        }).sort((a, b) => b.revenue - a.revenue || a.type.localeCompare(b.type));
+    };
+
+    return { recordView, recordCheckout, closeCheckout, report, byContest, byType };
+};
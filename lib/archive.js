@@ -0,0 +1,234 @@
+import { ObjectId } from "mongodb";
+import { UNREFUNDED_PAYMENT } from "./payments.js";
+import { CONTEST_TRANSITIONS } from "./lifecycle.js";
+
+// =================================================
+// SOFT DELETE / RESTORE / PURGE
+// =================================================
+//
+// Deleting a contest or user only stamps deletedAt/deletedBy, so participations,
+// submissions and winner records keep pointing at a real document. Listings
+// skip deleted documents; admins can restore them or purge them for good.
+//
+// Users can also delete their own account, which anonymizes it instead: their
+// email becomes anonymousEmail() and their name ANONYMOUS_NAME wherever they
+// appear, so entries, results and payments still add up without naming them.
+// The ledger and the audit log are financial and legal records and keep the
+// original email.
+
+export const NOT_DELETED = { deletedAt: null };
+
+export const ANONYMOUS_NAME = 'Deleted User';
+
+// Unique per account and never deliverable
+export const anonymousEmail = (user) => `deleted-${user._id}@deleted.invalid`;
+
+// Contests that can still change: not Closed, Cancelled or Rejected
+const RUNNING_STATUSES = Object.keys(CONTEST_TRANSITIONS).filter(status => CONTEST_TRANSITIONS[status].length);
+
+// Filter for one of the DELETED_VIEWS (see lib/schemas.js)
+export const deletedFilter = (view = 'exclude') => {
+    if (view === 'include') return {};
+    if (view === 'only') return { deletedAt: { $ne: null } };
+    return NOT_DELETED;
+};
+
+export const createArchive = ({ db, storage, payments }) => {
+    const { adjustParticipantsCount } = payments;
+
+    // Both return the updated document, or null if it was already in that state
+    const softDelete = (collection, _id, email) => collection.findOneAndUpdate(
+        { _id, ...NOT_DELETED },
+        { $set: { deletedAt: new Date(), deletedBy: email } },
+        { returnDocument: 'after' }
+    );
+
+    const restore = (collection, _id) => collection.findOneAndUpdate(
+        { _id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: '', deletedBy: '' } },
+        { returnDocument: 'after' }
+    );
+
+    // Submissions go with their attachment files (of every version) and score sheets
+    const removeSubmissions = async (filter) => {
+        const submissions = await db.submissions.find(filter).toArray();
+        for (const submission of submissions) {
+            const versions = [submission, ...(submission.history || [])];
+            for (const attachment of versions.flatMap(version => version.attachments || [])) {
+                try {
+                    await storage.remove(attachment.key);
+                } catch (error) {
+                    console.error("Failed to remove attachment while purging:", error.message);
+                }
+            }
+        }
+        const ids = submissions.map(submission => submission._id.toString());
+        const scores = await db.scores.deleteMany({ submissionId: { $in: ids } });
+        const result = await db.submissions.deleteMany(filter);
+        return { submissions: result.deletedCount, scores: scores.deletedCount };
+    };
+
+    // Purging resolves to { blocked } while entry fees are still held, since
+    // dropping those participations would lose track of money owed back.
+    const purgeContest = async (contest) => {
+        const contestId = contest._id.toString();
+        const blocked = await db.participated.countDocuments({ contestId, ...UNREFUNDED_PAYMENT });
+        if (blocked) {
+            return { blocked };
+        }
+        const removed = await removeSubmissions({ contestId });
+        const participations = await db.participated.deleteMany({ contestId });
+        await db.seatHolds.deleteMany({ contestId });
+        await db.waitlist.deleteMany({ contestId });
+        await db.contestViews.deleteMany({ contestId });
+        await db.checkouts.deleteMany({ contestId });
+        await db.threads.deleteMany({ contestId });
+        await db.replies.deleteMany({ contestId });
+        await db.discussionReports.deleteMany({ contestId });
+        await db.announcements.deleteMany({ contestId });
+        await db.teams.deleteMany({ contestId });
+        // Global codes (contestId: null) stay; only this contest's uses of them go
+        await db.promoCodes.deleteMany({ contestId });
+        await db.promoRedemptions.deleteMany({ contestId });
+        await db.contests.deleteOne({ _id: contest._id });
+        return { participations: participations.deletedCount, ...removed };
+    };
+
+    const purgeUser = async (user) => {
+        const email = user.email;
+        const blocked = await db.participated.countDocuments({ participantEmail: email, ...UNREFUNDED_PAYMENT });
+        if (blocked) {
+            return { blocked };
+        }
+        const removed = await removeSubmissions({ participantEmail: email });
+        // Refunded entries were already taken off the contests' counters
+        const counted = await db.participated.find(
+            { participantEmail: email, paymentStatus: { $ne: 'refunded' } },
+            { projection: { contestId: 1 } }
+        ).toArray();
+        for (const participation of counted) {
+            await adjustParticipantsCount(participation.contestId, -1);
+        }
+        const participations = await db.participated.deleteMany({ participantEmail: email });
+        await db.notifications.deleteMany({ email });
+        await db.rankings.deleteMany({ email });
+        await db.refreshTokens.deleteMany({ email });
+        await db.follows.deleteMany({ $or: [{ followerEmail: email }, { creatorEmail: email }] });
+        await db.waitlist.deleteMany({ email });
+        await db.checkouts.deleteMany({ email });
+        // The user's questions go with their replies; their answers elsewhere come off the counts
+        const threadIds = (await db.threads.find({ authorEmail: email }, { projection: { _id: 1 } }).toArray())
+            .map(thread => thread._id.toString());
+        await db.replies.deleteMany({ threadId: { $in: threadIds } });
+        await db.threads.deleteMany({ authorEmail: email });
+        for (const reply of await db.replies.find({ authorEmail: email }, { projection: { threadId: 1 } }).toArray()) {
+            await db.threads.updateOne({ _id: new ObjectId(reply.threadId) }, { $inc: { repliesCount: -1 } });
+        }
+        await db.replies.deleteMany({ authorEmail: email });
+        await db.discussionReports.deleteMany({ email });
+        await db.users.deleteOne({ _id: user._id });
+        return { participations: participations.deletedCount, ...removed };
+    };
+
+    // Contests the user still takes part in (entry, team, held seat, waitlist)
+    // or runs; an account can't be anonymized out from under them
+    const runningContests = async (email) => {
+        const involved = await Promise.all([
+            db.participated.find({ participantEmail: email, paymentStatus: { $ne: 'refunded' } }, { projection: { contestId: 1 } }).toArray(),
+            db.teams.find({ memberEmails: email }, { projection: { contestId: 1 } }).toArray(),
+            db.seatHolds.find({ email }, { projection: { contestId: 1 } }).toArray(),
+            db.waitlist.find({ email }, { projection: { contestId: 1 } }).toArray()
+        ]);
+        const contestIds = [...new Set(involved.flat().map(doc => doc.contestId))];
+        return db.contests.countDocuments({
+            $or: [
+                { _id: { $in: contestIds.map(id => new ObjectId(id)) } },
+                { creatorEmail: email }
+            ],
+            status: { $in: RUNNING_STATUSES },
+            ...NOT_DELETED
+        });
+    };
+
+    // Resolves to { running } while the user is in contests that aren't over
+    const anonymizeUser = async (user) => {
+        const running = await runningContests(user.email);
+        if (running) {
+            return { running };
+        }
+        const email = user.email;
+        const alias = anonymousEmail(user);
+        const swap = (value) => value === email ? alias : value;
+
+        // Entries, submissions and results keep their numbers under the alias
+        await db.participated.updateMany({ participantEmail: email }, { $set: { participantEmail: alias } });
+        await db.participated.updateMany({ paidBy: email }, { $set: { paidBy: alias } });
+        await db.submissions.updateMany({ participantEmail: email }, { $set: { participantEmail: alias, participantName: ANONYMOUS_NAME } });
+        for (const submission of await db.submissions.find({ memberEmails: email }).toArray()) {
+            await db.submissions.updateOne({ _id: submission._id }, { $set: { memberEmails: submission.memberEmails.map(swap) } });
+        }
+        for (const team of await db.teams.find({ memberEmails: email }).toArray()) {
+            await db.teams.updateOne(
+                { _id: team._id },
+                { $set: { captainEmail: swap(team.captainEmail), memberEmails: team.memberEmails.map(swap) } }
+            );
+        }
+        await db.teams.updateMany({ 'invites.email': email }, { $pull: { invites: { email } } });
+        await db.scores.updateMany({ judgeEmail: email }, { $set: { judgeEmail: alias } });
+        await db.rankings.updateMany({ email }, { $set: { email: alias, hidden: true } });
+        await db.checkouts.updateMany({ email }, { $set: { email: alias } });
+        await db.promoRedemptions.updateMany({ email }, { $set: { email: alias } });
+        await db.threads.updateMany({ authorEmail: email }, { $set: { authorEmail: alias, authorName: ANONYMOUS_NAME } });
+        await db.replies.updateMany({ authorEmail: email }, { $set: { authorEmail: alias, authorName: ANONYMOUS_NAME } });
+        await db.discussionReports.updateMany({ email }, { $set: { email: alias } });
+        await db.announcements.updateMany({ creatorEmail: email }, { $set: { creatorEmail: alias } });
+
+        await db.contests.updateMany({ creatorEmail: email }, { $set: { creatorEmail: alias, creatorName: ANONYMOUS_NAME } });
+        const anonymizePlacement = (placement) => ({
+            ...placement,
+            ...(placement.email === email && { email: alias, name: placement.teamName || ANONYMOUS_NAME, photo: '' }),
+            ...(placement.memberEmails && { memberEmails: placement.memberEmails.map(swap) })
+        });
+        const contests = await db.contests.find({
+            $or: [{ 'placements.email': email }, { 'placements.memberEmails': email }, { 'winner.email': email }, { judges: email }]
+        }).toArray();
+        for (const contest of contests) {
+            await db.contests.updateOne({ _id: contest._id }, {
+                $set: {
+                    ...(contest.placements && { placements: contest.placements.map(anonymizePlacement) }),
+                    ...(contest.winner && { winner: anonymizePlacement(contest.winner) }),
+                    ...(contest.judges && { judges: contest.judges.map(swap) })
+                }
+            });
+        }
+
+        // What only mattered to the user goes
+        await db.notifications.deleteMany({ email });
+        await db.refreshTokens.deleteMany({ email });
+        await db.follows.deleteMany({ $or: [{ followerEmail: email }, { creatorEmail: email }] });
+        await db.seatHolds.deleteMany({ email });
+        await db.waitlist.deleteMany({ email });
+
+        const anonymizedAt = new Date();
+        await db.users.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    email: alias,
+                    name: ANONYMOUS_NAME,
+                    photo: '',
+                    bio: '',
+                    address: '',
+                    anonymizedAt,
+                    deletedAt: user.deletedAt || anonymizedAt,
+                    deletedBy: user.deletedBy || alias
+                },
+                $unset: { slug: '', notificationPreferences: '' },
+                $inc: { tokenVersion: 1 }
+            }
+        );
+        return { email: alias, anonymizedAt };
+    };
+
+    return { softDelete, restore, purgeContest, purgeUser, anonymizeUser };
+};
@@ -0,0 +1,47 @@
+// =================================================
+// AUDIT LOG
+// =================================================
+//
+// Append-only record of privileged mutations. Entries are only ever inserted;
+// there is deliberately no route that updates or deletes them.
+
+const comparable = (value) => JSON.stringify(value ?? null);
+
+// { field: { from, to } } for every top-level field that differs
+export const diffDocuments = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.delete('_id');
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (comparable(from) !== comparable(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+export const createAuditLog = (db) => {
+    // `before`/`after` are the target's state around the change (null when it
+    // didn't exist before or is gone after); only the difference is stored.
+    const recordAudit = async (req, { action, targetType, targetId, before, after, reason }) => {
+        await db.auditLog.insertOne({
+            actorEmail: req.decoded.email,
+            action,
+            targetType,
+            targetId: targetId?.toString(),
+            changes: diffDocuments(before, after),
+            reason: reason || null,
+            request: {
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip,
+                userAgent: req.get('user-agent') || null
+            },
+            createdAt: new Date()
+        });
+    };
+
+    return { recordAudit };
+};
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// =================================================
+// AUTH HELPERS
+// =================================================
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const REFRESH_COOKIE = 'refreshToken';
+
+export const refreshCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Strict',
+    path: '/'
+};
+
+// Firebase ID tokens are RS256 JWTs signed by Google. The signing certificates
+// (kid -> PEM) come from FIREBASE_PUBLIC_KEYS so verification needs no network.
+export const verifyFirebaseIdToken = (idToken) => {
+    const firebasePublicKeys = JSON.parse(process.env.FIREBASE_PUBLIC_KEYS || '{}');
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+
+    const kid = jwt.decode(idToken, { complete: true })?.header?.kid;
+    const key = firebasePublicKeys[kid];
+    if (!key) {
+        throw new Error('Unknown signing key');
+    }
+
+    const payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: projectId,
+        issuer: `https://securetoken.google.com/${projectId}`
+    });
+    if (!payload.sub || !payload.email) {
+        throw new Error('ID token has no subject or email');
+    }
+    return payload;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Checks `Authorization: Bearer <CRON_SECRET>` in constant time. Without a
+// configured secret no request passes.
+export const isCronRequest = (authorization) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        console.error("CRON_SECRET is not set; refusing cron requests");
+        return false;
+    }
+    const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+    const actual = crypto.createHash('sha256').update(String(authorization || '')).digest();
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+export const signAccessToken = (email, tokenVersion = 0) =>
+    jwt.sign({ email, tokenVersion }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// The parts that need the database. `db` is the shared collections object,
+// filled in once the connection is up.
+export const createAuth = (db) => {
+    // ---- JWT middleware
+
+    // Access tokens carry the user's tokenVersion; bumping it on the user document
+    // (e.g. on a role change) invalidates every token issued before.
+    const verifyToken = (req, res, next) => {
+        let token = req.headers.authorization;
+        if (token && token.startsWith('Bearer ')) {
+            token = token.split(' ')[1];
+        } else {
+            token = req.cookies.token;
+        }
+
+        if (!token) {
+            return res.status(401).send({ message: 'Unauthorized access' });
+        }
+
+        jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, async (err, decoded) => {
+            if (err) {
+                console.error("JWT verification failed:", err);
+                return res.status(401).send({ message: 'Unauthorized access' });
+            }
+            try {
+                // A deleted account, or one anonymized under another email, has no live user
+                const user = await db.users.findOne({ email: decoded.email }, { projection: { tokenVersion: 1, deletedAt: 1 } });
+                if (!user || user.deletedAt) {
+                    return res.status(401).send({ message: 'Unauthorized access' });
+                }
+                if ((user.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+                    return res.status(401).send({ message: 'Token has been revoked' });
+                }
+            } catch (error) {
+                console.error("Token version check failed:", error);
+                return res.status(500).send({ message: 'Failed to verify token' });
+            }
+            req.decoded = decoded;
+            next();
+        });
+    };
+
+    // Stores only a hash of the refresh token so a database leak can't be replayed.
+    const issueRefreshToken = async (res, email) => {
+        const token = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+        await db.refreshTokens.insertOne({
+            tokenHash: hashToken(token),
+            email,
+            createdAt: new Date(),
+            expiresAt
+        });
+        res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions, expires: expiresAt });
+        return token;
+    };
+
+    const revokeRefreshTokens = (email) =>
+        db.refreshTokens.updateMany(
+            { email, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date() } }
+        );
+
+    // ---- Role verification middleware
+
+    const isAdmin = async (email) => {
+        const user = await db.users.findOne({ email }, { projection: { role: 1 } });
+        return user?.role === 'Admin';
+    };
+
+    const verifyAdmin = async (req, res, next) => {
+        if (!(await isAdmin(req.decoded.email))) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        next();
+    }
+
+    const verifyCreator = async (req, res, next) => {
+        const email = req.decoded.email;
+        const user = await db.users.findOne({ email });
+        if (user?.role !== 'Contest Creator') {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        next();
+    }
+
+    const verifySelfOrAdmin = async (req, res, next) => {
+        if (req.params.email !== req.decoded.email && !(await isAdmin(req.decoded.email))) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        next();
+    };
+
+    return { verifyToken, issueRefreshToken, revokeRefreshTokens, isAdmin, verifyAdmin, verifyCreator, verifySelfOrAdmin };
+};
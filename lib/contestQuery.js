@@ -0,0 +1,90 @@
+import { validate, contestQuerySchema } from "./schemas.js";
+import { toDateExpr } from "./lifecycle.js";
+import { deletedFilter } from "./archive.js";
+import { sendPage } from "./pagination.js";
+
+// =================================================
+// CONTEST QUERIES
+// =================================================
+
+const CONTEST_SORT_ORDERS = {
+    relevance: { score: { $meta: 'textScore' } },
+    newest: { _id: -1 },
+    ending: { deadline: 1 },
+    prize: { prizeMoney: -1 },
+    popular: { participantsCount: -1 }
+};
+
+const range = (min, max) => {
+    const condition = {};
+    if (min !== undefined) condition.$gte = min;
+    if (max !== undefined) condition.$lte = max;
+    return condition;
+};
+
+// Shared query language of the contest listings. Returns the `find` filter,
+// sort and projection on top of the route's own `baseFilter`.
+export const buildContestQuery = (params, baseFilter, defaultSort) => {
+    // Soft-deleted contests only appear in the admin view, and only when asked for
+    const filter = { ...deletedFilter(baseFilter.status === undefined ? params.deleted : undefined), ...baseFilter };
+
+    if (params.search) {
+        filter.$text = { $search: params.search };
+    }
+    if (params.type && params.type !== 'All') {
+        filter.type = params.type;
+    }
+    // Only listings without a fixed status (the admin view) may filter on it
+    if (params.status && baseFilter.status === undefined) {
+        filter.status = params.status;
+    }
+    if (params.tags) {
+        filter.tags = { $in: params.tags.split(',').map(tag => tag.trim()).filter(Boolean) };
+    }
+    if (params.minFee !== undefined || params.maxFee !== undefined) {
+        filter.entryFee = range(params.minFee, params.maxFee);
+    }
+    if (params.minPrize !== undefined || params.maxPrize !== undefined) {
+        filter.prizeMoney = range(params.minPrize, params.maxPrize);
+    }
+    // Older contests store deadlines as strings, so compare converted values
+    const deadlineChecks = [];
+    if (params.deadlineFrom) deadlineChecks.push({ $gte: [toDateExpr('$deadline'), params.deadlineFrom] });
+    if (params.deadlineTo) deadlineChecks.push({ $lte: [toDateExpr('$deadline'), params.deadlineTo] });
+    if (deadlineChecks.length) {
+        filter.$expr = { $and: deadlineChecks };
+    }
+
+    // Relevance only makes sense with a search term
+    let sortKey = params.sort || (params.search ? 'relevance' : defaultSort);
+    if (sortKey === 'relevance' && !params.search) {
+        sortKey = defaultSort;
+    }
+    const sort = { ...CONTEST_SORT_ORDERS[sortKey], _id: CONTEST_SORT_ORDERS[sortKey]._id || 1 };
+    const projection = params.search ? { score: { $meta: 'textScore' } } : undefined;
+    return { filter, sort, projection, sortKey };
+};
+
+// Validates the query string and answers one page of a contest listing
+export const sendContestPage = async (req, res, contests, { baseFilter, defaultSort, defaultLimit }) => {
+    const raw = { ...req.query };
+    if (Array.isArray(raw.tags)) raw.tags = raw.tags.join(',');
+    const { value: params, errors } = validate(contestQuerySchema, raw);
+    if (errors.length) {
+        return res.status(400).send({ message: 'Validation failed', errors });
+    }
+
+    const { filter, sort, projection, sortKey } = buildContestQuery(params, baseFilter, defaultSort);
+    if (sortKey === 'relevance' && (params.cursor !== undefined || params.paging === 'cursor')) {
+        return res.status(400).send({ message: 'Cursor paging is not available for relevance sorting' });
+    }
+
+    await sendPage(req, res, contests, {
+        filter,
+        sort,
+        projection,
+        params: { ...params, limit: params.limit || defaultLimit },
+        itemsKey: 'contests',
+        sortName: sortKey
+    });
+};
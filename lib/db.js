@@ -0,0 +1,160 @@
+import { MongoClient } from "mongodb";
+import { installValidators } from "./schemas.js";
+
+// =================================================
+// MONGODB SETUP - MODIFIED FOR VERCEL
+// =================================================
+
+const COLLECTION_NAMES = {
+    users: "users_collections",
+    contests: "contests_collections",
+    participated: "participated_collections",
+    submissions: "submissions_collections",
+    refreshTokens: "refresh_tokens_collections",
+    scores: "scores_collections",
+    ledger: "ledger_collections",
+    notifications: "notifications_collections",
+    auditLog: "audit_log_collections",
+    rateLimits: "rate_limits_collections",
+    rankings: "rankings_collections",
+    follows: "follows_collections",
+    promoCodes: "promo_codes_collections",
+    promoRedemptions: "promo_redemptions_collections",
+    seatHolds: "seat_holds_collections",
+    waitlist: "waitlist_collections",
+    teams: "teams_collections",
+    contestViews: "contest_views_collections",
+    checkouts: "checkouts_collections",
+    threads: "discussion_threads_collections",
+    replies: "discussion_replies_collections",
+    discussionReports: "discussion_reports_collections",
+    announcements: "announcements_collections"
+};
+
+// Resolves the collections the app works with and makes sure their indexes
+// exist. Takes any Db-like object, so tests can hand in an in-memory one.
+export const setupCollections = async (database) => {
+    const db = Object.fromEntries(
+        Object.entries(COLLECTION_NAMES).map(([key, name]) => [key, database.collection(name)])
+    );
+
+    // Expired refresh tokens are dropped by MongoDB itself
+    await db.refreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.refreshTokens.createIndex({ tokenHash: 1 }, { unique: true });
+    // One score sheet per judge per submission
+    await db.scores.createIndex({ submissionId: 1, judgeEmail: 1 }, { unique: true });
+    // Ledger keys make every posting idempotent
+    await db.ledger.createIndex({ key: 1 }, { unique: true });
+    await db.ledger.createIndex({ 'lines.account': 1 });
+    // Inbox reads are always per user, newest first
+    await db.notifications.createIndex({ email: 1, _id: -1 });
+    await db.notifications.createIndex({ email: 1, read: 1 });
+    // Rate limit windows delete themselves once they are over
+    await db.rateLimits.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    // One leaderboard row per user, window, period and contest type, read in rank order
+    await db.rankings.createIndex({ window: 1, period: 1, type: 1, email: 1 }, { unique: true });
+    await db.rankings.createIndex({ window: 1, period: 1, type: 1, wins: -1, podiums: -1, prizeMoney: -1, email: 1 });
+    // Public profile handles; users from before slugs existed get one on first visit
+    await db.users.createIndex({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+    await db.follows.createIndex({ followerEmail: 1, creatorEmail: 1 }, { unique: true });
+    await db.follows.createIndex({ creatorEmail: 1 });
+    await db.promoCodes.createIndex({ code: 1 }, { unique: true });
+    await db.promoCodes.createIndex({ contestId: 1, _id: -1 });
+    await db.promoCodes.createIndex({ createdBy: 1, _id: -1 });
+    // Per-user caps count these
+    await db.promoRedemptions.createIndex({ promoId: 1, email: 1 });
+    // One seat hold and one waitlist spot per user per contest
+    await db.seatHolds.createIndex({ contestId: 1, email: 1 }, { unique: true });
+    await db.seatHolds.createIndex({ expiresAt: 1 });
+    await db.seatHolds.createIndex({ sessionId: 1 });
+    await db.waitlist.createIndex({ contestId: 1, email: 1 }, { unique: true });
+    await db.waitlist.createIndex({ contestId: 1, status: 1, _id: 1 });
+    // The invites waiting for a user
+    await db.teams.createIndex({ 'invites.email': 1 });
+    // Analytics: one view counter per contest and day, checkouts by session
+    await db.contestViews.createIndex({ contestId: 1, day: 1 }, { unique: true });
+    await db.checkouts.createIndex({ contestId: 1, createdAt: 1 });
+    await db.checkouts.createIndex({ sessionId: 1 }, { unique: true });
+    await db.checkouts.createIndex({ teamId: 1, status: 1 }, { sparse: true });
+    // Discussions: a contest's threads by activity, replies oldest first,
+    // one report per user per thread or reply
+    await db.threads.createIndex({ contestId: 1, lastActivityAt: -1, _id: -1 });
+    await db.replies.createIndex({ threadId: 1, _id: 1 });
+    await db.discussionReports.createIndex({ targetId: 1, email: 1 }, { unique: true });
+    await db.discussionReports.createIndex({ status: 1, _id: -1 });
+    await db.announcements.createIndex({ contestId: 1, _id: -1 });
+    // Audit log filters, newest first
+    await db.auditLog.createIndex({ actorEmail: 1, _id: -1 });
+    await db.auditLog.createIndex({ targetType: 1, targetId: 1, _id: -1 });
+    await db.auditLog.createIndex({ action: 1, _id: -1 });
+
+    try {
+        // MongoDB allows a single text index per collection
+        await db.contests.createIndex(
+            { name: 'text', tags: 'text', creatorName: 'text', description: 'text' },
+            { name: 'contest_text', weights: { name: 10, tags: 5, creatorName: 3, description: 1 } }
+        );
+    } catch (error) {
+        console.warn("Could not create contest text index:", error.message);
+    }
+
+    try {
+        // One canonical submission per participant per contest. Fails while
+        // legacy duplicates exist, which only weakens the guard in POST /submissions.
+        await db.submissions.createIndex({ contestId: 1, participantEmail: 1 }, { unique: true });
+    } catch (error) {
+        console.warn("Could not create unique submission index:", error.message);
+    }
+
+    try {
+        // One entry per user per contest, whichever path registers it. Fails
+        // while legacy duplicates exist, like the submission index above.
+        await db.participated.createIndex({ contestId: 1, participantEmail: 1 }, { unique: true });
+    } catch (error) {
+        console.warn("Could not create unique participation index:", error.message);
+    }
+
+    try {
+        // One team per user per contest (multikey: each member is a key), so
+        // concurrent joins can't put someone in two teams
+        await db.teams.createIndex({ contestId: 1, memberEmails: 1 }, { unique: true });
+    } catch (error) {
+        console.warn("Could not create unique team member index:", error.message);
+    }
+
+    try {
+        await installValidators(database);
+    } catch (error) {
+        // Needs collMod privileges; the request-level validation still applies without it
+        console.warn("Could not install collection validators:", error.message);
+    }
+
+    return db;
+};
+
+let client;
+let collections;
+
+// Connects once per (serverless) instance and hands back the cached collections
+export const connectDB = async () => {
+    if (collections && client) {
+        return collections;
+    }
+
+    try {
+        client = new MongoClient(process.env.DB_URI, {
+            serverSelectionTimeoutMS: 5000,
+            maxPoolSize: 10, // Limit connection pool
+        });
+
+        await client.connect();
+
+        collections = await setupCollections(client.db("contest_craze_db"));
+        console.log("MongoDB connected ...");
+        return collections;
+    } catch (error) {
+        console.error("MongoDB connection failed:", error);
+        collections = null;
+        throw error;
+    }
+};
@@ -0,0 +1,81 @@
+// =================================================
+// DISCUSSIONS & ANNOUNCEMENTS
+// =================================================
+//
+// discussion_threads_collections holds one document per question:
+//   { contestId, authorEmail, authorName, title, body, hidden, locked,
+//     pinnedReplyId, repliesCount, reportsCount, createdAt, lastActivityAt }
+// discussion_replies_collections holds the answers under a thread:
+//   { threadId, contestId, authorEmail, authorName, authorRole, body, hidden,
+//     reportsCount, createdAt }
+// discussion_reports_collections holds one report per user per thread or reply:
+//   { targetType: 'thread' | 'reply', targetId, contestId, email, reason,
+//     status: 'open' | 'resolved', createdAt }
+// announcements_collections holds creator posts, versioned like submissions:
+//   { contestId, creatorEmail, title, body, version,
+//     history: [{ version, title, body, updatedAt }] }
+// Hidden threads and replies are only shown to admins.
+
+export const VISIBLE = { hidden: { $ne: true } };
+
+export const createDiscussions = (db) => {
+    // How `email` takes part in a contest's discussion: 'creator', 'admin',
+    // 'participant' (with a live entry) or null for everyone else
+    const roleIn = async (contest, email) => {
+        if (contest.creatorEmail === email) return 'creator';
+        const user = await db.users.findOne({ email }, { projection: { role: 1 } });
+        if (user?.role === 'Admin') return 'admin';
+        const entry = await db.participated.findOne(
+            { contestId: contest._id.toString(), participantEmail: email, paymentStatus: { $ne: 'refunded' } },
+            { projection: { _id: 1 } }
+        );
+        return entry ? 'participant' : null;
+    };
+
+    // Moves the current text into `history` and applies `changes` as the next
+    // version. Matching on the version makes concurrent edits fail instead of merging.
+    const reviseAnnouncement = (announcement, changes) => db.announcements.findOneAndUpdate(
+        { _id: announcement._id, version: announcement.version },
+        {
+            $push: {
+                history: {
+                    version: announcement.version,
+                    title: announcement.title,
+                    body: announcement.body,
+                    updatedAt: announcement.updatedAt || announcement.createdAt
+                }
+            },
+            $set: { ...changes, version: announcement.version + 1, updatedAt: new Date() }
+        },
+        { returnDocument: 'after' }
+    );
+
+    // Returns false if `email` already reported this thread or reply
+    const fileReport = async (targetType, target, email, reason) => {
+        try {
+            await db.discussionReports.insertOne({
+                targetType,
+                targetId: target._id.toString(),
+                contestId: target.contestId,
+                email,
+                reason,
+                status: 'open',
+                createdAt: new Date()
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return false;
+        }
+        const collection = targetType === 'thread' ? db.threads : db.replies;
+        await collection.updateOne({ _id: target._id }, { $inc: { reportsCount: 1 } });
+        return true;
+    };
+
+    // An admin's decision on a thread or reply settles every open report on it
+    const resolveReports = (targetId, adminEmail) => db.discussionReports.updateMany(
+        { targetId: targetId.toString(), status: 'open' },
+        { $set: { status: 'resolved', resolvedBy: adminEmail, resolvedAt: new Date() } }
+    );
+
+    return { roleIn, reviseAnnouncement, fileReport, resolveReports };
+};
@@ -0,0 +1,121 @@
+import { EventEmitter } from "events";
+import { ObjectId } from "mongodb";
+
+// =================================================
+// REAL-TIME CONTEST EVENTS
+// =================================================
+//
+// An event is { type, contestId, creatorEmail, private, data } with type one of
+//   participants  { participantsCount }
+//   submissions   { submissionsCount }            (private: creator only)
+//   status        { status }                      (private while not public)
+//   winners       { placements, winner }
+//
+// Routes `publish` after their writes. When MongoDB change streams work (replica
+// sets / Atlas) the events are derived from the streams instead, so every
+// instance sees every write, and the route-level publishes are ignored.
+
+// Statuses only the creator gets to hear about
+const PRIVATE_STATUSES = ['Pending', 'Rejected'];
+
+export const isPrivateStatus = (status) => PRIVATE_STATUSES.includes(status);
+
+export const canSeeEvent = (event, email) => !event.private || event.creatorEmail === email;
+
+// Change stream document of the contests collection -> events
+export const contestChangeToEvents = (change) => {
+    const contest = change.fullDocument;
+    const updated = change.updateDescription?.updatedFields || {};
+    if (change.operationType !== 'update' || !contest) return [];
+
+    const base = { contestId: contest._id.toString(), creatorEmail: contest.creatorEmail };
+    const events = [];
+    if ('participantsCount' in updated) {
+        events.push({ ...base, type: 'participants', data: { participantsCount: contest.participantsCount } });
+    }
+    if ('status' in updated) {
+        events.push({ ...base, type: 'status', private: isPrivateStatus(contest.status), data: { status: contest.status } });
+    }
+    if ('placements' in updated || 'winner' in updated) {
+        events.push({ ...base, type: 'winners', data: { placements: contest.placements, winner: contest.winner } });
+    }
+    return events;
+};
+
+export const createContestEvents = ({ db }) => {
+    const emitter = new EventEmitter();
+    // One listener per open SSE connection
+    emitter.setMaxListeners(0);
+
+    let streams = null;
+    let streaming = false;
+    let unsupported = false;
+
+    const dispatch = (event) => emitter.emit('event', event);
+
+    const stopStreams = () => {
+        for (const stream of streams || []) {
+            stream.close().catch(() => {});
+        }
+        streams = null;
+        streaming = false;
+    };
+
+    // Started by the first subscriber. Stays in-process if the deployment has
+    // no change streams (standalone servers answer the watch with an error).
+    const startStreams = () => {
+        if (streams || unsupported || typeof db.contests?.watch !== 'function') return;
+
+        const contestStream = db.contests.watch(
+            [{ $match: { operationType: 'update' } }],
+            { fullDocument: 'updateLookup' }
+        );
+        const submissionStream = db.submissions.watch([{ $match: { operationType: 'insert' } }]);
+        streams = [contestStream, submissionStream];
+
+        let ready = 0;
+        for (const stream of streams) {
+            stream.on('init', () => {
+                if (++ready === streams?.length) streaming = true;
+            });
+            stream.on('error', (error) => {
+                // Failing before the first batch means no change streams at all;
+                // a stream that worked is reopened by the next subscriber.
+                unsupported = unsupported || !streaming;
+                console.warn("Change streams stopped, using in-process events:", error.message);
+                stopStreams();
+            });
+        }
+
+        contestStream.on('change', (change) => {
+            contestChangeToEvents(change).forEach(dispatch);
+        });
+        submissionStream.on('change', async (change) => {
+            const { contestId } = change.fullDocument;
+            try {
+                const contest = await db.contests.findOne({ _id: new ObjectId(contestId) }, { projection: { creatorEmail: 1 } });
+                dispatch({
+                    type: 'submissions',
+                    contestId,
+                    creatorEmail: contest?.creatorEmail,
+                    private: true,
+                    data: { submissionsCount: await db.submissions.countDocuments({ contestId }) }
+                });
+            } catch (error) {
+                console.error("Failed to publish submission event:", error);
+            }
+        });
+    };
+
+    const publish = (event) => {
+        if (!streaming) dispatch(event);
+    };
+
+    const subscribe = (listener) => {
+        startStreams();
+        emitter.on('event', listener);
+        return () => emitter.off('event', listener);
+    };
+
+    return { publish, subscribe, isStreaming: () => streaming };
+};
@@ -0,0 +1,83 @@
+import { once } from "events";
+
+// =================================================
+// EXPORTS
+// =================================================
+//
+// Exports stream rows straight from a cursor to the response as CSV or as a
+// JSON array, so a large contest never sits in memory. A column is
+// { header, value: (row) => ... }; both formats use the same headers.
+
+const BATCH_SIZE = 200;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Reads `cursor` in batches and yields what `enrich(batch)` makes of each,
+// so related documents (user names and the like) are fetched once per batch
+export async function* inBatches(cursor, enrich = async (batch) => batch) {
+    let batch = [];
+    for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length === BATCH_SIZE) {
+            yield* await enrich(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) yield* await enrich(batch);
+}
+
+// Streams `rows` (any async iterable) as a download. Errors after the first
+// byte can't become a status code any more, so they cut the response off.
+// When the client goes away, writing stops and leaving the loop closes the
+// cursor behind `rows`.
+export const sendExport = async (res, { format = 'csv', filename, columns, rows }) => {
+    const closed = new Promise(resolve => res.once('close', () => resolve(false)));
+    // Resolves false once the client is gone
+    const write = async (chunk) => {
+        if (res.destroyed) return false;
+        if (res.write(chunk)) return true;
+        const abort = new AbortController();
+        const drained = once(res, 'drain', { signal: abort.signal }).then(() => true, () => false);
+        try {
+            return await Promise.race([drained, closed]);
+        } finally {
+            abort.abort();
+        }
+    };
+
+    res.set({
+        'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.${format}"`
+    });
+    try {
+        if (format === 'json') {
+            let first = true;
+            if (!(await write('['))) return;
+            for await (const row of rows) {
+                const item = Object.fromEntries(columns.map(column => [column.header, column.value(row) ?? null]));
+                if (!(await write(`${first ? '' : ','}\n${JSON.stringify(item)}`))) return;
+                first = false;
+            }
+            if (!(await write('\n]\n'))) return;
+        } else {
+            if (!(await write(toCsvLine(columns.map(column => column.header))))) return;
+            for await (const row of rows) {
+                if (!(await write(toCsvLine(columns.map(column => column.value(row)))))) return;
+            }
+        }
+        res.end();
+    } catch (error) {
+        console.error("Export failed:", error);
+        res.destroy(error);
+    }
+};
@@ -0,0 +1,74 @@
+// =================================================
+// JUDGING HELPERS
+// =================================================
+
+export const canJudge = (contest, email) =>
+    contest.creatorEmail === email || (contest.judges || []).includes(email);
+
+// Normalizes a judge's points to 0-100 using the rubric weights.
+export const weightedScore = (rubric, scores) => {
+    const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+    if (!totalWeight) return 0;
+    const earned = rubric.reduce((sum, c) => {
+        const points = scores.find(s => s.criterion === c.name)?.points || 0;
+        return sum + (points / c.maxPoints) * c.weight;
+    }, 0);
+    return Math.round((earned / totalWeight) * 10000) / 100;
+};
+
+// Every submission of the contest, best first. Ties are broken by the average
+// on the heaviest criterion (then the next heaviest...), then by how many judges
+// scored it, then by who submitted first.
+export const createJudging = (db) => {
+    const rankSubmissions = async (contest) => {
+        const contestId = contest._id.toString();
+        const [submissions, aggregates] = await Promise.all([
+            db.submissions.find({ contestId }).toArray(),
+            db.scores.aggregate([
+                { $match: { contestId } },
+                {
+                    $group: {
+                        _id: '$submissionId',
+                        score: { $avg: '$weightedScore' },
+                        judgeCount: { $sum: 1 },
+                        sheets: { $push: '$scores' }
+                    }
+                }
+            ]).toArray()
+        ]);
+
+        const criteriaByWeight = [...(contest.rubric || [])].sort((a, b) => b.weight - a.weight);
+
+        const results = submissions.map(submission => {
+            const aggregate = aggregates.find(a => a._id === submission._id.toString());
+            const sheets = aggregate?.sheets || [];
+            const criteria = criteriaByWeight.map(c => {
+                const points = sheets.map(sheet => sheet.find(s => s.criterion === c.name)?.points || 0);
+                const average = points.length ? points.reduce((sum, p) => sum + p, 0) / points.length : null;
+                return { criterion: c.name, average };
+            });
+            return {
+                submission,
+                score: aggregate ? Math.round(aggregate.score * 100) / 100 : null,
+                judgeCount: aggregate?.judgeCount || 0,
+                criteria
+            };
+        });
+
+        const compare = (a, b) => {
+            if ((b.score ?? -1) !== (a.score ?? -1)) return (b.score ?? -1) - (a.score ?? -1);
+            for (let i = 0; i < criteriaByWeight.length; i++) {
+                const diff = (b.criteria[i].average ?? -1) - (a.criteria[i].average ?? -1);
+                if (diff) return diff;
+            }
+            if (b.judgeCount !== a.judgeCount) return b.judgeCount - a.judgeCount;
+            const submittedA = new Date(a.submission.submittedAt || a.submission._id.getTimestamp());
+            const submittedB = new Date(b.submission.submittedAt || b.submission._id.getTimestamp());
+            return submittedA - submittedB;
+        };
+
+        return results.sort(compare).map((result, index) => ({ rank: index + 1, ...result }));
+    };
+
+    return { rankSubmissions };
+};
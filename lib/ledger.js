@@ -0,0 +1,123 @@
+import { ObjectId } from "mongodb";
+import { prizeShares } from "./teams.js";
+
+// =================================================
+// LEDGER HELPERS
+// =================================================
+//
+// Every money movement is one ledger document whose `lines` debit and credit
+// accounts by the same total. Accounts:
+//   platform:cash       money held in the platform Stripe account
+//   platform:revenue    commission kept by the platform
+//   creator:<email>     earnings owed to a contest creator
+//   winner:<email>      prize money owed to a winner
+// An account's balance is credits minus debits, i.e. what the platform owes it.
+
+export const PLATFORM_CASH = 'platform:cash';
+export const PLATFORM_REVENUE = 'platform:revenue';
+export const creatorAccount = (email) => `creator:${email}`;
+export const winnerAccount = (email) => `winner:${email}`;
+
+const commissionPercent = () => Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 10);
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const debit = (account, amount) => ({ account, debit: roundMoney(amount), credit: 0 });
+export const credit = (account, amount) => ({ account, debit: 0, credit: roundMoney(amount) });
+
+export const createLedger = (db) => {
+    // Posting the same key twice is a no-op, so callers can retry freely.
+    const postLedger = async (key, type, lines, details = {}) => {
+        const result = await db.ledger.updateOne(
+            { key },
+            { $setOnInsert: { key, type, lines, ...details, createdAt: new Date() } },
+            { upsert: true }
+        );
+        return result.upsertedCount > 0;
+    };
+
+    const recordEntryFee = async (participation) => {
+        const contest = await db.contests.findOne(
+            { _id: new ObjectId(participation.contestId) },
+            { projection: { creatorEmail: 1 } }
+        );
+        const fee = participation.price || 0;
+        if (!contest || !fee) return;
+
+        const commission = roundMoney(fee * commissionPercent() / 100);
+        const details = { contestId: participation.contestId, reference: participation.transactionId };
+        await postLedger(`entry_fee:${participation.transactionId}`, 'entry_fee', [
+            debit(PLATFORM_CASH, fee),
+            credit(creatorAccount(contest.creatorEmail), fee)
+        ], details);
+        await postLedger(`commission:${participation.transactionId}`, 'commission', [
+            debit(creatorAccount(contest.creatorEmail), commission),
+            credit(PLATFORM_REVENUE, commission)
+        ], details);
+    };
+
+    // Reverses whatever the entry fee and commission postings put where. Entries
+    // paid before the ledger existed are absorbed by platform revenue.
+    const recordRefundLedger = async (participation) => {
+        const [entryFee, commission] = await Promise.all([
+            db.ledger.findOne({ key: `entry_fee:${participation.transactionId}` }),
+            db.ledger.findOne({ key: `commission:${participation.transactionId}` })
+        ]);
+        const reversed = [...(entryFee?.lines || []), ...(commission?.lines || [])]
+            .map(line => ({ account: line.account, debit: line.credit, credit: line.debit }));
+        const fee = participation.price || 0;
+        const lines = reversed.length ? reversed : [debit(PLATFORM_REVENUE, fee), credit(PLATFORM_CASH, fee)];
+
+        await postLedger(`refund:${participation.transactionId}`, 'refund', lines, {
+            contestId: participation.contestId,
+            reference: participation.refundId || participation.transactionId
+        });
+    };
+
+    // Prizes are funded from the creator's earnings on the contest. A team's
+    // prize is owed to its members in the shares the leaderboards credit them.
+    const recordPrizesOwed = async (contest, placements) => {
+        for (const placement of placements) {
+            for (const { email, prizeMoney } of prizeShares(placement)) {
+                if (!prizeMoney) continue;
+                await postLedger(`prize_owed:${contest._id}:${email}`, 'prize_owed', [
+                    debit(creatorAccount(contest.creatorEmail), prizeMoney),
+                    credit(winnerAccount(email), prizeMoney)
+                ], { contestId: contest._id.toString(), reference: placement.label });
+            }
+        }
+    };
+
+    const accountBalances = (accountFilter) =>
+        db.ledger.aggregate([
+            { $unwind: '$lines' },
+            { $match: { 'lines.account': accountFilter } },
+            {
+                $group: {
+                    _id: '$lines.account',
+                    credit: { $sum: '$lines.credit' },
+                    debit: { $sum: '$lines.debit' }
+                }
+            },
+            { $project: { _id: 0, account: '$_id', balance: { $round: [{ $subtract: ['$credit', '$debit'] }, 2] } } }
+        ]).toArray();
+
+    const accountStatement = async (account) => {
+        const [totals] = await accountBalances(account);
+        const entries = await db.ledger.find({ 'lines.account': account }).sort({ createdAt: -1 }).toArray();
+        return {
+            account,
+            balance: totals?.balance || 0,
+            entries: entries.map(entry => ({
+                type: entry.type,
+                contestId: entry.contestId,
+                reference: entry.reference,
+                createdAt: entry.createdAt,
+                ...entry.lines.filter(line => line.account === account)
+                    .reduce((sum, line) => ({ debit: sum.debit + line.debit, credit: sum.credit + line.credit }), { debit: 0, credit: 0 })
+            }))
+        };
+    };
+
+    return { postLedger, recordEntryFee, recordRefundLedger, recordPrizesOwed, accountBalances, accountStatement };
+};
@@ -0,0 +1,63 @@
+// =================================================
+// CONTEST LIFECYCLE
+// =================================================
+
+// Pending -> Confirmed/Rejected -> Open -> Judging -> Closed/Cancelled
+export const CONTEST_TRANSITIONS = {
+    Pending: ['Confirmed', 'Rejected', 'Cancelled'],
+    Confirmed: ['Open', 'Cancelled'],
+    Open: ['Judging', 'Cancelled'],
+    Judging: ['Closed', 'Cancelled'],
+    Rejected: [],
+    Closed: [],
+    Cancelled: []
+};
+
+// Statuses shown in the public listings (accepting or about to accept entries)
+export const LISTED_STATUSES = ['Confirmed', 'Open'];
+
+export const canTransition = (from, to) => (CONTEST_TRANSITIONS[from] || []).includes(to);
+
+// The status a contest is really in, even if the sweeper hasn't caught up yet:
+// a Confirmed contest opens at its startDate (or right away) and an Open one
+// goes to Judging once its deadline passes.
+export const effectiveStatus = (contest, now = new Date()) => {
+    let status = contest.status;
+    if (status === 'Confirmed' && (!contest.startDate || new Date(contest.startDate) <= now)) {
+        status = 'Open';
+    }
+    if (status === 'Open' && contest.deadline && new Date(contest.deadline) <= now) {
+        status = 'Judging';
+    }
+    return status;
+};
+
+export const isAcceptingEntries = (contest) => !!contest && !contest.deletedAt && effectiveStatus(contest) === 'Open';
+
+// Deadlines may be stored as strings or Dates; unparseable values become null.
+export const toDateExpr = (field) => ({ $convert: { input: field, to: 'date', onError: null, onNull: null } });
+
+// Persists what effectiveStatus computes on the fly.
+export const sweepContestStatuses = async (contests, now = new Date()) => {
+    const opened = await contests.updateMany(
+        {
+            status: 'Confirmed',
+            // null sorts below every date, so contests without a startDate open right away
+            $expr: { $lte: [toDateExpr('$startDate'), now] }
+        },
+        { $set: { status: 'Open' } }
+    );
+    const judging = await contests.updateMany(
+        {
+            status: 'Open',
+            $expr: {
+                $and: [
+                    { $ne: [toDateExpr('$deadline'), null] },
+                    { $lte: [toDateExpr('$deadline'), now] }
+                ]
+            }
+        },
+        { $set: { status: 'Judging' } }
+    );
+    return { opened: opened.modifiedCount, judging: judging.modifiedCount };
+};
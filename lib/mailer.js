@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+// =================================================
+// MAIL TRANSPORTS
+// =================================================
+//
+// A mail transport is an object with:
+//   send({ to, subject, text }) -> Promise
+// Pick one with MAIL_TRANSPORT: "smtp" (SMTP_URL) in production, "file"
+// (MAIL_FILE_DIR, one .eml per message) or "console" while developing.
+
+const fromAddress = () => process.env.MAIL_FROM || 'Contest Craze <no-reply@contestcraze.app>';
+
+export const createSmtpTransport = ({ url }) => {
+    if (!url) {
+        throw new Error('SMTP_URL is required for the smtp mail transport');
+    }
+    const transporter = nodemailer.createTransport(url);
+    return {
+        async send(message) {
+            await transporter.sendMail({ from: fromAddress(), ...message });
+        }
+    };
+};
+
+// Renders the same MIME message SMTP would send and drops it into `directory`
+export const createFileTransport = ({ directory }) => {
+    const root = path.resolve(directory);
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+        async send(message) {
+            const info = await transporter.sendMail({ from: fromAddress(), ...message });
+            await fs.promises.mkdir(root, { recursive: true });
+            await fs.promises.writeFile(path.join(root, `${Date.now()}-${crypto.randomUUID()}.eml`), info.message);
+        }
+    };
+};
+
+export const createConsoleTransport = () => ({
+    async send({ to, subject, text }) {
+        console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+    }
+});
+
+const transports = {
+    smtp: () => createSmtpTransport({ url: process.env.SMTP_URL }),
+    file: () => createFileTransport({ directory: process.env.MAIL_FILE_DIR || 'mail' }),
+    console: () => createConsoleTransport()
+};
+
+export const registerMailTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+export const createMailer = (transport = process.env.MAIL_TRANSPORT || 'console') => {
+    if (!transports[transport]) {
+        throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    return transports[transport]();
+};
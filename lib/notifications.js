@@ -0,0 +1,193 @@
+import { NOTIFICATION_EVENTS } from "./schemas.js";
+import { effectiveStatus } from "./lifecycle.js";
+import { NOT_DELETED } from "./archive.js";
+
+// =================================================
+// NOTIFICATIONS
+// =================================================
+//
+// Every event lands in the recipient's in-app inbox and is mailed through the
+// configured transport, unless the user switched that channel off in
+// `notificationPreferences.<event>.{inApp,email}`.
+
+const DEADLINE_REMINDER_HOURS = 24;
+// Emails in flight at once per notify() call
+const MAIL_CONCURRENCY = 5;
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+// event -> data -> { title, body }; the title doubles as the email subject
+const TEMPLATES = {
+    contest_approved: ({ contestName }) => ({
+        title: `Your contest "${contestName}" was approved`,
+        body: `"${contestName}" passed review and is now listed. Participants can register as soon as it opens.`
+    }),
+    contest_rejected: ({ contestName, reason }) => ({
+        title: `Your contest "${contestName}" was not approved`,
+        body: `"${contestName}" was rejected during review.${reason ? ` Reason: ${reason}` : ''}`
+    }),
+    contest_cancelled: ({ contestName }) => ({
+        title: `"${contestName}" has been cancelled`,
+        body: `"${contestName}" was cancelled. Your entry fee is being refunded to your original payment method.`
+    }),
+    payment_confirmed: ({ contestName, price }) => ({
+        title: `You're registered for "${contestName}"`,
+        body: `We received your entry fee of ${money(price)}. You can submit your work until the contest deadline.`
+    }),
+    deadline_approaching: ({ contestName, deadline }) => ({
+        title: `"${contestName}" closes soon`,
+        body: `Submissions for "${contestName}" close on ${new Date(deadline).toUTCString()}. You haven't submitted yet.`
+    }),
+    waitlist_promoted: ({ contestName, expiresAt }) => ({
+        title: `A seat opened up in "${contestName}"`,
+        body: `You're off the waitlist for "${contestName}". Your seat is held until ${new Date(expiresAt).toUTCString()}, so complete your registration before then.`
+    }),
+    team_invite: ({ contestName, teamName, captainName }) => ({
+        title: `You're invited to join team "${teamName}"`,
+        body: `${captainName || 'A team captain'} invited you to join "${teamName}" for "${contestName}". Accept or decline the invite from your dashboard.`
+    }),
+    contest_announcement: ({ contestName, title, version }) => ({
+        title: version > 1 ? `Updated announcement for "${contestName}"` : `New announcement for "${contestName}"`,
+        body: `The creator of "${contestName}" ${version > 1 ? 'updated' : 'posted'} "${title}". Read it on the contest page.`
+    }),
+    question_answered: ({ contestName, threadTitle }) => ({
+        title: `Your question about "${contestName}" was answered`,
+        body: `The creator of "${contestName}" picked an answer to "${threadTitle}".`
+    }),
+    winner_declared: ({ contestName, placement }) => placement
+        ? {
+            title: `You placed ${placement.label} in "${contestName}"`,
+            body: placement.prizeMoney
+                ? `Congratulations! You placed ${placement.label} in "${contestName}" and won ${money(placement.prizeMoney)}.`
+                : `Congratulations! You received ${placement.place ? `${placement.label} place` : 'an Honourable Mention'} in "${contestName}".`
+        }
+        : {
+            title: `Winners of "${contestName}" announced`,
+            body: `The results of "${contestName}" are in. Thanks for taking part!`
+        }
+};
+
+export const renderNotification = (event, data) => TEMPLATES[event](data);
+
+const emailText = (name, body) => [
+    `Hi ${name || 'there'},`,
+    '',
+    body,
+    '',
+    `See all your notifications at ${process.env.SITE_DOMAIN_URL || ''}/dashboard/notifications`,
+    'You can choose which emails you get in your profile settings.'
+].join('\n');
+
+const wants = (user, event, channel) => user?.notificationPreferences?.[event]?.[channel] !== false;
+
+export const createNotifications = ({ db, mailer }) => {
+    // Mails `messages` a few at a time; failures are logged, never thrown
+    const deliver = (event, messages) => {
+        const queue = [...messages];
+        const worker = async () => {
+            while (queue.length) {
+                const message = queue.shift();
+                try {
+                    await mailer.send(message);
+                } catch (error) {
+                    console.error(`Failed to email ${event} notification:`, error.message);
+                }
+            }
+        };
+        return Promise.all(Array.from({ length: Math.min(MAIL_CONCURRENCY, queue.length) }, worker));
+    };
+
+    // Sends `event` to every address in `recipients` ([email] or [{ email, data }]
+    // for per-recipient data). Never throws: a failed notification must not
+    // undo the action that caused it. Resolves once the inbox entries are
+    // written; the emails go out in the background so a large contest doesn't
+    // hold the response for every SMTP round trip.
+    const notify = async (recipients, event, data = {}) => {
+        if (!NOTIFICATION_EVENTS.includes(event)) {
+            throw new Error(`Unknown notification event: ${event}`);
+        }
+        const list = recipients
+            .map(recipient => typeof recipient === 'string' ? { email: recipient } : recipient)
+            .filter(recipient => recipient.email);
+        if (!list.length) return;
+
+        try {
+            const users = await db.users.find(
+                { email: { $in: list.map(r => r.email) } },
+                { projection: { email: 1, name: 1, notificationPreferences: 1 } }
+            ).toArray();
+
+            const createdAt = new Date();
+            const inbox = [];
+            const emails = [];
+            for (const recipient of list) {
+                const user = users.find(u => u.email === recipient.email);
+                const merged = { ...data, ...recipient.data };
+                const { title, body } = renderNotification(event, merged);
+                if (wants(user, event, 'inApp')) {
+                    inbox.push({
+                        email: recipient.email,
+                        event,
+                        title,
+                        body,
+                        contestId: merged.contestId,
+                        read: false,
+                        createdAt
+                    });
+                }
+                if (wants(user, event, 'email')) {
+                    emails.push({ to: recipient.email, subject: title, text: emailText(user?.name, body) });
+                }
+            }
+
+            if (inbox.length) {
+                await db.notifications.insertMany(inbox);
+            }
+            deliver(event, emails);
+        } catch (error) {
+            console.error(`Failed to deliver ${event} notifications:`, error);
+        }
+    };
+
+    const participantEmails = async (contestId) => {
+        const participations = await db.participated.find(
+            { contestId, paymentStatus: { $ne: 'refunded' } },
+            { projection: { participantEmail: 1 } }
+        ).toArray();
+        return [...new Set(participations.map(p => p.participantEmail))];
+    };
+
+    // Reminds registered participants who haven't submitted yet. The reminder
+    // flag is claimed per contest first, so overlapping cron runs send it once.
+    const sendDeadlineReminders = async (now = new Date()) => {
+        const until = new Date(now.getTime() + DEADLINE_REMINDER_HOURS * 60 * 60 * 1000);
+        const contests = await db.contests.find({
+            status: { $in: ['Confirmed', 'Open'] },
+            deadlineReminderSentAt: { $exists: false },
+            ...NOT_DELETED
+        }).toArray();
+
+        let reminded = 0;
+        for (const contest of contests) {
+            const deadline = new Date(contest.deadline);
+            if (effectiveStatus(contest, now) !== 'Open' || !(deadline > now && deadline <= until)) continue;
+
+            const claimed = await db.contests.updateOne(
+                { _id: contest._id, deadlineReminderSentAt: { $exists: false } },
+                { $set: { deadlineReminderSentAt: now } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            const contestId = contest._id.toString();
+            const submitted = await db.submissions.find({ contestId }, { projection: { participantEmail: 1, memberEmails: 1 } }).toArray();
+            // A team entry counts for every member
+            const submitters = new Set(submitted.flatMap(s => [s.participantEmail, ...(s.memberEmails || [])]));
+            const pending = (await participantEmails(contestId)).filter(email => !submitters.has(email));
+            await notify(pending, 'deadline_approaching', { contestId, contestName: contest.name, deadline: contest.deadline });
+            reminded += pending.length;
+        }
+        return reminded;
+    };
+
+    return { notify, participantEmails, sendDeadlineReminders };
+};
@@ -0,0 +1,125 @@
+import { BSON, ObjectId } from "mongodb";
+
+// =================================================
+// PAGINATION
+// =================================================
+//
+// Cursor paging is keyset based: a cursor holds the sort key and _id of the
+// last (or first) document of a page, and the next page starts strictly after
+// it. Unlike skip/limit this never repeats or drops documents when earlier
+// rows change, and costs the same on page 1 and page 1000.
+
+const APPROXIMATE_TOTAL_CAP = 1000;
+
+// EJSON keeps Dates and ObjectIds intact through the round trip
+const encodeCursor = (payload) => Buffer.from(BSON.EJSON.stringify(payload)).toString('base64url');
+
+// Sort key values a cursor may carry. Anything else (like `{ "$ne": null }`)
+// would end up in the query as an operator.
+const isKeyValue = (value) => value === null || typeof value === 'string'
+    || (typeof value === 'number' && Number.isFinite(value))
+    || (value instanceof Date && !Number.isNaN(value.getTime()))
+    || value instanceof ObjectId;
+
+// The cursor's payload, or null if it isn't one we issued
+const decodeCursor = (token) => {
+    let cursor;
+    try {
+        cursor = BSON.EJSON.parse(Buffer.from(token, 'base64url').toString());
+    } catch {
+        return null;
+    }
+    if (!cursor || typeof cursor !== 'object' || !isKeyValue(cursor.value ?? null) || !(cursor.id instanceof ObjectId)) {
+        return null;
+    }
+    return cursor;
+};
+
+// Documents after (field, id) in a `{ [field]: dir, _id: idDir }` order.
+// Missing values sort like null: first ascending, last descending.
+const keysetFilter = (field, dir, idDir, value, id) => {
+    const idOp = idDir === 1 ? '$gt' : '$lt';
+    if (field === '_id') {
+        return { _id: { [idOp]: id } };
+    }
+    const tie = { [field]: value ?? null, _id: { [idOp]: id } };
+    if (value === null || value === undefined) {
+        return dir === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+    }
+    const beyond = { [field]: { [dir === 1 ? '$gt' : '$lt']: value } };
+    return dir === 1 ? { $or: [beyond, tie] } : { $or: [beyond, { [field]: null }, tie] };
+};
+
+const invertSort = (sort) => Object.fromEntries(Object.entries(sort).map(([key, dir]) => [key, -dir]));
+
+const countTotal = async (collection, filter, mode) => {
+    if (mode === 'exact') {
+        return { totalCount: await collection.countDocuments(filter) };
+    }
+    if (mode === 'approximate') {
+        const totalCount = Object.keys(filter).length
+            ? await collection.countDocuments(filter, { limit: APPROXIMATE_TOTAL_CAP })
+            : await collection.estimatedDocumentCount();
+        return { totalCount, totalIsApproximate: true };
+    }
+    return {};
+};
+
+// Answers one page of `collection` as `{ [itemsKey]: [...], ...paging info }`.
+// `sort` must be a single field followed by `_id` (or `_id` alone).
+export const sendPage = async (req, res, collection, { filter, sort, projection, params, itemsKey, sortName }) => {
+    const limit = params.limit;
+    const useCursor = params.cursor !== undefined || params.paging === 'cursor';
+
+    if (!useCursor) {
+        const page = params.page || 1;
+        const totalCount = await collection.countDocuments(filter);
+        const items = await collection.find(filter, { sort, projection })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+        return res.send({ [itemsKey]: items, totalCount });
+    }
+
+    const [field, dir] = Object.entries(sort)[0];
+    const idDir = sort._id;
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    if (params.cursor && (!cursor || cursor.sort !== sortName)) {
+        return res.status(400).send({ message: 'Invalid cursor' });
+    }
+
+    const backwards = cursor?.direction === 'prev';
+    const query = cursor
+        ? { $and: [filter, keysetFilter(field, backwards ? -dir : dir, backwards ? -idDir : idDir, cursor.value, cursor.id)] }
+        : filter;
+    const items = await collection.find(query, { sort: backwards ? invertSort(sort) : sort, projection })
+        .limit(limit + 1)
+        .toArray();
+
+    const hasMore = items.length > limit;
+    const pageItems = items.slice(0, limit);
+    if (backwards) pageItems.reverse();
+
+    const cursorFor = (doc, direction) =>
+        encodeCursor({ sort: sortName, direction, value: doc[field] ?? null, id: doc._id });
+    const linkFor = (token) => {
+        const query = new URLSearchParams({ ...req.query, cursor: token });
+        query.delete('page');
+        query.delete('paging');
+        return `${req.baseUrl}${req.path}?${query}`;
+    };
+
+    const first = pageItems[0];
+    const last = pageItems[pageItems.length - 1];
+    const nextCursor = last && (backwards || hasMore) ? cursorFor(last, 'next') : null;
+    const prevCursor = first && cursor && (!backwards || hasMore) ? cursorFor(first, 'prev') : null;
+
+    res.send({
+        [itemsKey]: pageItems,
+        nextCursor,
+        prevCursor,
+        next: nextCursor && linkFor(nextCursor),
+        prev: prevCursor && linkFor(prevCursor),
+        ...await countTotal(collection, filter, params.total)
+    });
+};
@@ -0,0 +1,298 @@
+import { ObjectId } from "mongodb";
+
+// =================================================
+// PAYMENT HELPERS
+// =================================================
+
+// Entry fees that were charged and not (yet) given back. `null` also picks up
+// entries recorded before paymentStatus existed.
+export const UNREFUNDED_PAYMENT = {
+    transactionId: { $exists: true },
+    paymentStatus: { $in: ['paid', 'refund_failed', null] }
+};
+
+export const createPayments = ({ db, stripe, ledger, notifications, events, promos, seats }) => {
+    const { recordEntryFee, recordRefundLedger } = ledger;
+    const { notify } = notifications;
+    const { recordRedemption } = promos;
+    const { confirmSeat, freeSeat } = seats;
+
+    // Moves the contest's participant counter and tells live listeners the new value
+    const adjustParticipantsCount = async (contestId, delta) => {
+        const contest = await db.contests.findOneAndUpdate(
+            { _id: new ObjectId(contestId) },
+            { $inc: { participantsCount: delta } },
+            { returnDocument: 'after', projection: { name: 1, creatorEmail: 1, participantsCount: 1 } }
+        );
+        if (contest) {
+            events.publish({
+                type: 'participants',
+                contestId,
+                creatorEmail: contest.creatorEmail,
+                data: { participantsCount: contest.participantsCount }
+            });
+        }
+        return contest;
+    };
+
+    // The unique { contestId, participantEmail } index leaves room for one row,
+    // so entering again after a refund takes over the refunded row. Its earlier
+    // payment moves to `previousEntries`. Resolves to the row's id, or null if
+    // the existing entry isn't a refunded one.
+    const reuseRefundedEntry = async (entry) => {
+        const refunded = await db.participated.findOne({
+            contestId: entry.contestId,
+            participantEmail: entry.participantEmail,
+            paymentStatus: 'refunded'
+        });
+        if (!refunded) return null;
+        const { _id, contestId, participantEmail, previousEntries, ...previous } = refunded;
+        const stale = Object.keys(previous).filter(key => !(key in entry));
+        const result = await db.participated.updateOne(
+            { _id, paymentStatus: 'refunded' },
+            {
+                $set: entry,
+                $push: { previousEntries: previous },
+                ...(stale.length && { $unset: Object.fromEntries(stale.map(key => [key, ''])) })
+            }
+        );
+        return result.modifiedCount ? _id : null;
+    };
+
+    // Records a paid checkout session as a participation. Keyed on the payment
+    // intent so Stripe retries (or an old /verify-payment record) never double count.
+    const recordParticipation = async (session) => {
+        const { contestId, promoId, promoCode, teamId } = session.metadata;
+        const participantEmail = session.customer_email || session.customer_details?.email;
+        // Stripe metadata values are strings
+        const discount = promoCode ? {
+            originalPrice: Number(session.metadata.originalPrice),
+            discount: Number(session.metadata.discount),
+            promoCode
+        } : {};
+
+        const entry = {
+            contestId,
+            participantEmail,
+            sessionId: session.id,
+            transactionId: session.payment_intent,
+            paymentTime: new Date(),
+            price: session.amount_total / 100,
+            paymentStatus: 'paid',
+            ...(teamId && { teamId }),
+            ...discount
+        };
+        let participationId;
+        try {
+            const result = await db.participated.updateOne(
+                { transactionId: session.payment_intent },
+                { $setOnInsert: entry },
+                { upsert: true }
+            );
+            participationId = result.upsertedId;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            participationId = await reuseRefundedEntry(entry);
+            if (!participationId) {
+                // Already registered through another checkout; give this payment back
+                await stripe.refunds.create(
+                    { payment_intent: session.payment_intent, metadata: { contestId, reason: 'duplicate_entry' } },
+                    { idempotencyKey: `duplicate-${session.payment_intent}` }
+                );
+                return;
+            }
+        }
+
+        if (participationId) {
+            await confirmSeat(contestId, participantEmail);
+            if (promoCode) {
+                await recordRedemption({
+                    promoId,
+                    code: promoCode,
+                    email: participantEmail,
+                    contestId,
+                    participationId,
+                    discount: discount.discount
+                });
+            }
+            const contest = await adjustParticipantsCount(contestId, 1);
+            await db.users.updateOne(
+                { email: participantEmail },
+                { $inc: { participatedCount: 1 } }
+            );
+            await notify([participantEmail], 'payment_confirmed', {
+                contestId,
+                contestName: contest?.name,
+                price: session.amount_total / 100
+            });
+            if (teamId) {
+                await completeTeamEntry(teamId, participantEmail);
+            }
+        }
+        // Outside the upsert check so a retried webhook fills in a posting that failed
+        await recordEntryFee({ contestId, transactionId: session.payment_intent, price: session.amount_total / 100 });
+    };
+
+    // Registers the rest of a team once its captain paid for everyone (in
+    // 'captain' mode) and marks the team registered when every member is in.
+    const completeTeamEntry = async (teamId, payerEmail) => {
+        const team = await db.teams.findOne({ _id: new ObjectId(teamId) });
+        if (!team) return;
+        if (team.paymentMode !== 'split' && payerEmail === team.captainEmail) {
+            for (const email of team.memberEmails.filter(member => member !== payerEmail)) {
+                const entry = {
+                    contestId: team.contestId,
+                    participantEmail: email,
+                    teamId,
+                    price: 0,
+                    paidBy: payerEmail,
+                    paymentTime: new Date()
+                };
+                try {
+                    await db.participated.insertOne(entry);
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                    if (!(await reuseRefundedEntry(entry))) continue;
+                }
+                await adjustParticipantsCount(team.contestId, 1);
+                await db.users.updateOne({ email }, { $inc: { participatedCount: 1 } });
+            }
+        }
+        const registered = await db.participated.countDocuments({ teamId, paymentStatus: { $ne: 'refunded' } });
+        if (registered >= team.memberEmails.length) {
+            await db.teams.updateOne({ _id: team._id }, { $set: { status: 'registered' } });
+        }
+    };
+
+    // Registers an entry that costs nothing: a free contest or a 100%-off code.
+    // `quote` is what promos.priceEntry() returned; a capped code must be claimed first.
+    const recordFreeEntry = async ({ contestId, participantEmail, quote, teamId }) => {
+        const participation = {
+            contestId,
+            participantEmail,
+            price: 0,
+            paymentTime: new Date(),
+            ...(teamId && { teamId }),
+            ...(quote.promo ? { originalPrice: quote.originalPrice, discount: quote.discount, promoCode: quote.promo.code } : {})
+        };
+        let result;
+        try {
+            result = await db.participated.insertOne(participation);
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            const reusedId = await reuseRefundedEntry(participation);
+            if (!reusedId) throw error;
+            result = { insertedId: reusedId };
+        }
+        await confirmSeat(contestId, participantEmail);
+        if (quote.promo) {
+            await recordRedemption({
+                promoId: quote.promo._id.toString(),
+                code: quote.promo.code,
+                email: participantEmail,
+                contestId,
+                participationId: result.insertedId,
+                discount: quote.discount,
+                claimed: true
+            });
+        }
+
+        await adjustParticipantsCount(contestId, 1);
+        await db.users.updateOne(
+            { email: participantEmail },
+            { $inc: { participatedCount: 1 } }
+        );
+        if (teamId) {
+            await completeTeamEntry(teamId, participantEmail);
+        }
+        return result;
+    };
+
+    // Flips a paid participation to refunded and rolls the counters back. The
+    // status guard makes this safe to race against the charge.refunded webhook.
+    const markRefunded = async (filter, refundFields) => {
+        const participation = await db.participated.findOneAndUpdate(
+            { ...filter, paymentStatus: { $ne: 'refunded' } },
+            {
+                $set: { paymentStatus: 'refunded', refundedAt: new Date(), ...refundFields },
+                $unset: { refundError: '' }
+            }
+        );
+
+        if (participation) {
+            await adjustParticipantsCount(participation.contestId, -1);
+            await freeSeat(participation.contestId);
+            await db.users.updateOne(
+                { email: participation.participantEmail },
+                { $inc: { participatedCount: -1 } }
+            );
+            await recordRefundLedger({ ...participation, ...refundFields });
+
+            // Teammates the refunded payment covered drop out with it
+            if (participation.teamId) {
+                await db.teams.updateOne(
+                    { _id: new ObjectId(participation.teamId), status: 'registered' },
+                    { $set: { status: 'locked' } }
+                );
+                const covered = await db.participated.find({
+                    teamId: participation.teamId,
+                    paidBy: participation.participantEmail,
+                    paymentStatus: { $ne: 'refunded' }
+                }).toArray();
+                for (const teammate of covered) {
+                    await db.participated.updateOne(
+                        { _id: teammate._id },
+                        { $set: { paymentStatus: 'refunded', refundedAt: new Date() } }
+                    );
+                    await adjustParticipantsCount(teammate.contestId, -1);
+                    await db.users.updateOne({ email: teammate.participantEmail }, { $inc: { participatedCount: -1 } });
+                }
+            }
+        }
+        return participation;
+    };
+
+    const recordRefund = async (charge) => {
+        await markRefunded({ transactionId: charge.payment_intent }, { refundId: charge.refunds?.data?.[0]?.id });
+    };
+
+    const refundParticipation = async (participation) => {
+        try {
+            const refund = await stripe.refunds.create(
+                { payment_intent: participation.transactionId, metadata: { contestId: participation.contestId } },
+                { idempotencyKey: `refund-${participation.transactionId}` }
+            );
+            await markRefunded({ _id: participation._id }, { refundId: refund.id });
+            return true;
+        } catch (error) {
+            console.error("Stripe refund failed:", error);
+            await db.participated.updateOne(
+                { _id: participation._id },
+                { $set: { paymentStatus: 'refund_failed', refundError: error.message } }
+            );
+            return false;
+        }
+    };
+
+    // Refunds every paid entry of a contest. Pass `onlyFailed` to retry just the
+    // participations a previous run could not refund.
+    const refundContestParticipations = async (contestId, { onlyFailed = false } = {}) => {
+        const filter = { contestId, ...UNREFUNDED_PAYMENT };
+        if (onlyFailed) {
+            filter.paymentStatus = 'refund_failed';
+        }
+        const participations = await db.participated.find(filter).toArray();
+
+        const summary = { attempted: participations.length, refunded: 0, failed: 0 };
+        for (const participation of participations) {
+            if (await refundParticipation(participation)) {
+                summary.refunded++;
+            } else {
+                summary.failed++;
+            }
+        }
+        return summary;
+    };
+
+    return { adjustParticipantsCount, recordParticipation, recordFreeEntry, markRefunded, recordRefund, refundContestParticipations };
+};
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { NOT_DELETED } from "./archive.js";
+
+// =================================================
+// PUBLIC PROFILES & FOLLOWS
+// =================================================
+//
+// Public pages address users by `slug` (or _id) so emails never leave the API.
+// Slugs are made once from the name and kept, so shared links don't break.
+
+export const slugify = (name) => (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'creator';
+
+// Slugs can't look like ids, or /creators/:handle couldn't tell them apart
+const isIdLike = (handle) => /^[0-9a-f]{24}$/i.test(handle);
+
+export const createProfiles = (db) => {
+    // Gives the user a slug if they don't have one yet and returns it
+    const ensureSlug = async (user) => {
+        if (user.slug) return user.slug;
+        const base = slugify(user.name);
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const suffix = attempt ? `-${crypto.randomBytes(3).toString('hex')}` : '';
+            const slug = isIdLike(base + suffix) ? `${base}-${crypto.randomBytes(3).toString('hex')}` : base + suffix;
+            try {
+                const result = await db.users.updateOne({ _id: user._id, slug: { $exists: false } }, { $set: { slug } });
+                if (result.modifiedCount) return slug;
+                // Someone else gave this user a slug in the meantime
+                return (await db.users.findOne({ _id: user._id }, { projection: { slug: 1 } }))?.slug;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+        throw new Error(`Could not find a free slug for "${base}"`);
+    };
+
+    // A live (not deleted) user by slug or id
+    const findByHandle = async (handle) => {
+        const filter = isIdLike(handle) ? { _id: new ObjectId(handle) } : { slug: handle.toLowerCase() };
+        return db.users.findOne({ ...filter, ...NOT_DELETED });
+    };
+
+    const follow = async (followerEmail, creator) => {
+        const result = await db.follows.updateOne(
+            { followerEmail, creatorEmail: creator.email },
+            { $setOnInsert: { creatorId: creator._id.toString(), createdAt: new Date() } },
+            { upsert: true }
+        );
+        return !!result.upsertedCount;
+    };
+
+    const unfollow = async (followerEmail, creator) => {
+        const result = await db.follows.deleteOne({ followerEmail, creatorEmail: creator.email });
+        return result.deletedCount > 0;
+    };
+
+    const followedCreatorEmails = async (followerEmail) => {
+        const follows = await db.follows.find({ followerEmail }, { projection: { creatorEmail: 1 } }).toArray();
+        return follows.map(f => f.creatorEmail);
+    };
+
+    const followersCount = (creatorEmail) => db.follows.countDocuments({ creatorEmail });
+
+    return { ensureSlug, findByHandle, follow, unfollow, followedCreatorEmails, followersCount };
+};
@@ -0,0 +1,99 @@
+// =================================================
+// PROMO CODES
+// =================================================
+//
+// promo_codes_collections holds one document per code, e.g.
+//   { code: 'SPRING25', kind: 'percent', amount: 25, contestId: null,
+//     maxRedemptions: 100, maxPerUser: 1, expiresAt, active: true, redemptions: 3 }
+// `contestId: null` makes a code global (admins only). Every use is also kept in
+// promo_redemptions_collections, which is what the per-user cap counts.
+//
+// Caps are checked when a price is quoted. Paid checkouts count the use when
+// Stripe confirms the payment, so sessions already open when a code runs out
+// still go through; free entries claim their use atomically before registering.
+
+// Stripe won't charge a card less than 50 cents (USD)
+export const MINIMUM_CHARGE = 0.5;
+
+export const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const discountOf = (promo, originalPrice) => {
+    const cents = promo.kind === 'percent'
+        ? Math.round(toCents(originalPrice) * promo.amount / 100)
+        : toCents(promo.amount);
+    return Math.min(cents, toCents(originalPrice)) / 100;
+};
+
+export const createPromos = (db) => {
+    // Why `promo` can't be used by `email` on `contest` right now, or null
+    const unusableReason = async (promo, contest, email, now = new Date()) => {
+        if (!promo || !promo.active) return 'Invalid promo code';
+        if (promo.expiresAt && new Date(promo.expiresAt) <= now) return 'This promo code has expired';
+        if (promo.contestId && promo.contestId !== contest._id.toString()) return 'This promo code does not apply to this contest';
+        if (promo.maxRedemptions && promo.redemptions >= promo.maxRedemptions) return 'This promo code has been fully redeemed';
+        if (promo.maxPerUser && await db.promoRedemptions.countDocuments({ promoId: promo._id.toString(), email }) >= promo.maxPerUser) {
+            return 'You have already used this promo code';
+        }
+        return null;
+    };
+
+    // The entry fee `email` pays for `contest`, always from the stored contest.
+    // Returns { price, originalPrice, discount, promo } or { error }; a price
+    // Stripe can't charge (above zero but under MINIMUM_CHARGE) is an error.
+    const priceEntry = async (contest, { code, email } = {}) => {
+        const originalPrice = contest.entryFee || 0;
+        if (!code) {
+            if (originalPrice > 0 && originalPrice < MINIMUM_CHARGE) {
+                return { error: `Entry fees under $${MINIMUM_CHARGE.toFixed(2)} can't be paid by card` };
+            }
+            return { price: originalPrice, originalPrice, discount: 0, promo: null };
+        }
+        const promo = await db.promoCodes.findOne({ code: normalizeCode(code) });
+        const error = await unusableReason(promo, contest, email);
+        if (error) {
+            return { error };
+        }
+        const discount = discountOf(promo, originalPrice);
+        const price = (toCents(originalPrice) - toCents(discount)) / 100;
+        if (price > 0 && price < MINIMUM_CHARGE) {
+            return { error: `This promo code leaves less than the $${MINIMUM_CHARGE.toFixed(2)} minimum card payment` };
+        }
+        return { price, originalPrice, discount, promo };
+    };
+
+    // Takes one use of a capped code, unless someone else just took the last one
+    const claim = async (promo) => {
+        const filter = { _id: promo._id };
+        if (promo.maxRedemptions) {
+            filter.redemptions = { $lt: promo.maxRedemptions };
+        }
+        const result = await db.promoCodes.updateOne(filter, { $inc: { redemptions: 1 } });
+        return result.modifiedCount > 0;
+    };
+
+    // Gives back a use taken by claim() when the entry didn't go through
+    const unclaim = (promo) => db.promoCodes.updateOne(
+        { _id: promo._id, redemptions: { $gt: 0 } },
+        { $inc: { redemptions: -1 } }
+    );
+
+    // Logs a use; `claimed` means the counter was already bumped by claim()
+    const recordRedemption = async ({ promoId, code, email, contestId, participationId, discount, claimed = false }) => {
+        if (!claimed) {
+            await db.promoCodes.updateOne({ code }, { $inc: { redemptions: 1 } });
+        }
+        await db.promoRedemptions.insertOne({
+            promoId,
+            code,
+            email,
+            contestId,
+            participationId: participationId?.toString(),
+            discount,
+            createdAt: new Date()
+        });
+    };
+
+    return { priceEntry, claim, unclaim, recordRedemption };
+};
@@ -0,0 +1,274 @@
+import { NOT_DELETED } from "./archive.js";
+import { prizeShares } from "./teams.js";
+
+// =================================================
+// LEADERBOARD RANKINGS
+// =================================================
+//
+// rankings_collections holds one row per user, time window and contest type
+// ('All' covers every type), e.g.
+//   { window: 'monthly', period: '2026-10', type: 'Design', email,
+//     contests, wins, podiums, prizeMoney, hidden }
+// `hidden` marks the rows of deleted users, who keep them but drop off the board.
+// A closed contest counts in the windows of the day its winners were declared.
+// Rows are bumped when winners are declared and can be rebuilt from the
+// contests and participations at any time. Deployments that predate the
+// collection get it built on the first leaderboard read.
+
+export const LEADERBOARD_WINDOWS = ['weekly', 'monthly', 'all-time'];
+export const ALL_TYPES = 'All';
+
+// Better rank first; email keeps ties in a stable order
+export const RANKING_SORT = { wins: -1, podiums: -1, prizeMoney: -1, email: 1 };
+
+// ISO 8601 week, e.g. 2026-W42 (weeks start on Monday, in UTC)
+const isoWeek = (date) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    // The Thursday of the week decides which year it belongs to
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day - yearStart) / (24 * 60 * 60 * 1000) + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+export const periodOf = (window, date = new Date()) => {
+    if (window === 'weekly') return isoWeek(date);
+    if (window === 'monthly') return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    return 'all';
+};
+
+// Contests declared before declaredAt existed fall back to their deadline
+const resultDate = (contest) => new Date(contest.declaredAt || contest.deadline || Date.now());
+
+const scopesOf = (contest) => {
+    const date = resultDate(contest);
+    const types = contest.type && contest.type !== ALL_TYPES ? [ALL_TYPES, contest.type] : [ALL_TYPES];
+    return LEADERBOARD_WINDOWS.flatMap(window => types.map(type => ({ window, period: periodOf(window, date), type })));
+};
+
+// Legacy contests only have a single `winner`, who took the whole prize
+const placementsOf = (contest) => contest.placements
+    || (contest.winner ? [{ place: 1, prizeMoney: contest.prizeMoney || 0, ...contest.winner }] : []);
+
+// Whether row `a` ranks strictly above row `b`
+const betterThan = (a, b) =>
+    a.wins !== b.wins ? a.wins > b.wins
+        : a.podiums !== b.podiums ? a.podiums > b.podiums
+            : a.prizeMoney > b.prizeMoney;
+
+export const createRankings = (db) => {
+    // What one closed contest adds to each participant's row
+    const contestResults = async (contest, placements) => {
+        const results = new Map();
+        const entries = await db.participated.find(
+            { contestId: contest._id.toString(), paymentStatus: { $ne: 'refunded' } },
+            { projection: { participantEmail: 1 } }
+        ).toArray();
+        // Team placements count for every member, who each get their share of the prize
+        const membersOf = (placement) => placement.memberEmails || [placement.email];
+        for (const email of [...entries.map(e => e.participantEmail), ...placements.flatMap(membersOf)]) {
+            results.set(email, { contests: 1, wins: 0, podiums: 0, prizeMoney: 0 });
+        }
+        for (const placement of placements) {
+            for (const { email, prizeMoney } of prizeShares(placement)) {
+                const result = results.get(email);
+                if (placement.place === 1) result.wins = 1;
+                if (placement.place && placement.place <= 3) result.podiums = 1;
+                result.prizeMoney = prizeMoney;
+            }
+        }
+        return results;
+    };
+
+    // Emails of deleted users (among `emails`, if given), whose rows stay hidden
+    const deletedEmails = async (emails) => new Set((await db.users.find(
+        { ...(emails && { email: { $in: emails } }), deletedAt: { $ne: null } },
+        { projection: { email: 1 } }
+    ).toArray()).map(user => user.email));
+
+    // Called once per contest, right after its winners are declared
+    const recordContestResults = async (contest, placements) => {
+        const results = await contestResults(contest, placements);
+        const deleted = await deletedEmails([...results.keys()]);
+        const updatedAt = new Date();
+        for (const scope of scopesOf(contest)) {
+            for (const [email, result] of results) {
+                await db.rankings.updateOne(
+                    { ...scope, email },
+                    { $inc: result, $set: { updatedAt, ...(deleted.has(email) && { hidden: true }) } },
+                    { upsert: true }
+                );
+            }
+        }
+    };
+
+    // Rebuilds every ranking row and the users' wins, podiums, participatedCount
+    // and winPercentage from the closed contests and participations.
+    const recomputeAll = async () => {
+        const contests = await db.contests.find({
+            status: 'Closed',
+            ...NOT_DELETED,
+            $or: [{ placements: { $exists: true } }, { winner: { $exists: true } }]
+        }).toArray();
+
+        const deleted = await deletedEmails();
+        const rows = new Map();
+        const stats = new Map();
+        const updatedAt = new Date();
+        for (const contest of contests) {
+            const results = await contestResults(contest, placementsOf(contest));
+            for (const scope of scopesOf(contest)) {
+                for (const [email, result] of results) {
+                    const key = `${scope.window}|${scope.period}|${scope.type}|${email}`;
+                    const row = rows.get(key) || {
+                        ...scope,
+                        email,
+                        contests: 0,
+                        wins: 0,
+                        podiums: 0,
+                        prizeMoney: 0,
+                        ...(deleted.has(email) && { hidden: true }),
+                        updatedAt
+                    };
+                    for (const field of ['contests', 'wins', 'podiums', 'prizeMoney']) row[field] += result[field];
+                    rows.set(key, row);
+                }
+            }
+            for (const [email, result] of results) {
+                const stat = stats.get(email) || { wins: 0, podiums: 0 };
+                stat.wins += result.wins;
+                stat.podiums += result.podiums;
+                stats.set(email, stat);
+            }
+        }
+
+        // Readers briefly see an empty board while it is rebuilt
+        await db.rankings.deleteMany({});
+        if (rows.size) {
+            await db.rankings.insertMany([...rows.values()]);
+        }
+
+        const entryCounts = await db.participated.aggregate([
+            { $match: { paymentStatus: { $ne: 'refunded' } } },
+            { $group: { _id: '$participantEmail', count: { $sum: 1 } } }
+        ]).toArray();
+        const participated = new Map(entryCounts.map(entry => [entry._id, entry.count]));
+
+        const users = await db.users.find({}, { projection: { email: 1 } }).toArray();
+        for (const user of users) {
+            const { wins, podiums } = stats.get(user.email) || { wins: 0, podiums: 0 };
+            const participatedCount = participated.get(user.email) || 0;
+            await db.users.updateOne({ _id: user._id }, {
+                $set: {
+                    wins,
+                    podiums,
+                    participatedCount,
+                    winPercentage: participatedCount ? (wins / participatedCount) * 100 : 0
+                }
+            });
+        }
+        return { contests: contests.length, rankings: rows.size, users: users.length };
+    };
+
+    // Builds the rows from scratch when the collection is still empty but
+    // results exist. Runs once per instance; a concurrent build elsewhere wins.
+    let backfill = null;
+    const ensureRankings = () => {
+        backfill ||= (async () => {
+            if (await db.rankings.estimatedDocumentCount()) return;
+            const results = await db.contests.countDocuments({
+                status: 'Closed',
+                ...NOT_DELETED,
+                $or: [{ placements: { $exists: true } }, { winner: { $exists: true } }]
+            }, { limit: 1 });
+            if (!results) return;
+            try {
+                await recomputeAll();
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        })().catch((error) => {
+            backfill = null;
+            throw error;
+        });
+        return backfill;
+    };
+
+    // Called when a user is deleted or restored
+    const setHidden = (email, hidden) => db.rankings.updateMany(
+        { email },
+        hidden ? { $set: { hidden: true } } : { $unset: { hidden: '' } }
+    );
+
+    const scopeFilter = ({ window, type }, now = new Date()) => ({
+        window,
+        period: periodOf(window, now),
+        type,
+        hidden: { $ne: true }
+    });
+
+    const countAbove = (filter, row) => db.rankings.countDocuments({
+        ...filter,
+        $or: [
+            { wins: { $gt: row.wins } },
+            { wins: row.wins, podiums: { $gt: row.podiums } },
+            { wins: row.wins, podiums: row.podiums, prizeMoney: { $gt: row.prizeMoney } }
+        ]
+    });
+
+    // Rows come back with their competition rank (ties share a rank) and the
+    // user's current name and photo. `winnersOnly` leaves out rows without a win.
+    const leaderboardPage = async (scope, { page = 1, limit = 10, winnersOnly = false } = {}) => {
+        await ensureRankings();
+        const filter = { ...scopeFilter(scope), ...(winnersOnly && { wins: { $gt: 0 } }) };
+        const totalCount = await db.rankings.countDocuments(filter);
+        const rows = await db.rankings.find(filter, { sort: RANKING_SORT })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        const users = await db.users.find(
+            { email: { $in: rows.map(row => row.email) } },
+            { projection: { name: 1, email: 1, photo: 1 } }
+        ).toArray();
+        const offset = (page - 1) * limit;
+        let rank = rows.length ? 1 + await countAbove(filter, rows[0]) : 0;
+        const leaderboard = rows.map((row, index) => {
+            if (index > 0 && betterThan(rows[index - 1], row)) rank = offset + index + 1;
+            const user = users.find(u => u.email === row.email);
+            return {
+                _id: user?._id,
+                rank,
+                email: row.email,
+                name: user?.name,
+                photo: user?.photo,
+                contests: row.contests,
+                wins: row.wins,
+                podiums: row.podiums,
+                prizeMoney: row.prizeMoney,
+                winPercentage: row.contests ? (row.wins / row.contests) * 100 : 0
+            };
+        });
+        return { leaderboard, totalCount, window: scope.window, period: filter.period, type: scope.type };
+    };
+
+    const rankOf = async (scope, email) => {
+        await ensureRankings();
+        const filter = scopeFilter(scope);
+        const row = await db.rankings.findOne({ ...filter, email });
+        const base = { window: scope.window, period: filter.period, type: scope.type };
+        if (!row) {
+            return { ...base, rank: null };
+        }
+        return {
+            ...base,
+            rank: 1 + await countAbove(filter, row),
+            contests: row.contests,
+            wins: row.wins,
+            podiums: row.podiums,
+            prizeMoney: row.prizeMoney
+        };
+    };
+
+    return { recordContestResults, recomputeAll, setHidden, leaderboardPage, rankOf };
+};
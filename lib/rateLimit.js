@@ -0,0 +1,137 @@
+// =================================================
+// RATE LIMITING
+// =================================================
+//
+// Fixed-window counters. A policy is a list of buckets, each counting requests
+// per client IP (`by: 'ip'`) or per signed-in account (`by: 'user'`, needs
+// verifyToken to run first and is skipped for anonymous requests). A request
+// over any bucket's limit gets a 429 with Retry-After.
+
+export const RATE_LIMIT_POLICIES = {
+    signup: [{ by: 'ip', limit: 10, windowSeconds: 60 * 60 }],
+    auth: [{ by: 'ip', limit: 30, windowSeconds: 15 * 60 }],
+    checkout: [{ by: 'ip', limit: 10, windowSeconds: 60 }],
+    search: [{ by: 'ip', limit: 120, windowSeconds: 60 }],
+    // Entries, submissions and uploads
+    writes: [
+        { by: 'ip', limit: 120, windowSeconds: 60 },
+        { by: 'user', limit: 30, windowSeconds: 60 }
+    ],
+    // Exports and data archives read whole collections
+    exports: [{ by: 'user', limit: 30, windowSeconds: 60 * 60 }]
+};
+
+// RATE_LIMITS='{"auth":[{"by":"ip","limit":5,"windowSeconds":60}]}' replaces single policies
+export const loadRateLimitPolicies = (raw = process.env.RATE_LIMITS) => {
+    if (!raw) return RATE_LIMIT_POLICIES;
+    return { ...RATE_LIMIT_POLICIES, ...JSON.parse(raw) };
+};
+
+// Per process: good for a single server, but every serverless instance counts on its own
+export const createMemoryRateLimitStore = () => {
+    const buckets = new Map();
+
+    const hit = async (key, windowMs, now = Date.now()) => {
+        let bucket = buckets.get(key);
+        if (!bucket || bucket.resetAt <= now) {
+            // Expired buckets are only dropped when new ones are made
+            if (buckets.size > 10000) {
+                for (const [k, b] of buckets) if (b.resetAt <= now) buckets.delete(k);
+            }
+            bucket = { count: 0, resetAt: now + windowMs };
+            buckets.set(key, bucket);
+        }
+        bucket.count++;
+        return { count: bucket.count, resetAt: bucket.resetAt };
+    };
+
+    return { hit };
+};
+
+// Shared by every instance. One document per key and window, removed by the
+// TTL index on expiresAt (see lib/db.js).
+export const createMongoRateLimitStore = ({ connect }) => {
+    const hit = async (key, windowMs, now = Date.now()) => {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const resetAt = windowStart + windowMs;
+        const { rateLimits } = await connect();
+        const bucket = await rateLimits.findOneAndUpdate(
+            { _id: `${key}:${windowStart}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        return { count: bucket.count, resetAt };
+    };
+
+    return { hit };
+};
+
+const stores = {
+    memory: () => createMemoryRateLimitStore(),
+    mongodb: (options) => createMongoRateLimitStore(options)
+};
+
+export const registerRateLimitStore = (name, factory) => {
+    stores[name] = factory;
+};
+
+export const createRateLimitStore = ({ store = process.env.RATE_LIMIT_STORE || 'memory', ...options } = {}) => {
+    if (!stores[store]) {
+        throw new Error(`Unknown rate limit store: ${store}`);
+    }
+    return stores[store](options);
+};
+
+export const createRateLimiter = ({ store, policies = loadRateLimitPolicies() }) => {
+    // rateLimit('auth') -> middleware enforcing that policy
+    const rateLimit = (name) => {
+        const buckets = policies[name];
+        if (!buckets) {
+            throw new Error(`Unknown rate limit policy: ${name}`);
+        }
+
+        return async (req, res, next) => {
+            const now = Date.now();
+            // Headers describe the bucket closest to its limit
+            let tightest = null;
+            let blockedUntil = 0;
+            try {
+                for (const bucket of buckets) {
+                    const client = bucket.by === 'user' ? req.decoded?.email : req.ip;
+                    if (!client) continue;
+
+                    const windowMs = bucket.windowSeconds * 1000;
+                    const { count, resetAt } = await store.hit(`${name}:${bucket.by}:${client}`, windowMs, now);
+                    const remaining = Math.max(bucket.limit - count, 0);
+                    if (!tightest || remaining < tightest.remaining) {
+                        tightest = { limit: bucket.limit, remaining, resetAt };
+                    }
+                    if (count > bucket.limit) {
+                        blockedUntil = Math.max(blockedUntil, resetAt);
+                    }
+                }
+            } catch (error) {
+                // A broken store shouldn't take the API down with it
+                console.error("Rate limit store failed:", error.message);
+                return next();
+            }
+            if (!tightest) {
+                return next();
+            }
+
+            const secondsUntil = (time) => Math.max(Math.ceil((time - now) / 1000), 1);
+            res.set({
+                'RateLimit-Limit': String(tightest.limit),
+                'RateLimit-Remaining': String(tightest.remaining),
+                'RateLimit-Reset': String(secondsUntil(tightest.resetAt))
+            });
+            if (blockedUntil) {
+                res.set('Retry-After', String(secondsUntil(blockedUntil)));
+                return res.status(429).send({ message: 'Too many requests, please try again later' });
+            }
+            next();
+        };
+    };
+
+    return { rateLimit };
+};
@@ -0,0 +1,557 @@
+import { ObjectId } from "mongodb";
+
+// =================================================
+// REQUEST / COLLECTION SCHEMAS
+// =================================================
+//
+// Each schema maps a field name to a rule:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'date' | 'email' | 'objectId'
+//             | 'stringArray' | 'numberArray' | 'objectIdArray'
+//             | 'objectArray' (each item validated against the `items` schema)
+//             | 'object' (validated against the `properties` schema)
+//   required  must be present (ignored for partial updates)
+//   writable  false = stored by the server only, never accepted from a request body
+//   enum, min, max, maxLength, maxSum (numberArray)
+//
+// The same definitions drive the request validator below and the MongoDB
+// $jsonSchema validators installed on the collections.
+
+export const CONTEST_STATUSES = ['Pending', 'Confirmed', 'Rejected', 'Open', 'Judging', 'Closed', 'Cancelled'];
+export const USER_ROLES = ['Normal User', 'Contest Creator', 'Admin'];
+// Which documents a listing shows: the live ones (default), all, or only the soft-deleted
+export const DELETED_VIEWS = ['exclude', 'include', 'only'];
+export const PROMO_KINDS = ['percent', 'fixed'];
+// Who pays a team's entry fee: the captain all of it, or every member a share
+export const TEAM_PAYMENT_MODES = ['captain', 'split'];
+// Time buckets of analytics reports (weeks start on Monday)
+export const ANALYTICS_INTERVALS = ['day', 'week'];
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const NOTIFICATION_EVENTS = [
+    'contest_approved',
+    'contest_rejected',
+    'contest_cancelled',
+    'payment_confirmed',
+    'deadline_approaching',
+    'winner_declared',
+    'waitlist_promoted',
+    'team_invite',
+    'contest_announcement',
+    'question_answered'
+];
+export const REPORT_STATUSES = ['open', 'resolved'];
+
+export const criterionSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    weight: { type: 'number', required: true, min: 0 },
+    maxPoints: { type: 'number', required: true, min: 1 }
+};
+
+export const contestSchema = {
+    name: { type: 'string', required: true, maxLength: 150 },
+    image: { type: 'string' },
+    description: { type: 'string', maxLength: 5000 },
+    taskInstruction: { type: 'string', maxLength: 5000 },
+    type: { type: 'string', required: true, maxLength: 50 },
+    tags: { type: 'stringArray' },
+    entryFee: { type: 'number', required: true, min: 0 },
+    prizeMoney: { type: 'number', required: true, min: 0 },
+    // Percentage of prizeMoney per placement: [50, 30, 20] = 1st, 2nd, 3rd
+    prizeSplits: { type: 'numberArray', min: 0, maxSum: 100 },
+    startDate: { type: 'date' },
+    deadline: { type: 'date', required: true },
+    creatorEmail: { type: 'email', writable: false },
+    creatorName: { type: 'string', writable: false },
+    creatorSlug: { type: 'string', writable: false },
+    status: { type: 'string', enum: CONTEST_STATUSES, writable: false },
+    participantsCount: { type: 'integer', min: 0, writable: false },
+    // Maximum number of participants; leave out for no limit
+    capacity: { type: 'integer', min: 1 },
+    // Team contests take entries from teams of minTeamSize to maxTeamSize members
+    teamContest: { type: 'boolean' },
+    minTeamSize: { type: 'integer', min: 1 },
+    maxTeamSize: { type: 'integer', min: 1 },
+    seatsLeft: { type: 'integer', writable: false },
+    rubric: { type: 'objectArray', items: criterionSchema, writable: false },
+    judges: { type: 'stringArray', writable: false },
+    rejectionReason: { type: 'string', maxLength: 1000, writable: false },
+    declaredAt: { type: 'date', writable: false },
+    deletedAt: { type: 'date', writable: false },
+    deletedBy: { type: 'email', writable: false }
+};
+
+// Admin moderation of a contest; rejecting also needs a `reason` (checked in the route)
+// Leaving `capacity` out (or null) removes the limit
+export const capacitySchema = {
+    capacity: { type: 'integer', min: 1 }
+};
+
+export const contestStatusSchema = {
+    status: { type: 'string', required: true, enum: CONTEST_STATUSES },
+    reason: { type: 'string', maxLength: 1000 }
+};
+
+// Query string fields every paginated listing accepts. Passing `cursor` (or
+// `paging=cursor` for the first page) switches from page numbers to cursors.
+export const paginationFields = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 1000 },
+    paging: { type: 'string', enum: ['offset', 'cursor'] },
+    total: { type: 'string', enum: ['none', 'approximate', 'exact'] }
+};
+
+export const userQuerySchema = {
+    ...paginationFields
+};
+
+export const leaderboardQuerySchema = {
+    window: { type: 'string', enum: ['weekly', 'monthly', 'all-time'] },
+    // A contest type; leave out for all types
+    type: { type: 'string', maxLength: 50 },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+};
+
+export const CONTEST_SORTS = ['relevance', 'newest', 'ending', 'prize', 'popular'];
+
+// Query string of the contest listings (approved, closed, admin all)
+export const contestQuerySchema = {
+    search: { type: 'string', maxLength: 200 },
+    type: { type: 'string' },
+    // Comma separated; a contest matches if it has any of them
+    tags: { type: 'string' },
+    status: { type: 'string', enum: CONTEST_STATUSES },
+    minFee: { type: 'number', min: 0 },
+    maxFee: { type: 'number', min: 0 },
+    minPrize: { type: 'number', min: 0 },
+    maxPrize: { type: 'number', min: 0 },
+    deadlineFrom: { type: 'date' },
+    deadlineTo: { type: 'date' },
+    sort: { type: 'string', enum: CONTEST_SORTS },
+    // Admin listing only
+    deleted: { type: 'string', enum: DELETED_VIEWS },
+    ...paginationFields
+};
+
+export const rubricSchema = {
+    criteria: { type: 'objectArray', items: criterionSchema, required: true }
+};
+
+export const judgeSchema = {
+    email: { type: 'email', required: true }
+};
+
+export const scoreSchema = {
+    scores: {
+        type: 'objectArray',
+        required: true,
+        items: {
+            criterion: { type: 'string', required: true },
+            points: { type: 'number', required: true, min: 0 }
+        }
+    },
+    comment: { type: 'string', maxLength: 2000 }
+};
+
+export const declareWinnerSchema = {
+    // Ordered: first id takes 1st place
+    submissionIds: { type: 'objectIdArray' },
+    honourableMentions: { type: 'objectIdArray' },
+    // Legacy single-winner body
+    submissionId: { type: 'objectId' },
+    // Place the top-scoring submissions from the judging results instead
+    autoSelect: { type: 'boolean' }
+};
+
+// Per event, which channels a user wants; anything not set counts as on
+export const notificationPreferencesSchema = Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, {
+    type: 'object',
+    properties: {
+        inApp: { type: 'boolean' },
+        email: { type: 'boolean' }
+    }
+}]));
+
+export const notificationQuerySchema = {
+    unread: { type: 'boolean' },
+    ...paginationFields
+};
+
+export const userSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    photo: { type: 'string' },
+    bio: { type: 'string', maxLength: 1000 },
+    address: { type: 'string', maxLength: 300 },
+    notificationPreferences: { type: 'object', properties: notificationPreferencesSchema },
+    role: { type: 'string', enum: USER_ROLES, writable: false },
+    wins: { type: 'integer', min: 0, writable: false },
+    participatedCount: { type: 'integer', min: 0, writable: false },
+    winPercentage: { type: 'number', min: 0, writable: false },
+    podiums: { type: 'integer', min: 0, writable: false },
+    tokenVersion: { type: 'integer', min: 0, writable: false },
+    slug: { type: 'string', maxLength: 60, writable: false },
+    deletedAt: { type: 'date', writable: false },
+    deletedBy: { type: 'email', writable: false }
+};
+
+export const attachmentSchema = {
+    id: { type: 'string', required: true },
+    key: { type: 'string', required: true },
+    fileName: { type: 'string', required: true },
+    contentType: { type: 'string', required: true },
+    size: { type: 'integer', required: true, min: 0 },
+    uploadedAt: { type: 'date' }
+};
+
+export const submissionSchema = {
+    contestId: { type: 'objectId', required: true },
+    contestName: { type: 'string' },
+    participantEmail: { type: 'email', required: true },
+    submissionLink: { type: 'string', required: true, maxLength: 2000 },
+    notes: { type: 'string', maxLength: 5000 },
+    participantName: { type: 'string', writable: false },
+    // Team entries belong to the whole team; participantEmail is the captain's
+    teamId: { type: 'objectId', writable: false },
+    teamName: { type: 'string', writable: false },
+    memberEmails: { type: 'stringArray', writable: false },
+    submittedAt: { type: 'date', writable: false },
+    updatedAt: { type: 'date', writable: false },
+    version: { type: 'integer', min: 1, writable: false },
+    attachments: { type: 'objectArray', items: attachmentSchema, writable: false },
+    // Earlier versions: { version, submissionLink, notes, attachments, updatedAt }
+    history: { type: 'objectArray', items: {}, writable: false }
+};
+
+// Query string of the admin audit log
+export const auditQuerySchema = {
+    actor: { type: 'email' },
+    action: { type: 'string', maxLength: 100 },
+    targetType: { type: 'string', enum: ['user', 'contest', 'ledger', 'thread', 'reply'] },
+    targetId: { type: 'string', maxLength: 200 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    ...paginationFields
+};
+
+export const payoutSchema = {
+    email: { type: 'email', required: true },
+    kind: { type: 'string', required: true, enum: ['prize', 'creator'] },
+    amount: { type: 'number', required: true, min: 0.01 },
+    // Bank transfer / Stripe payout id; also keeps the same payout from being recorded twice
+    reference: { type: 'string', required: true, maxLength: 200 },
+    contestId: { type: 'objectId' }
+};
+
+export const promoCodeSchema = {
+    code: { type: 'string', required: true, maxLength: 40 },
+    kind: { type: 'string', required: true, enum: PROMO_KINDS },
+    // Percent off, or dollars off for 'fixed'
+    amount: { type: 'number', required: true, min: 0.01 },
+    // Left out for a global code (admins only)
+    contestId: { type: 'objectId' },
+    maxRedemptions: { type: 'integer', min: 1 },
+    maxPerUser: { type: 'integer', min: 1 },
+    expiresAt: { type: 'date' },
+    active: { type: 'boolean' },
+    redemptions: { type: 'integer', min: 0, writable: false },
+    createdBy: { type: 'email', writable: false },
+    createdAt: { type: 'date', writable: false }
+};
+
+// Code, kind, amount and scope are fixed once people may have used the code
+export const promoCodeUpdateSchema = {
+    maxRedemptions: promoCodeSchema.maxRedemptions,
+    maxPerUser: promoCodeSchema.maxPerUser,
+    expiresAt: promoCodeSchema.expiresAt,
+    active: promoCodeSchema.active
+};
+
+export const promoQuerySchema = {
+    contestId: { type: 'objectId' },
+    ...paginationFields
+};
+
+export const analyticsQuerySchema = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    interval: { type: 'string', enum: ANALYTICS_INTERVALS }
+};
+
+export const exportQuerySchema = {
+    format: { type: 'string', enum: EXPORT_FORMATS }
+};
+
+// The user types their own email to confirm
+export const accountDeletionSchema = {
+    confirmEmail: { type: 'email', required: true },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+export const threadSchema = {
+    title: { type: 'string', required: true, maxLength: 150 },
+    body: { type: 'string', required: true, maxLength: 5000 }
+};
+
+export const replySchema = {
+    body: { type: 'string', required: true, maxLength: 5000 }
+};
+
+export const pinSchema = {
+    replyId: { type: 'objectId', required: true }
+};
+
+export const announcementSchema = {
+    title: { type: 'string', required: true, maxLength: 150 },
+    body: { type: 'string', required: true, maxLength: 10000 }
+};
+
+export const reportSchema = {
+    reason: { type: 'string', required: true, maxLength: 500 }
+};
+
+// Admin moderation; replies can only be hidden, threads also locked
+export const moderationSchema = {
+    hidden: { type: 'boolean' },
+    locked: { type: 'boolean' },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+export const discussionQuerySchema = {
+    ...paginationFields
+};
+
+export const reportQuerySchema = {
+    status: { type: 'string', enum: REPORT_STATUSES },
+    ...paginationFields
+};
+
+export const teamSchema = {
+    name: { type: 'string', required: true, maxLength: 80 },
+    paymentMode: { type: 'string', enum: TEAM_PAYMENT_MODES }
+};
+
+export const teamInviteSchema = {
+    email: { type: 'email', required: true }
+};
+
+export const participationSchema = {
+    contestId: { type: 'objectId', required: true },
+    participantEmail: { type: 'email', required: true },
+    transactionId: { type: 'string' },
+    price: { type: 'number', min: 0 },
+    promoCode: { type: 'string', maxLength: 40 },
+    teamId: { type: 'objectId' },
+    // Set on teammates whose share the captain paid
+    paidBy: { type: 'email', writable: false },
+    originalPrice: { type: 'number', min: 0, writable: false },
+    discount: { type: 'number', min: 0, writable: false },
+    paymentTime: { type: 'date', writable: false },
+    paymentStatus: { type: 'string', enum: ['paid', 'refunded', 'refund_failed'], writable: false }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns [value, error]; value is the coerced form of `raw`.
+const coerceField = (rule, raw) => {
+    switch (rule.type) {
+        case 'string':
+            if (typeof raw !== 'string') return [null, 'must be a string'];
+            return [raw.trim(), null];
+        case 'email':
+            if (typeof raw !== 'string' || !EMAIL_PATTERN.test(raw.trim())) return [null, 'must be a valid email'];
+            return [raw.trim(), null];
+        case 'number':
+        case 'integer': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return [null, 'must be a number'];
+            if (rule.type === 'integer' && !Number.isInteger(value)) return [null, 'must be an integer'];
+            return [value, null];
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true') return [true, null];
+            if (raw === false || raw === 'false') return [false, null];
+            return [null, 'must be true or false'];
+        case 'date': {
+            const value = new Date(raw);
+            if (raw === null || raw === '' || typeof raw === 'boolean' || Number.isNaN(value.getTime())) {
+                return [null, 'must be a valid date'];
+            }
+            return [value, null];
+        }
+        case 'objectId':
+            if (typeof raw !== 'string' || !ObjectId.isValid(raw)) return [null, 'must be a valid id'];
+            return [raw, null];
+        case 'stringArray':
+            if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string')) return [null, 'must be a list of strings'];
+            return [raw.map(item => item.trim()).filter(Boolean), null];
+        case 'numberArray': {
+            const values = Array.isArray(raw) ? raw.map(item => typeof item === 'string' && item.trim() !== '' ? Number(item) : item) : null;
+            if (!values || values.some(item => typeof item !== 'number' || !Number.isFinite(item))) return [null, 'must be a list of numbers'];
+            return [values, null];
+        }
+        case 'objectIdArray':
+            if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string' || !ObjectId.isValid(item))) return [null, 'must be a list of valid ids'];
+            return [raw, null];
+        default:
+            return [null, 'has an unknown type'];
+    }
+};
+
+const checkRule = (rule, value) => {
+    if (rule.type === 'numberArray') {
+        if (rule.min !== undefined && value.some(item => item < rule.min)) return `values must be at least ${rule.min}`;
+        if (rule.maxSum !== undefined && value.reduce((sum, item) => sum + item, 0) > rule.maxSum) return `must add up to at most ${rule.maxSum}`;
+        return null;
+    }
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+    return null;
+};
+
+// Whitelists and coerces `body` against `schema`. Unknown and server-only
+// fields are dropped; with `partial` missing required fields are allowed.
+export const validate = (schema, body, { partial = false } = {}) => {
+    const value = {};
+    const errors = [];
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        if (rule.writable === false) continue;
+
+        const raw = input[field];
+        if (raw === undefined || raw === null || raw === '') {
+            if (rule.required && !partial) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            continue;
+        }
+
+        if (rule.type === 'objectArray') {
+            if (!Array.isArray(raw)) {
+                errors.push({ field, message: `${field} must be a list` });
+                continue;
+            }
+            value[field] = raw.map((item, index) => {
+                const nested = validate(rule.items, item);
+                for (const error of nested.errors) {
+                    errors.push({ field: `${field}[${index}].${error.field}`, message: `${field}[${index}].${error.message}` });
+                }
+                return nested.value;
+            });
+            continue;
+        }
+
+        if (rule.type === 'object') {
+            if (typeof raw !== 'object' || Array.isArray(raw)) {
+                errors.push({ field, message: `${field} must be an object` });
+                continue;
+            }
+            const nested = validate(rule.properties, raw, { partial });
+            for (const error of nested.errors) {
+                errors.push({ field: `${field}.${error.field}`, message: `${field}.${error.message}` });
+            }
+            value[field] = nested.value;
+            continue;
+        }
+
+        const [coerced, typeError] = coerceField(rule, raw);
+        const error = typeError || checkRule(rule, coerced);
+        if (error) {
+            errors.push({ field, message: `${field} ${error}` });
+        } else {
+            value[field] = coerced;
+        }
+    }
+
+    return { value, errors };
+};
+
+// Express middleware: replaces req.body with the sanitized value or answers
+// 400 with every field error at once.
+export const validateBody = (schema, options) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length) {
+        return res.status(400).send({ message: 'Validation failed', errors });
+    }
+    req.body = value;
+    next();
+};
+
+const BSON_TYPES = {
+    string: 'string',
+    boolean: 'bool',
+    email: 'string',
+    objectId: 'string',
+    number: ['int', 'long', 'double', 'decimal'],
+    integer: ['int', 'long'],
+    date: 'date',
+    stringArray: 'array',
+    numberArray: 'array',
+    objectIdArray: 'array'
+};
+
+const ITEM_BSON_TYPES = {
+    stringArray: 'string',
+    numberArray: BSON_TYPES.number,
+    objectIdArray: 'string'
+};
+
+export const toJsonSchema = (schema) => {
+    const properties = {};
+    const required = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        if (rule.type === 'objectArray') {
+            properties[field] = { bsonType: 'array', items: toJsonSchema(rule.items).$jsonSchema };
+            if (rule.required) required.push(field);
+            continue;
+        }
+        if (rule.type === 'object') {
+            properties[field] = toJsonSchema(rule.properties).$jsonSchema;
+            if (rule.required) required.push(field);
+            continue;
+        }
+
+        const property = { bsonType: BSON_TYPES[rule.type] };
+        if (rule.enum) property.enum = rule.enum;
+        if (ITEM_BSON_TYPES[rule.type]) {
+            property.items = { bsonType: ITEM_BSON_TYPES[rule.type] };
+        } else {
+            if (rule.min !== undefined) property.minimum = rule.min;
+            if (rule.max !== undefined) property.maximum = rule.max;
+        }
+        if (rule.maxLength !== undefined) property.maxLength = rule.maxLength;
+        properties[field] = property;
+        if (rule.required) required.push(field);
+    }
+
+    // MongoDB rejects an empty `required` list
+    const jsonSchema = { bsonType: 'object', properties };
+    if (required.length) jsonSchema.required = required;
+    return { $jsonSchema: jsonSchema };
+};
+
+const COLLECTION_SCHEMAS = {
+    users_collections: userSchema,
+    contests_collections: contestSchema,
+    participated_collections: participationSchema,
+    submissions_collections: submissionSchema
+};
+
+// "moderate" only validates inserts and documents that were already valid, so
+// legacy records (e.g. string deadlines) can still be updated.
+export const installValidators = async (db) => {
+    const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+
+    for (const [name, schema] of Object.entries(COLLECTION_SCHEMAS)) {
+        const validator = toJsonSchema(schema);
+        if (existing.has(name)) {
+            await db.command({ collMod: name, validator, validationLevel: 'moderate' });
+        } else {
+            await db.createCollection(name, { validator, validationLevel: 'moderate' });
+        }
+    }
+};
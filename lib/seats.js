@@ -0,0 +1,214 @@
+import { ObjectId } from "mongodb";
+import { isAcceptingEntries } from "./lifecycle.js";
+
+// =================================================
+// SEATS & WAITLIST
+// =================================================
+//
+// A contest with a `capacity` keeps `seatsLeft`: capacity minus entries minus
+// live holds. Seats are only ever taken with a conditional $inc on that
+// counter, so two checkouts can't both get the last one.
+//
+// seat_holds_collections keeps a seat for someone who is checking out (or was
+// just promoted from the waitlist) until `expiresAt`:
+//   { contestId, email, expiresAt, sessionId }
+// waitlist_collections queues people for a full contest:
+//   { contestId, email, status: 'waiting' | 'offered', createdAt, offeredAt }
+// Entries leave the waitlist once the person registers.
+// A freed seat goes straight to the next person waiting as a hold.
+
+// Checkout sessions expire with the hold, and Stripe wants that between 30
+// minutes and 24 hours out
+const holdMinutes = () => Math.min(Math.max(Number(process.env.SEAT_HOLD_MINUTES) || 45, 31), 24 * 60);
+const offerHours = () => Math.min(Number(process.env.WAITLIST_OFFER_HOURS) || 24, 24);
+
+const fromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+export const isCapped = (contest) => contest.capacity !== undefined && contest.capacity !== null;
+
+export const createSeats = ({ db, notifications }) => {
+    const { notify } = notifications;
+
+    // Hands a freed seat to the next person waiting, or back to the pool
+    const freeSeat = async (contestId) => {
+        const contest = await db.contests.findOne({ _id: new ObjectId(contestId) });
+        if (!contest || !isCapped(contest)) return null;
+
+        if (isAcceptingEntries(contest)) {
+            const expiresAt = fromNow(offerHours() * 60);
+            const next = await db.waitlist.findOneAndUpdate(
+                { contestId, status: 'waiting' },
+                { $set: { status: 'offered', offeredAt: new Date() } },
+                { sort: { _id: 1 }, returnDocument: 'after' }
+            );
+            if (next) {
+                await db.seatHolds.insertOne({ contestId, email: next.email, expiresAt, createdAt: new Date() });
+                await notify([next.email], 'waitlist_promoted', { contestId, contestName: contest.name, expiresAt });
+                return next.email;
+            }
+        }
+        await db.contests.updateOne({ _id: contest._id }, { $inc: { seatsLeft: 1 } });
+        return null;
+    };
+
+    const releaseHold = async (hold) => {
+        const result = await db.seatHolds.deleteOne({ _id: hold._id });
+        if (!result.deletedCount) return false;
+        // An offer that ran out puts nobody back in the queue
+        await db.waitlist.deleteOne({ contestId: hold.contestId, email: hold.email, status: 'offered' });
+        await freeSeat(hold.contestId);
+        return true;
+    };
+
+    // Gives back the seats of holds that ran out (all contests, or one)
+    const releaseExpired = async (contestId, now = new Date()) => {
+        const filter = { expiresAt: { $lte: now } };
+        if (contestId) filter.contestId = contestId;
+        const holds = await db.seatHolds.find(filter).toArray();
+        let released = 0;
+        for (const hold of holds) {
+            if (await releaseHold(hold)) released++;
+        }
+        return released;
+    };
+
+    // Stripe gave up on a checkout; only its own hold goes, in case the user
+    // opened a newer session since
+    const releaseSession = async (session) => {
+        const hold = await db.seatHolds.findOne({ sessionId: session.id });
+        return hold ? releaseHold(hold) : false;
+    };
+
+    // Keeps a seat for `email` while they check out. Returns { hold } (null
+    // for contests without a capacity) or { full: true }.
+    const reserve = async (contest, email) => {
+        if (!isCapped(contest)) return { hold: null };
+        const contestId = contest._id.toString();
+        await releaseExpired(contestId);
+
+        const expiresAt = fromNow(holdMinutes());
+        const existing = await db.seatHolds.findOneAndUpdate(
+            { contestId, email },
+            { $max: { expiresAt } },
+            { returnDocument: 'after' }
+        );
+        if (existing) return { hold: existing };
+
+        const taken = await db.contests.updateOne(
+            { _id: contest._id, seatsLeft: { $gt: 0 } },
+            { $inc: { seatsLeft: -1 } }
+        );
+        if (!taken.modifiedCount) return { full: true };
+
+        const hold = { contestId, email, expiresAt, createdAt: new Date() };
+        try {
+            await db.seatHolds.insertOne(hold);
+        } catch (error) {
+            // A parallel request by the same user got there first; keep theirs
+            await db.contests.updateOne({ _id: contest._id }, { $inc: { seatsLeft: 1 } });
+            if (error.code !== 11000) throw error;
+            return { hold: await db.seatHolds.findOne({ contestId, email }) };
+        }
+        return { hold };
+    };
+
+    const attachSession = (hold, sessionId) =>
+        db.seatHolds.updateOne({ _id: hold._id }, { $set: { sessionId } });
+
+    // Turns the user's hold into their entry. Someone who paid after their hold
+    // ran out still gets in, even if that overbooks the contest by one.
+    const confirmSeat = async (contestId, email) => {
+        const held = await db.seatHolds.deleteOne({ contestId, email });
+        await db.waitlist.deleteOne({ contestId, email });
+        if (!held.deletedCount) {
+            await db.contests.updateOne(
+                { _id: new ObjectId(contestId), capacity: { $ne: null } },
+                { $inc: { seatsLeft: -1 } }
+            );
+        }
+    };
+
+    const waitlistPosition = async (contestId, email) => {
+        const entry = await db.waitlist.findOne({ contestId, email });
+        if (!entry) return { status: null };
+        const hold = entry.status === 'offered' ? await db.seatHolds.findOne({ contestId, email }) : null;
+        return {
+            status: entry.status,
+            position: entry.status === 'waiting'
+                ? await db.waitlist.countDocuments({ contestId, status: 'waiting', _id: { $lte: entry._id } })
+                : null,
+            expiresAt: hold?.expiresAt
+        };
+    };
+
+    // Returns false if the contest has seats to take right now
+    const joinWaitlist = async (contest, email) => {
+        const contestId = contest._id.toString();
+        await releaseExpired(contestId);
+        const fresh = await db.contests.findOne({ _id: contest._id }, { projection: { seatsLeft: 1 } });
+        if (fresh.seatsLeft > 0) return false;
+        await db.waitlist.updateOne(
+            { contestId, email },
+            { $setOnInsert: { status: 'waiting', createdAt: new Date() } },
+            { upsert: true }
+        );
+        return true;
+    };
+
+    // Leaving after an offer hands the held seat on
+    const leaveWaitlist = async (contestId, email) => {
+        const entry = await db.waitlist.findOneAndDelete({ contestId, email });
+        if (!entry) return false;
+        if (entry.status === 'offered') {
+            const hold = await db.seatHolds.findOne({ contestId, email });
+            if (hold) await releaseHold(hold);
+        }
+        return true;
+    };
+
+    // Sets (or with null removes) the cap. New seats go to the waitlist first.
+    const setCapacity = async (contest, capacity) => {
+        const contestId = contest._id.toString();
+        if (capacity === null) {
+            await db.contests.updateOne({ _id: contest._id }, { $unset: { capacity: '', seatsLeft: '' } });
+        } else if (isCapped(contest)) {
+            await db.contests.updateOne(
+                { _id: contest._id, capacity: contest.capacity },
+                { $set: { capacity }, $inc: { seatsLeft: capacity - contest.capacity } }
+            );
+        } else {
+            const holds = await db.seatHolds.countDocuments({ contestId });
+            await db.contests.updateOne(
+                { _id: contest._id },
+                { $set: { capacity, seatsLeft: capacity - (contest.participantsCount || 0) - holds } }
+            );
+        }
+
+        const updated = await db.contests.findOne({ _id: contest._id });
+        if (!isCapped(updated)) {
+            // Nobody needs to queue any more; whoever was offered a seat keeps it until it runs out
+            await db.waitlist.deleteMany({ contestId, status: 'waiting' });
+            return updated;
+        }
+        while (updated.seatsLeft > 0 && await db.waitlist.countDocuments({ contestId, status: 'waiting' })) {
+            await db.contests.updateOne({ _id: contest._id }, { $inc: { seatsLeft: -1 } });
+            await freeSeat(contestId);
+            updated.seatsLeft--;
+        }
+        return db.contests.findOne({ _id: contest._id });
+    };
+
+    return {
+        reserve,
+        attachSession,
+        confirmSeat,
+        freeSeat,
+        releaseHold,
+        releaseExpired,
+        releaseSession,
+        joinWaitlist,
+        leaveWaitlist,
+        waitlistPosition,
+        setCapacity
+    };
+};
@@ -0,0 +1,77 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// =================================================
+// ATTACHMENT STORAGE
+// =================================================
+//
+// A storage backend is an object with:
+//   save(key, buffer, contentType)  -> Promise
+//   createReadStream(key)           -> Readable
+//   remove(key)                     -> Promise
+// Keys are generated by the server ("<submissionId>/<random>") and never come
+// from the client. Pick a backend with STORAGE_DRIVER; "local" is meant for
+// development since serverless disks don't persist.
+
+export const createLocalStorage = ({ directory }) => {
+    const root = path.resolve(directory);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+const drivers = {
+    local: () => createLocalStorage({ directory: process.env.STORAGE_LOCAL_DIR || 'uploads' })
+};
+
+export const registerStorageDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+export const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+    if (!drivers[driver]) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    return drivers[driver]();
+};
+
+// =================================================
+// SIGNED DOWNLOAD URLS
+// =================================================
+
+const signature = (resource, expires, secret) =>
+    crypto.createHmac('sha256', secret).update(`${resource}:${expires}`).digest('hex');
+
+export const signResource = (resource, ttlSeconds, secret) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return { expires, signature: signature(resource, expires, secret) };
+};
+
+export const verifyResourceSignature = (resource, expires, provided, secret) => {
+    if (!provided || !(Number(expires) * 1000 > Date.now())) {
+        return false;
+    }
+    const expected = Buffer.from(signature(resource, expires, secret));
+    const actual = Buffer.from(String(provided));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,81 @@
+import { ObjectId } from "mongodb";
+import { MINIMUM_CHARGE } from "./promos.js";
+
+// =================================================
+// TEAMS
+// =================================================
+//
+// teams_collections holds one document per team:
+//   { contestId, name, captainEmail, memberEmails, invites: [{ email, invitedAt }],
+//     paymentMode: 'captain' | 'split', status: 'forming' | 'locked' | 'registered' }
+// The roster is frozen ('locked') once the first payment starts, since split
+// shares depend on the team size, and reopens if every checkout falls through. Every member still gets a participation of
+// their own (with `teamId`), so registration checks, counters and
+// notifications keep working per person. In 'captain' mode the captain's row
+// carries the payment and the others are `paidBy` the captain.
+
+export const isTeamContest = (contest) => !!contest?.teamContest;
+
+// Each member's part of the entry fee, rounded up to whole cents
+export const shareOf = (contest, team) =>
+    Math.ceil(Math.round((contest.entryFee || 0) * 100) / team.memberEmails.length) / 100;
+
+// What each member of a placement is owed: equal cuts in whole cents, with the
+// leftover cents going to the first members (the captain first) so they add up
+// to the prize. Solo placements have the one share.
+export const prizeShares = (placement) => {
+    const members = placement.memberEmails || [placement.email];
+    const cents = Math.round((placement.prizeMoney || 0) * 100);
+    const cut = Math.floor(cents / members.length);
+    const leftover = cents - cut * members.length;
+    return members.map((email, i) => ({ email, prizeMoney: (cut + (i < leftover ? 1 : 0)) / 100 }));
+};
+
+export const createTeams = (db) => {
+    const findTeam = (id) => ObjectId.isValid(id) ? db.teams.findOne({ _id: new ObjectId(id) }) : null;
+
+    // The team `email` belongs to in a contest, if any
+    const teamOf = (contestId, email) => db.teams.findOne({ contestId, memberEmails: email });
+
+    // What `email` pays to enter `team`, or { error } if the team can't enter yet
+    const teamEntryFee = (contest, team, email) => {
+        const size = team.memberEmails.length;
+        const min = contest.minTeamSize || 1;
+        const max = contest.maxTeamSize || size;
+        if (size < min || size > max) {
+            return { error: `Teams need between ${min} and ${max} members` };
+        }
+        if (team.paymentMode === 'split') {
+            const share = shareOf(contest, team);
+            if (share > 0 && share < MINIMUM_CHARGE) {
+                return { error: `Each share would be under the $${MINIMUM_CHARGE.toFixed(2)} minimum card payment, let the captain pay instead` };
+            }
+            return { entryFee: share };
+        }
+        if (email !== team.captainEmail) {
+            return { error: 'Only the team captain pays for this team' };
+        }
+        return { entryFee: contest.entryFee || 0 };
+    };
+
+    // Freezes the roster and drops open invites. Safe to call more than once.
+    const lockTeam = (team) => db.teams.updateOne(
+        { _id: team._id, status: 'forming' },
+        { $set: { status: 'locked', lockedAt: new Date(), invites: [] } }
+    );
+
+    // Reopens a locked team when no payment went through and no other checkout
+    // for it is still open, e.g. after the captain abandoned the Stripe page
+    const unlockTeam = async (teamId) => {
+        const entries = await db.participated.countDocuments({ teamId, paymentStatus: { $ne: 'refunded' } });
+        const open = await db.checkouts.countDocuments({ teamId, status: 'open' });
+        if (entries || open) return false;
+        const result = await db.teams.updateOne(
+            { _id: new ObjectId(teamId), status: 'locked' },
+            { $set: { status: 'forming' }, $unset: { lockedAt: '' } }
+        );
+        return result.modifiedCount > 0;
+    };
+
+    return { findTeam, teamOf, teamEntryFee, lockTeam, unlockTeam };
+};
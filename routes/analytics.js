@@ -0,0 +1,68 @@
+import { ObjectId } from "mongodb";
+import { validate, analyticsQuerySchema } from "../lib/schemas.js";
+import { resolveRange } from "../lib/analytics.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 15. Analytics Endpoints
+// -------------------------------------------------
+
+export const registerAnalyticsRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin, verifySelfOrAdmin, isAdmin } = ctx.auth;
+    const { report, byContest, byType } = ctx.analytics;
+
+    // Validates `from`, `to` and `interval`; sends the error and returns null if they don't work
+    const readRange = (req, res) => {
+        const { value, errors } = validate(analyticsQuerySchema, req.query);
+        if (errors.length) {
+            res.status(400).send({ message: 'Validation failed', errors });
+            return null;
+        }
+        const range = resolveRange(value);
+        if (range.error) {
+            res.status(400).send({ message: range.error });
+            return null;
+        }
+        return range;
+    };
+
+    const contestCard = ({ _id, name, type, status }) => ({ _id, name, type, status });
+
+    app.get("/analytics/contests/:id", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!contest || (contest.creatorEmail !== req.decoded.email && !(await isAdmin(req.decoded.email)))) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+        const range = readRange(req, res);
+        if (!range) return;
+        res.send({ contest: contestCard(contest), ...await report([id], range) });
+    });
+
+    app.get("/analytics/creator/:email", verifyToken, verifySelfOrAdmin, async (req, res) => {
+        const range = readRange(req, res);
+        if (!range) return;
+        const contests = await db.contests.find(
+            { creatorEmail: req.params.email, ...NOT_DELETED },
+            { projection: { name: 1, type: 1, status: 1 }, sort: { _id: -1 } }
+        ).toArray();
+        res.send({
+            ...await report(contests.map(contest => contest._id.toString()), range),
+            contests: await byContest(contests, range)
+        });
+    });
+
+    app.get("/analytics/contest-types", verifyToken, verifyAdmin, async (req, res) => {
+        const range = readRange(req, res);
+        if (!range) return;
+        const contests = await db.contests.find(NOT_DELETED, { projection: { name: 1, type: 1, status: 1 } }).toArray();
+        res.send({
+            ...await report(contests.map(contest => contest._id.toString()), range),
+            types: await byType(contests, range)
+        });
+    });
+};
@@ -0,0 +1,35 @@
+import { validate, auditQuerySchema } from "../lib/schemas.js";
+import { sendPage } from "../lib/pagination.js";
+
+// -------------------------------------------------
+// 11. Audit Log Endpoints
+// -------------------------------------------------
+
+export const registerAuditRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin } = ctx.auth;
+
+    app.get("/audit-log", verifyToken, verifyAdmin, async (req, res) => {
+        const { value: params, errors } = validate(auditQuerySchema, req.query);
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+        const filter = {};
+        if (params.actor) filter.actorEmail = params.actor;
+        if (params.action) filter.action = params.action;
+        if (params.targetType) filter.targetType = params.targetType;
+        if (params.targetId) filter.targetId = params.targetId;
+        if (params.from || params.to) {
+            filter.createdAt = {};
+            if (params.from) filter.createdAt.$gte = params.from;
+            if (params.to) filter.createdAt.$lte = params.to;
+        }
+        await sendPage(req, res, db.auditLog, {
+            filter,
+            sort: { _id: -1 },
+            params: { ...params, limit: params.limit || 20 },
+            itemsKey: 'entries',
+            sortName: 'newest'
+        });
+    });
+};
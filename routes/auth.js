@@ -0,0 +1,83 @@
+import {
+    REFRESH_COOKIE,
+    refreshCookieOptions,
+    verifyFirebaseIdToken,
+    hashToken,
+    signAccessToken
+} from "../lib/auth.js";
+
+// -------------------------------------------------
+// 0. JWT / Auth Endpoints
+// -------------------------------------------------
+
+export const registerAuthRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { issueRefreshToken, revokeRefreshTokens } = ctx.auth;
+    const { rateLimit } = ctx.limits;
+
+    app.post('/jwt', rateLimit('auth'), async (req, res) => {
+        const { idToken } = req.body;
+        if (!idToken) {
+            return res.status(400).send({ message: 'Missing ID token' });
+        }
+
+        let identity;
+        try {
+            identity = verifyFirebaseIdToken(idToken);
+        } catch (error) {
+            console.error("ID token verification failed:", error.message);
+            return res.status(401).send({ message: 'Unauthorized access' });
+        }
+
+        const user = await db.users.findOne({ email: identity.email }, { projection: { tokenVersion: 1, deletedAt: 1 } });
+        if (user?.deletedAt) {
+            return res.status(403).send({ message: 'This account has been deleted' });
+        }
+        const token = signAccessToken(identity.email, user?.tokenVersion);
+        await issueRefreshToken(res, identity.email);
+        res.send({ token: token, success: true });
+    });
+
+    // Rotates the refresh token: the presented one is revoked and replaced. If an
+    // already revoked token shows up again it was stolen, so the whole login is killed.
+    app.post('/refresh', rateLimit('auth'), async (req, res) => {
+        const presented = req.cookies[REFRESH_COOKIE];
+        if (!presented) {
+            return res.status(401).send({ message: 'Unauthorized access' });
+        }
+
+        const stored = await db.refreshTokens.findOneAndUpdate(
+            { tokenHash: hashToken(presented) },
+            { $set: { revokedAt: new Date() } }
+        );
+        if (!stored || stored.expiresAt < new Date()) {
+            return res.status(401).send({ message: 'Unauthorized access' });
+        }
+        if (stored.revokedAt) {
+            await revokeRefreshTokens(stored.email);
+            res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+            return res.status(401).send({ message: 'Refresh token reuse detected' });
+        }
+
+        const user = await db.users.findOne({ email: stored.email }, { projection: { tokenVersion: 1 } });
+        const token = signAccessToken(stored.email, user?.tokenVersion);
+        await issueRefreshToken(res, stored.email);
+        res.send({ token: token, success: true });
+    });
+
+    app.post('/logout', async (req, res) => {
+        const presented = req.cookies[REFRESH_COOKIE];
+        if (presented) {
+            await db.refreshTokens.updateOne(
+                { tokenHash: hashToken(presented), revokedAt: { $exists: false } },
+                { $set: { revokedAt: new Date() } }
+            );
+        }
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        res.clearCookie('token', {
+            maxAge: 0,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Strict'
+        }).send({ success: true });
+    });
+};
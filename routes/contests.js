@@ -0,0 +1,398 @@
+import { ObjectId } from "mongodb";
+import { validateBody, contestSchema, contestStatusSchema, capacitySchema } from "../lib/schemas.js";
+import {
+    CONTEST_TRANSITIONS,
+    LISTED_STATUSES,
+    canTransition,
+    effectiveStatus,
+    sweepContestStatuses
+} from "../lib/lifecycle.js";
+import { sendContestPage } from "../lib/contestQuery.js";
+import { isPrivateStatus } from "../lib/events.js";
+import { NOT_DELETED } from "../lib/archive.js";
+import { isCronRequest } from "../lib/auth.js";
+
+// -------------------------------------------------
+// 3. Contest Endpoints
+// -------------------------------------------------
+
+export const registerContestRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin, verifyCreator, isAdmin } = ctx.auth;
+    const { refundContestParticipations } = ctx.payments;
+    const { notify, participantEmails, sendDeadlineReminders } = ctx.notifications;
+    const { publish } = ctx.events;
+    const { recordAudit } = ctx.audit;
+    const { softDelete, restore, purgeContest } = ctx.archive;
+    const { rateLimit } = ctx.limits;
+    const { ensureSlug, followedCreatorEmails } = ctx.profiles;
+    const { setCapacity, releaseExpired } = ctx.seats;
+    const { recordView } = ctx.analytics;
+
+    // Team rules the schema can't express on its own
+    const teamSettingsErrors = (contest) => {
+        if (!contest.teamContest) return [];
+        const errors = [];
+        if (!contest.maxTeamSize) {
+            errors.push({ field: 'maxTeamSize', message: 'maxTeamSize is required' });
+        } else if ((contest.minTeamSize || 1) > contest.maxTeamSize) {
+            errors.push({ field: 'minTeamSize', message: 'must be at most maxTeamSize' });
+        }
+        // Seats are held per person, which doesn't fit entries made by whole teams
+        if (contest.capacity) {
+            errors.push({ field: 'capacity', message: 'is not supported for team contests' });
+        }
+        return errors;
+    };
+
+    app.post("/contests", verifyToken, verifyCreator, validateBody(contestSchema), async (req, res) => {
+        const teamErrors = teamSettingsErrors(req.body);
+        if (teamErrors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors: teamErrors });
+        }
+        const creator = await db.users.findOne({ email: req.decoded.email });
+        const newContest = {
+            ...req.body,
+            creatorEmail: req.decoded.email,
+            creatorName: creator?.name,
+            // Lets clients link to the public profile without the email
+            creatorSlug: creator && await ensureSlug(creator),
+            status: 'Pending',
+            participantsCount: 0,
+            ...(req.body.capacity && { seatsLeft: req.body.capacity })
+        };
+        const result = await db.contests.insertOne(newContest);
+        res.status(201).json(result);
+    });
+
+    app.get("/contests/creator/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const contests = await db.contests.find({ creatorEmail: email, ...NOT_DELETED }).toArray();
+        res.send(contests);
+    });
+
+
+    app.get("/contests/approved", rateLimit('search'), async (req, res) => {
+        await sendContestPage(req, res, db.contests, {
+            baseFilter: { status: { $in: LISTED_STATUSES } },
+            defaultSort: 'popular',
+            defaultLimit: 9
+        });
+    });
+
+    // Contests from the creators the caller follows, with the same query parameters
+    app.get("/contests/following", verifyToken, async (req, res) => {
+        const creatorEmails = await followedCreatorEmails(req.decoded.email);
+        await sendContestPage(req, res, db.contests, {
+            baseFilter: { status: { $in: LISTED_STATUSES }, creatorEmail: { $in: creatorEmails } },
+            defaultSort: 'newest',
+            defaultLimit: 9
+        });
+    });
+
+    app.get("/contests/closed", rateLimit('search'), async (req, res) => {
+        await sendContestPage(req, res, db.contests, {
+            baseFilter: { status: 'Closed' },
+            defaultSort: 'popular',
+            defaultLimit: 9
+        });
+    });
+
+    app.get("/contests/popular", async (req, res) => {
+        try {
+            const popularContests = await db.contests.find({ status: { $in: LISTED_STATUSES }, ...NOT_DELETED })
+                .sort({ participantsCount: -1 })
+                .limit(6)
+                .toArray();
+            res.send(popularContests);
+        } catch (error) {
+            console.error("Error fetching popular contests:", error);
+            res.status(500).send({ message: "Failed to fetch popular contests" });
+        }
+    });
+
+    // status, creator and counters are server-only fields, so the schema drops them
+    app.put("/contests/:id", verifyToken, validateBody(contestSchema, { partial: true }), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const updatedContest = req.body;
+        const current = await db.contests.findOne({ _id: new ObjectId(id) });
+        const teamErrors = current ? teamSettingsErrors({ ...current, ...updatedContest }) : [];
+        if (teamErrors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors: teamErrors });
+        }
+        if (updatedContest.capacity) {
+            // Pending contests have no entries yet
+            updatedContest.seatsLeft = updatedContest.capacity;
+        }
+        const filter = { _id: new ObjectId(id), creatorEmail: req.decoded.email, status: 'Pending', ...NOT_DELETED };
+        const updateDoc = { $set: updatedContest };
+        const result = await db.contests.updateOne(filter, updateDoc);
+        res.send(result);
+    });
+
+    app.get("/contests/all", verifyToken, verifyAdmin, async (req, res) => {
+        await sendContestPage(req, res, db.contests, {
+            baseFilter: {},
+            defaultSort: 'newest',
+            defaultLimit: 10
+        });
+    });
+
+    // Soft delete: the contest stays in place for its participations and
+    // submissions, but drops out of every listing. Paid entries are refunded
+    // and the contest is Cancelled, except on a Closed contest: its results
+    // and prizes are final. A contest in judging has to be cancelled (or closed) first.
+    app.delete("/contests/:id", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (contest.creatorEmail !== req.decoded.email && !(await isAdmin(req.decoded.email))) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        if (effectiveStatus(contest) === 'Judging') {
+            return res.status(409).send({ message: 'This contest is being judged. Cancel it to refund the entries, or declare the winners first.' });
+        }
+        let deleted = await softDelete(db.contests, contest._id, req.decoded.email);
+        if (!deleted) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        const settled = contest.status === 'Closed';
+        if (!settled && canTransition(effectiveStatus(contest), 'Cancelled')) {
+            // Refunded entries can't be judged, so winners can't be declared on it anymore
+            deleted = await db.contests.findOneAndUpdate(
+                { _id: contest._id },
+                { $set: { status: 'Cancelled' } },
+                { returnDocument: 'after' }
+            );
+        }
+        const participants = settled ? [] : await participantEmails(id);
+        const refunds = settled ? null : await refundContestParticipations(id);
+        await recordAudit(req, {
+            action: 'contest.delete',
+            targetType: 'contest',
+            targetId: id,
+            before: contest,
+            after: deleted,
+            reason: req.body?.reason
+        });
+        await notify(participants, 'contest_cancelled', { contestId: id, contestName: contest.name });
+        res.send({ deletedAt: deleted.deletedAt, refunds });
+    });
+
+    app.patch("/contests/:id/restore", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        const restored = contest && await restore(db.contests, contest._id);
+        if (!restored) {
+            return res.status(404).send({ message: 'No deleted contest with this ID' });
+        }
+        await recordAudit(req, {
+            action: 'contest.restore',
+            targetType: 'contest',
+            targetId: id,
+            before: contest,
+            after: restored,
+            reason: req.body?.reason
+        });
+        res.send(restored);
+    });
+
+    // Unlike PUT this works after approval too; added seats go to the waitlist first
+    app.patch("/contests/:id/capacity", verifyToken, validateBody(capacitySchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (contest.creatorEmail !== req.decoded.email && !(await isAdmin(req.decoded.email))) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const teamErrors = teamSettingsErrors({ ...contest, capacity: req.body.capacity });
+        if (teamErrors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors: teamErrors });
+        }
+        const updated = await setCapacity(contest, req.body.capacity ?? null);
+        res.send({ capacity: updated.capacity ?? null, seatsLeft: updated.seatsLeft ?? null });
+    });
+
+    // Permanently removes a soft-deleted contest with its participations and submissions
+    app.delete("/contests/:id/purge", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (!contest.deletedAt) {
+            return res.status(409).send({ message: 'Delete the contest before purging it' });
+        }
+        const result = await purgeContest(contest);
+        if (result.blocked) {
+            return res.status(409).send({
+                message: `${result.blocked} paid entries have not been refunded yet`,
+                unrefunded: result.blocked
+            });
+        }
+        await recordAudit(req, {
+            action: 'contest.purge',
+            targetType: 'contest',
+            targetId: id,
+            before: contest,
+            after: null,
+            reason: req.body?.reason
+        });
+        res.send({ purged: result });
+    });
+
+
+
+    app.get("/contests/:id", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        if (contest?.deletedAt && !(await isAdmin(req.decoded.email))) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        // The creator checking their own page isn't interest from participants
+        if (contest && contest.creatorEmail !== req.decoded.email) {
+            await recordView(contest);
+        }
+        res.send(contest);
+    });
+
+
+
+    app.patch("/contests/status/:id", verifyToken, verifyAdmin, validateBody(contestStatusSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const { status, reason } = req.body;
+        if (status === 'Rejected' && !reason) {
+            return res.status(400).send({
+                message: 'Validation failed',
+                errors: [{ field: 'reason', message: 'reason is required when rejecting a contest' }]
+            });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        const currentStatus = effectiveStatus(contest);
+        if (!canTransition(currentStatus, status)) {
+            return res.status(400).send({
+                message: `Cannot move contest from ${currentStatus} to ${status}`,
+                allowed: CONTEST_TRANSITIONS[currentStatus] || []
+            });
+        }
+        // Matching on the stored status keeps two concurrent moderators from both winning
+        const changes = status === 'Rejected' ? { status, rejectionReason: reason } : { status };
+        const updateDoc = { $set: changes };
+        const result = await db.contests.updateOne({ _id: contest._id, status: contest.status }, updateDoc);
+        if (!result.modifiedCount) {
+            return res.status(409).send({ message: 'Contest status changed, please reload and try again' });
+        }
+        await recordAudit(req, {
+            action: 'contest.status',
+            targetType: 'contest',
+            targetId: id,
+            before: { status: contest.status, rejectionReason: contest.rejectionReason },
+            after: { rejectionReason: contest.rejectionReason, ...changes },
+            reason
+        });
+        publish({
+            type: 'status',
+            contestId: id,
+            creatorEmail: contest.creatorEmail,
+            private: isPrivateStatus(status),
+            data: { status }
+        });
+        const notification = { contestId: id, contestName: contest.name };
+        if (status === 'Confirmed') {
+            await notify([contest.creatorEmail], 'contest_approved', notification);
+        }
+        if (status === 'Rejected' || status === 'Cancelled') {
+            const participants = await participantEmails(id);
+            const refunds = await refundContestParticipations(id);
+            if (status === 'Rejected') {
+                await notify([contest.creatorEmail], 'contest_rejected', { ...notification, reason });
+            }
+            await notify(participants, 'contest_cancelled', notification);
+            return res.send({ ...result, refunds });
+        }
+        res.send(result);
+    });
+
+    app.get("/contests/:id/refunds", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const participations = await db.participated.find(
+            { contestId: id, transactionId: { $exists: true } },
+            { projection: { participantEmail: 1, transactionId: 1, price: 1, paymentStatus: 1, refundId: 1, refundedAt: 1, refundError: 1 } }
+        ).toArray();
+
+        const progress = { paid: 0, refunded: 0, failed: 0 };
+        for (const p of participations) {
+            if (p.paymentStatus === 'refunded') progress.refunded++;
+            else if (p.paymentStatus === 'refund_failed') progress.failed++;
+            else progress.paid++;
+        }
+        res.send({ progress, participations });
+    });
+
+    app.post("/contests/:id/refunds/retry", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const refunds = await refundContestParticipations(id, { onlyFailed: true });
+        await recordAudit(req, {
+            action: 'contest.refunds_retry',
+            targetType: 'contest',
+            targetId: id,
+            before: null,
+            after: refunds
+        });
+        res.send(refunds);
+    });
+
+    // Called by Vercel Cron, which sends `Authorization: Bearer <CRON_SECRET>`
+    app.get("/cron/contest-lifecycle", async (req, res) => {
+        if (!isCronRequest(req.headers.authorization)) {
+            return res.status(401).send({ message: 'Unauthorized access' });
+        }
+        try {
+            const result = await sweepContestStatuses(db.contests);
+            const reminded = await sendDeadlineReminders();
+            // Stripe's checkout.session.expired webhook normally gets there first
+            const holdsReleased = await releaseExpired();
+            res.send({ ...result, reminded, holdsReleased });
+        } catch (error) {
+            console.error("Contest lifecycle sweep failed:", error);
+            res.status(500).send({ message: "Failed to sweep contests" });
+        }
+    });
+};
@@ -0,0 +1,117 @@
+import { LISTED_STATUSES, effectiveStatus } from "../lib/lifecycle.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 12. Creator Profile Endpoints
+// -------------------------------------------------
+
+// What anyone may see of a contest on a profile page (no emails, judges or rubric)
+const PUBLIC_CONTEST_FIELDS = {
+    name: 1, image: 1, description: 1, type: 1, tags: 1, entryFee: 1, prizeMoney: 1,
+    startDate: 1, deadline: 1, status: 1, participantsCount: 1, placements: 1, winner: 1, declaredAt: 1
+};
+
+const PROFILE_CONTEST_LIMIT = 20;
+
+const publicCard = (user) => ({ _id: user._id, slug: user.slug, name: user.name, photo: user.photo, bio: user.bio });
+
+export const registerCreatorRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken } = ctx.auth;
+    const { rateLimit } = ctx.limits;
+    const { ensureSlug, findByHandle, follow, unfollow, followedCreatorEmails, followersCount } = ctx.profiles;
+
+    // Anyone who has published a contest counts, whatever their role is now
+    const findCreator = async (handle) => {
+        const user = await findByHandle(handle);
+        if (!user) return null;
+        if (user.role !== 'Contest Creator' && !(await db.contests.countDocuments({ creatorEmail: user.email, ...NOT_DELETED }))) {
+            return null;
+        }
+        return { ...user, slug: await ensureSlug(user) };
+    };
+
+    app.get("/creators/following", verifyToken, async (req, res) => {
+        const emails = await followedCreatorEmails(req.decoded.email);
+        const creators = await db.users.find({ email: { $in: emails }, ...NOT_DELETED }).toArray();
+        res.send(creators.map(publicCard));
+    });
+
+    app.get("/creators/:handle", async (req, res) => {
+        const creator = await findCreator(req.params.handle);
+        if (!creator) {
+            return res.status(404).send({ message: 'Creator not found' });
+        }
+
+        const contests = await db.contests.find(
+            { creatorEmail: creator.email, status: { $in: [...LISTED_STATUSES, 'Closed'] }, ...NOT_DELETED },
+            { projection: PUBLIC_CONTEST_FIELDS, sort: { _id: -1 } }
+        ).toArray();
+        const closed = contests.filter(contest => contest.status === 'Closed');
+
+        // Placed winners only; honourable mentions aren't crowned
+        const crowned = closed.flatMap(contest =>
+            (contest.placements || (contest.winner ? [{ place: 1, ...contest.winner }] : []))
+                .filter(placement => placement.place)
+                .map(placement => ({ contest, placement }))
+        );
+        const winnerUsers = await db.users.find(
+            { email: { $in: crowned.map(({ placement }) => placement.email) } },
+            { projection: { slug: 1, email: 1 } }
+        ).toArray();
+        const winners = crowned.map(({ contest, placement }) => {
+            const user = winnerUsers.find(u => u.email === placement.email);
+            return {
+                contestId: contest._id,
+                contestName: contest.name,
+                place: placement.place,
+                label: placement.label,
+                name: placement.name,
+                photo: placement.photo,
+                prizeMoney: placement.prizeMoney,
+                winnerId: user?._id,
+                winnerSlug: user?.slug
+            };
+        });
+
+        // Placements carry emails, so they only go out as `winners`
+        const toPublic = ({ placements, winner, ...contest }) => ({ ...contest, status: effectiveStatus(contest) });
+        res.send({
+            ...publicCard(creator),
+            followersCount: await followersCount(creator.email),
+            stats: {
+                contests: contests.length,
+                totalParticipants: contests.reduce((sum, contest) => sum + (contest.participantsCount || 0), 0),
+                winnersCrowned: winners.length
+            },
+            contests: {
+                active: contests.filter(contest => contest.status !== 'Closed').slice(0, PROFILE_CONTEST_LIMIT).map(toPublic),
+                closed: closed.slice(0, PROFILE_CONTEST_LIMIT).map(toPublic)
+            },
+            winners
+        });
+    });
+
+    app.post("/creators/:handle/follow", verifyToken, rateLimit('writes'), async (req, res) => {
+        const creator = await findCreator(req.params.handle);
+        if (!creator) {
+            return res.status(404).send({ message: 'Creator not found' });
+        }
+        if (creator.email === req.decoded.email) {
+            return res.status(400).send({ message: 'You cannot follow yourself' });
+        }
+        const created = await follow(req.decoded.email, creator);
+        res.status(created ? 201 : 200).send({
+            following: true,
+            followersCount: await followersCount(creator.email)
+        });
+    });
+
+    app.delete("/creators/:handle/follow", verifyToken, async (req, res) => {
+        const creator = await findByHandle(req.params.handle);
+        if (!creator || !(await unfollow(req.decoded.email, creator))) {
+            return res.status(404).send({ message: 'You are not following this creator' });
+        }
+        res.send({ following: false, followersCount: await followersCount(creator.email) });
+    });
+};
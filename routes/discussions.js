@@ -0,0 +1,367 @@
+import { ObjectId } from "mongodb";
+import {
+    validate,
+    validateBody,
+    threadSchema,
+    replySchema,
+    pinSchema,
+    announcementSchema,
+    reportSchema,
+    moderationSchema,
+    discussionQuerySchema,
+    reportQuerySchema
+} from "../lib/schemas.js";
+import { VISIBLE } from "../lib/discussions.js";
+import { sendPage } from "../lib/pagination.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 17. Discussion & Announcement Endpoints
+// -------------------------------------------------
+
+export const registerDiscussionRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin, isAdmin } = ctx.auth;
+    const { notify, participantEmails } = ctx.notifications;
+    const { recordAudit } = ctx.audit;
+    const { rateLimit } = ctx.limits;
+    const { roleIn, reviseAnnouncement, fileReport, resolveReports } = ctx.discussions;
+
+    const loadContest = (id) => ObjectId.isValid(id) ? db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED }) : null;
+
+    const authorName = async (email) =>
+        (await db.users.findOne({ email }, { projection: { name: 1 } }))?.name || 'Unknown User';
+
+    // Validates paging params; sends the error and returns null if they don't work
+    const readParams = (req, res, schema) => {
+        const { value, errors } = validate(schema, req.query);
+        if (errors.length) {
+            res.status(400).send({ message: 'Validation failed', errors });
+            return null;
+        }
+        return { ...value, limit: value.limit || 20 };
+    };
+
+    // Loads a thread or reply the caller may see (admins see hidden ones too); sends 404 otherwise
+    const loadVisible = async (req, res, collection, label) => {
+        const item = ObjectId.isValid(req.params.id) && await db[collection].findOne({ _id: new ObjectId(req.params.id) });
+        if (!item || (item.hidden && !(await isAdmin(req.decoded.email)))) {
+            res.status(404).send({ message: `${label} not found` });
+            return null;
+        }
+        return item;
+    };
+
+    // The question board is only for people taking part in the contest: a thread
+    // or reply of a live contest the caller has a role in; sends the error otherwise
+    const loadReadable = async (req, res, collection, label) => {
+        const item = await loadVisible(req, res, collection, label);
+        if (!item) return null;
+        const contest = await loadContest(item.contestId);
+        if (!contest) {
+            res.status(404).send({ message: `${label} not found` });
+            return null;
+        }
+        if (!(await roleIn(contest, req.decoded.email))) {
+            res.status(403).send({ message: 'Only participants and the creator can read this contest\'s questions' });
+            return null;
+        }
+        return item;
+    };
+
+    // ---- Questions and replies
+
+    app.get("/contests/:id/threads", verifyToken, async (req, res) => {
+        const contest = await loadContest(req.params.id);
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        const role = await roleIn(contest, req.decoded.email);
+        if (!role) {
+            return res.status(403).send({ message: 'Only participants and the creator can read this contest\'s questions' });
+        }
+        const params = readParams(req, res, discussionQuerySchema);
+        if (!params) return;
+        await sendPage(req, res, db.threads, {
+            filter: { contestId: req.params.id, ...(role !== 'admin' && VISIBLE) },
+            sort: { lastActivityAt: -1, _id: -1 },
+            params,
+            itemsKey: 'threads',
+            sortName: 'activity'
+        });
+    });
+
+    app.post("/contests/:id/threads", verifyToken, rateLimit('writes'), validateBody(threadSchema), async (req, res) => {
+        const contest = await loadContest(req.params.id);
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        const email = req.decoded.email;
+        if (await roleIn(contest, email) !== 'participant') {
+            return res.status(403).send({ message: 'Only registered participants can ask questions' });
+        }
+        const now = new Date();
+        const thread = {
+            contestId: req.params.id,
+            authorEmail: email,
+            authorName: await authorName(email),
+            title: req.body.title,
+            body: req.body.body,
+            hidden: false,
+            locked: false,
+            pinnedReplyId: null,
+            repliesCount: 0,
+            reportsCount: 0,
+            createdAt: now,
+            lastActivityAt: now
+        };
+        const result = await db.threads.insertOne(thread);
+        res.status(201).send({ ...thread, _id: result.insertedId });
+    });
+
+    // The thread with its pinned answer; the replies are paged separately
+    app.get("/threads/:id", verifyToken, async (req, res) => {
+        const thread = await loadReadable(req, res, 'threads', 'Thread');
+        if (!thread) return;
+        const pinned = thread.pinnedReplyId && await db.replies.findOne({ _id: new ObjectId(thread.pinnedReplyId) });
+        const showPinned = pinned && (!pinned.hidden || await isAdmin(req.decoded.email));
+        res.send({ ...thread, pinnedReply: showPinned ? pinned : null });
+    });
+
+    app.get("/threads/:id/replies", verifyToken, async (req, res) => {
+        const thread = await loadReadable(req, res, 'threads', 'Thread');
+        if (!thread) return;
+        const params = readParams(req, res, discussionQuerySchema);
+        if (!params) return;
+        const admin = await isAdmin(req.decoded.email);
+        await sendPage(req, res, db.replies, {
+            filter: { threadId: req.params.id, ...(!admin && VISIBLE) },
+            sort: { _id: 1 },
+            params,
+            itemsKey: 'replies',
+            sortName: 'oldest'
+        });
+    });
+
+    app.post("/threads/:id/replies", verifyToken, rateLimit('writes'), validateBody(replySchema), async (req, res) => {
+        const thread = await loadVisible(req, res, 'threads', 'Thread');
+        if (!thread) return;
+        const contest = await loadContest(thread.contestId);
+        const email = req.decoded.email;
+        const role = contest && await roleIn(contest, email);
+        if (!role) {
+            return res.status(403).send({ message: 'Only registered participants and the creator can reply' });
+        }
+        if (thread.locked) {
+            return res.status(409).send({ message: 'This thread is locked' });
+        }
+        const reply = {
+            threadId: thread._id.toString(),
+            contestId: thread.contestId,
+            authorEmail: email,
+            authorName: await authorName(email),
+            authorRole: role,
+            body: req.body.body,
+            hidden: false,
+            reportsCount: 0,
+            createdAt: new Date()
+        };
+        const result = await db.replies.insertOne(reply);
+        await db.threads.updateOne(
+            { _id: thread._id },
+            { $inc: { repliesCount: 1 }, $set: { lastActivityAt: reply.createdAt } }
+        );
+        res.status(201).send({ ...reply, _id: result.insertedId });
+    });
+
+    // The creator (or an admin) marks the reply that answers the question
+    app.put("/threads/:id/pin", verifyToken, validateBody(pinSchema), async (req, res) => {
+        const thread = await loadVisible(req, res, 'threads', 'Thread');
+        if (!thread) return;
+        const contest = await loadContest(thread.contestId);
+        const role = contest && await roleIn(contest, req.decoded.email);
+        if (role !== 'creator' && role !== 'admin') {
+            return res.status(403).send({ message: 'Only the contest creator can pin answers' });
+        }
+        const reply = await db.replies.findOne({ _id: new ObjectId(req.body.replyId), threadId: thread._id.toString(), ...VISIBLE });
+        if (!reply) {
+            return res.status(404).send({ message: 'Reply not found' });
+        }
+        const updated = await db.threads.findOneAndUpdate(
+            { _id: thread._id },
+            { $set: { pinnedReplyId: reply._id.toString() } },
+            { returnDocument: 'after' }
+        );
+        if (!thread.pinnedReplyId) {
+            await notify([thread.authorEmail], 'question_answered', {
+                contestId: thread.contestId,
+                contestName: contest.name,
+                threadTitle: thread.title
+            });
+        }
+        res.send({ ...updated, pinnedReply: reply });
+    });
+
+    app.delete("/threads/:id/pin", verifyToken, async (req, res) => {
+        const thread = await loadVisible(req, res, 'threads', 'Thread');
+        if (!thread) return;
+        const contest = await loadContest(thread.contestId);
+        const role = contest && await roleIn(contest, req.decoded.email);
+        if (role !== 'creator' && role !== 'admin') {
+            return res.status(403).send({ message: 'Only the contest creator can pin answers' });
+        }
+        await db.threads.updateOne({ _id: thread._id }, { $set: { pinnedReplyId: null } });
+        res.send({ pinnedReplyId: null });
+    });
+
+    // ---- Reports and moderation
+
+    const reportRoute = (targetType, collection, label) => async (req, res) => {
+        const target = await loadReadable(req, res, collection, label);
+        if (!target) return;
+        if (!(await fileReport(targetType, target, req.decoded.email, req.body.reason))) {
+            return res.status(409).send({ message: `You have already reported this ${targetType}` });
+        }
+        res.status(201).send({ reported: true });
+    };
+
+    app.post("/threads/:id/report", verifyToken, rateLimit('writes'), validateBody(reportSchema), reportRoute('thread', 'threads', 'Thread'));
+    app.post("/replies/:id/report", verifyToken, rateLimit('writes'), validateBody(reportSchema), reportRoute('reply', 'replies', 'Reply'));
+
+    app.get("/discussion-reports", verifyToken, verifyAdmin, async (req, res) => {
+        const params = readParams(req, res, reportQuerySchema);
+        if (!params) return;
+        await sendPage(req, res, db.discussionReports, {
+            filter: params.status ? { status: params.status } : {},
+            sort: { _id: -1 },
+            params,
+            itemsKey: 'reports',
+            sortName: 'newest'
+        });
+    });
+
+    // Hides/unhides (and for threads locks/unlocks) and settles the open reports
+    const moderateRoute = (targetType, collection, fields) => async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid ID format' });
+        }
+        const changes = Object.fromEntries(fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+        if (!Object.keys(changes).length) {
+            return res.status(400).send({ message: `Send ${fields.join(' or ')}` });
+        }
+        const before = await db[collection].findOne({ _id: new ObjectId(id) });
+        if (!before) {
+            return res.status(404).send({ message: `${targetType === 'thread' ? 'Thread' : 'Reply'} not found` });
+        }
+        const after = await db[collection].findOneAndUpdate(
+            { _id: before._id },
+            { $set: { ...changes, moderatedBy: req.decoded.email, moderatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        await resolveReports(id, req.decoded.email);
+        await recordAudit(req, {
+            action: `${targetType}.moderate`,
+            targetType,
+            targetId: id,
+            before,
+            after,
+            reason: req.body.reason
+        });
+        res.send(after);
+    };
+
+    const moderate = validateBody(moderationSchema, { partial: true });
+    app.patch("/threads/:id/moderation", verifyToken, verifyAdmin, moderate, moderateRoute('thread', 'threads', ['hidden', 'locked']));
+    app.patch("/replies/:id/moderation", verifyToken, verifyAdmin, moderate, moderateRoute('reply', 'replies', ['hidden']));
+
+    // ---- Announcements
+
+    // The announcement and its contest, if the caller created the contest; sends the error otherwise
+    const loadOwnAnnouncement = async (req, res) => {
+        const announcement = ObjectId.isValid(req.params.id) && await db.announcements.findOne({ _id: new ObjectId(req.params.id) });
+        if (!announcement) {
+            res.status(404).send({ message: 'Announcement not found' });
+            return null;
+        }
+        if (announcement.creatorEmail !== req.decoded.email) {
+            res.status(403).send({ message: 'Forbidden access' });
+            return null;
+        }
+        return announcement;
+    };
+
+    const announce = async (contest, announcement) => notify(
+        await participantEmails(contest._id.toString()),
+        'contest_announcement',
+        { contestId: contest._id.toString(), contestName: contest.name, title: announcement.title, version: announcement.version }
+    );
+
+    app.get("/contests/:id/announcements", verifyToken, async (req, res) => {
+        const contest = await loadContest(req.params.id);
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        const params = readParams(req, res, discussionQuerySchema);
+        if (!params) return;
+        await sendPage(req, res, db.announcements, {
+            filter: { contestId: req.params.id },
+            sort: { _id: -1 },
+            projection: { history: 0 },
+            params,
+            itemsKey: 'announcements',
+            sortName: 'newest'
+        });
+    });
+
+    app.post("/contests/:id/announcements", verifyToken, rateLimit('writes'), validateBody(announcementSchema), async (req, res) => {
+        const contest = await loadContest(req.params.id);
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (contest.creatorEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Only the contest creator can post announcements' });
+        }
+        const announcement = {
+            contestId: req.params.id,
+            creatorEmail: contest.creatorEmail,
+            title: req.body.title,
+            body: req.body.body,
+            version: 1,
+            history: [],
+            createdAt: new Date()
+        };
+        const result = await db.announcements.insertOne(announcement);
+        await announce(contest, announcement);
+        res.status(201).send({ ...announcement, _id: result.insertedId });
+    });
+
+    // Announcements are contest news, so like the contest itself any signed-in
+    // user can read them while the contest is live
+    app.get("/announcements/:id", verifyToken, async (req, res) => {
+        const announcement = ObjectId.isValid(req.params.id) && await db.announcements.findOne({ _id: new ObjectId(req.params.id) });
+        if (!announcement || !(await loadContest(announcement.contestId))) {
+            return res.status(404).send({ message: 'Announcement not found' });
+        }
+        res.send(announcement);
+    });
+
+    // Edits keep every earlier version in `history`, and participants hear about them
+    app.put("/announcements/:id", verifyToken, validateBody(announcementSchema, { partial: true }), async (req, res) => {
+        const announcement = await loadOwnAnnouncement(req, res);
+        if (!announcement) return;
+        const changes = {};
+        if (req.body.title !== undefined) changes.title = req.body.title;
+        if (req.body.body !== undefined) changes.body = req.body.body;
+        if (!Object.keys(changes).length) {
+            return res.status(400).send({ message: 'Send a new title or body' });
+        }
+        const updated = await reviseAnnouncement(announcement, changes);
+        if (!updated) {
+            return res.status(409).send({ message: 'Announcement was changed meanwhile, please reload and try again' });
+        }
+        const contest = await loadContest(announcement.contestId);
+        if (contest) await announce(contest, updated);
+        res.send(updated);
+    });
+};
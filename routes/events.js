@@ -0,0 +1,83 @@
+import { ObjectId } from "mongodb";
+import { canSeeEvent, isPrivateStatus } from "../lib/events.js";
+import { effectiveStatus } from "../lib/lifecycle.js";
+
+// -------------------------------------------------
+// 10. Real-time Event Endpoints
+// -------------------------------------------------
+
+const HEARTBEAT_MS = 25 * 1000;
+
+export const registerEventRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken } = ctx.auth;
+    const { subscribe } = ctx.events;
+
+    // EventSource can't send headers, so the access token may come as ?token=
+    const tokenFromQuery = (req, res, next) => {
+        if (!req.headers.authorization && typeof req.query.token === 'string') {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    };
+
+    // Keeps the response open and forwards the events `accept` lets through
+    const openStream = (req, res, accept, initial) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stops nginx-style proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        let eventId = 0;
+        const send = (type, data) => {
+            res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        if (initial) send('snapshot', initial);
+        const unsubscribe = subscribe((event) => {
+            if (accept(event)) {
+                send(event.type, { contestId: event.contestId, ...event.data });
+            }
+        });
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    };
+
+    app.get("/contests/:id/events", tokenFromQuery, verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        const email = req.decoded.email;
+        const isCreator = contest?.creatorEmail === email;
+        if (!contest || contest.deletedAt || (isPrivateStatus(contest.status) && !isCreator)) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+
+        const snapshot = {
+            contestId: id,
+            status: effectiveStatus(contest),
+            participantsCount: contest.participantsCount || 0,
+            placements: contest.placements,
+            winner: contest.winner
+        };
+        if (isCreator) {
+            snapshot.submissionsCount = await db.submissions.countDocuments({ contestId: id });
+        }
+        openStream(req, res, (event) => event.contestId === id && canSeeEvent(event, email), snapshot);
+    });
+
+    app.get("/events", tokenFromQuery, verifyToken, (req, res) => {
+        const email = req.decoded.email;
+        openStream(req, res, (event) => canSeeEvent(event, email));
+    });
+};
@@ -0,0 +1,252 @@
+import { ObjectId } from "mongodb";
+import { validate, validateBody, exportQuerySchema, accountDeletionSchema } from "../lib/schemas.js";
+import { sendExport, inBatches } from "../lib/exports.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 16. Data Export & Account Deletion Endpoints
+// -------------------------------------------------
+
+const PARTICIPANT_COLUMNS = [
+    { header: 'email', value: row => row.participantEmail },
+    { header: 'name', value: row => row.user?.name },
+    { header: 'team', value: row => row.team?.name },
+    { header: 'price', value: row => row.price },
+    { header: 'discount', value: row => row.discount },
+    { header: 'promoCode', value: row => row.promoCode },
+    { header: 'paidBy', value: row => row.paidBy },
+    { header: 'registeredAt', value: row => row.paymentTime }
+];
+
+const SUBMISSION_COLUMNS = [
+    { header: 'submissionId', value: row => row._id },
+    { header: 'email', value: row => row.participantEmail },
+    { header: 'name', value: row => row.participantName },
+    { header: 'team', value: row => row.teamName },
+    { header: 'teamMembers', value: row => row.memberEmails?.join(' ') },
+    { header: 'submissionLink', value: row => row.submissionLink },
+    { header: 'notes', value: row => row.notes },
+    { header: 'version', value: row => row.version || 1 },
+    { header: 'attachments', value: row => (row.attachments || []).map(a => a.fileName).join(' ') },
+    { header: 'submittedAt', value: row => row.submittedAt },
+    { header: 'updatedAt', value: row => row.updatedAt }
+];
+
+const PAYMENT_COLUMNS = [
+    { header: 'transactionId', value: row => row.transactionId },
+    { header: 'sessionId', value: row => row.sessionId },
+    { header: 'email', value: row => row.participantEmail },
+    { header: 'price', value: row => row.price },
+    { header: 'originalPrice', value: row => row.originalPrice },
+    { header: 'discount', value: row => row.discount },
+    { header: 'promoCode', value: row => row.promoCode },
+    { header: 'paidBy', value: row => row.paidBy },
+    { header: 'paymentStatus', value: row => row.paymentStatus || 'paid' },
+    { header: 'paymentTime', value: row => row.paymentTime },
+    { header: 'refundId', value: row => row.refundId },
+    { header: 'refundedAt', value: row => row.refundedAt }
+];
+
+const USER_COLUMNS = [
+    { header: 'id', value: row => row._id },
+    { header: 'email', value: row => row.email },
+    { header: 'name', value: row => row.name },
+    { header: 'role', value: row => row.role },
+    { header: 'address', value: row => row.address },
+    { header: 'participatedCount', value: row => row.participatedCount || 0 },
+    { header: 'wins', value: row => row.wins || 0 },
+    { header: 'deletedAt', value: row => row.deletedAt }
+];
+
+const CONTEST_COLUMNS = [
+    { header: 'id', value: row => row._id },
+    { header: 'name', value: row => row.name },
+    { header: 'type', value: row => row.type },
+    { header: 'status', value: row => row.status },
+    { header: 'creatorEmail', value: row => row.creatorEmail },
+    { header: 'entryFee', value: row => row.entryFee },
+    { header: 'prizeMoney', value: row => row.prizeMoney },
+    { header: 'participantsCount', value: row => row.participantsCount || 0 },
+    { header: 'capacity', value: row => row.capacity },
+    { header: 'startDate', value: row => row.startDate },
+    { header: 'deadline', value: row => row.deadline },
+    { header: 'deletedAt', value: row => row.deletedAt }
+];
+
+export const registerExportRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin, isAdmin } = ctx.auth;
+    const { rateLimit } = ctx.limits;
+    const { anonymizeUser } = ctx.archive;
+    const { recordAudit } = ctx.audit;
+
+    // Reads `format`; sends the error and returns null if it's not one we write
+    const readFormat = (req, res) => {
+        const { value, errors } = validate(exportQuerySchema, req.query);
+        if (errors.length) {
+            res.status(400).send({ message: 'Validation failed', errors });
+            return null;
+        }
+        return value.format || 'csv';
+    };
+
+    // The contest, if the caller created it or is an admin; sends the error otherwise
+    const loadOwnContest = async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).send({ message: 'Invalid Contest ID format' });
+            return null;
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+        if (!contest || (contest.creatorEmail !== req.decoded.email && !(await isAdmin(req.decoded.email)))) {
+            res.status(403).send({ message: 'Forbidden or Contest not found' });
+            return null;
+        }
+        return contest;
+    };
+
+    // Adds each participation's user and team, one lookup per batch
+    const withPeople = async (participations) => {
+        const users = await db.users.find(
+            { email: { $in: participations.map(p => p.participantEmail) } },
+            { projection: { email: 1, name: 1 } }
+        ).toArray();
+        const teamIds = [...new Set(participations.filter(p => p.teamId).map(p => p.teamId))];
+        const teams = await db.teams.find(
+            { _id: { $in: teamIds.map(id => new ObjectId(id)) } },
+            { projection: { name: 1 } }
+        ).toArray();
+        return participations.map(p => ({
+            ...p,
+            user: users.find(u => u.email === p.participantEmail),
+            team: p.teamId && teams.find(team => team._id.toString() === p.teamId)
+        }));
+    };
+
+    app.get("/contests/:id/export/participants", verifyToken, rateLimit('exports'), async (req, res) => {
+        const format = readFormat(req, res);
+        const contest = format && await loadOwnContest(req, res);
+        if (!contest) return;
+        const cursor = db.participated.find(
+            { contestId: contest._id.toString(), paymentStatus: { $ne: 'refunded' } },
+            { sort: { _id: 1 } }
+        );
+        await sendExport(res, {
+            format,
+            filename: `contest-${contest._id}-participants`,
+            columns: PARTICIPANT_COLUMNS,
+            rows: inBatches(cursor, withPeople)
+        });
+    });
+
+    app.get("/contests/:id/export/submissions", verifyToken, rateLimit('exports'), async (req, res) => {
+        const format = readFormat(req, res);
+        const contest = format && await loadOwnContest(req, res);
+        if (!contest) return;
+        await sendExport(res, {
+            format,
+            filename: `contest-${contest._id}-submissions`,
+            columns: SUBMISSION_COLUMNS,
+            rows: db.submissions.find(
+                { contestId: contest._id.toString() },
+                { projection: { history: 0 }, sort: { _id: 1 } }
+            )
+        });
+    });
+
+    // Every entry with its money fields, refunded ones included
+    app.get("/contests/:id/export/payments", verifyToken, rateLimit('exports'), async (req, res) => {
+        const format = readFormat(req, res);
+        const contest = format && await loadOwnContest(req, res);
+        if (!contest) return;
+        await sendExport(res, {
+            format,
+            filename: `contest-${contest._id}-payments`,
+            columns: PAYMENT_COLUMNS,
+            rows: db.participated.find({ contestId: contest._id.toString() }, { sort: { _id: 1 } })
+        });
+    });
+
+    app.get("/export/users", verifyToken, verifyAdmin, rateLimit('exports'), async (req, res) => {
+        const format = readFormat(req, res);
+        if (!format) return;
+        await sendExport(res, {
+            format,
+            filename: 'users',
+            columns: USER_COLUMNS,
+            rows: db.users.find({}, { sort: { _id: 1 } })
+        });
+    });
+
+    app.get("/export/contests", verifyToken, verifyAdmin, rateLimit('exports'), async (req, res) => {
+        const format = readFormat(req, res);
+        if (!format) return;
+        await sendExport(res, {
+            format,
+            filename: 'contests',
+            columns: CONTEST_COLUMNS,
+            rows: db.contests.find({}, { sort: { _id: 1 } })
+        });
+    });
+
+    // "Download my data": everything the API keeps about the caller, as one JSON file
+    app.get("/users/me/data", verifyToken, rateLimit('exports'), async (req, res) => {
+        const email = req.decoded.email;
+        const profile = await db.users.findOne({ email, ...NOT_DELETED }, { projection: { tokenVersion: 0 } });
+        if (!profile) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        const participations = await db.participated.find({ participantEmail: email }, { sort: { _id: 1 } }).toArray();
+        const submissions = await db.submissions.find(
+            { $or: [{ participantEmail: email }, { memberEmails: email }] },
+            { sort: { _id: 1 } }
+        ).toArray();
+        const placed = await db.contests.find(
+            { $or: [{ 'placements.email': email }, { 'placements.memberEmails': email }], ...NOT_DELETED },
+            { projection: { name: 1, placements: 1, declaredAt: 1 } }
+        ).toArray();
+        const wins = placed.map(contest => {
+            const placement = contest.placements.find(p => (p.memberEmails || [p.email]).includes(email));
+            return {
+                contestId: contest._id,
+                contestName: contest.name,
+                place: placement.place,
+                label: placement.label,
+                prizeMoney: placement.prizeMoney,
+                teamName: placement.teamName,
+                declaredAt: contest.declaredAt
+            };
+        });
+
+        res.set('Content-Disposition', 'attachment; filename="my-data.json"');
+        res.send({ exportedAt: new Date(), profile, participations, submissions, wins });
+    });
+
+    // Anonymizes the caller's account right away (see lib/archive.js)
+    app.post("/users/me/deletion", verifyToken, validateBody(accountDeletionSchema), async (req, res) => {
+        const email = req.decoded.email;
+        if (req.body.confirmEmail !== email) {
+            return res.status(400).send({
+                message: 'Validation failed',
+                errors: [{ field: 'confirmEmail', message: 'must be your account email' }]
+            });
+        }
+        const user = await db.users.findOne({ email, anonymizedAt: null });
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        const result = await anonymizeUser(user);
+        if (result.running) {
+            return res.status(409).send({
+                message: `You are still taking part in ${result.running} running contests. Leave them or wait until they are over.`,
+                running: result.running
+            });
+        }
+        await recordAudit(req, {
+            action: 'user.anonymize',
+            targetType: 'user',
+            targetId: user._id,
+            reason: req.body.reason
+        });
+        res.send({ deleted: true, anonymizedAt: result.anonymizedAt });
+    });
+};
@@ -0,0 +1,146 @@
+import { ObjectId } from "mongodb";
+import { validateBody, rubricSchema, judgeSchema, scoreSchema } from "../lib/schemas.js";
+import { effectiveStatus } from "../lib/lifecycle.js";
+import { canJudge, weightedScore } from "../lib/judging.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 6. Judging Endpoints
+// -------------------------------------------------
+
+export const registerJudgingRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyCreator } = ctx.auth;
+    const { rankSubmissions } = ctx.judging;
+
+    app.put("/contests/:id/rubric", verifyToken, verifyCreator, validateBody(rubricSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        if (!contest || contest.creatorEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+
+        const names = req.body.criteria.map(c => c.name);
+        if (!names.length || new Set(names).size !== names.length) {
+            return res.status(400).send({ message: 'Rubric needs at least one criterion and unique criterion names' });
+        }
+        // Existing score sheets would no longer line up with the criteria
+        if (await db.scores.findOne({ contestId: id })) {
+            return res.status(409).send({ message: 'Rubric cannot change once judging has started' });
+        }
+
+        const result = await db.contests.updateOne(
+            { _id: contest._id },
+            { $set: { rubric: req.body.criteria } }
+        );
+        res.send(result);
+    });
+
+    app.post("/contests/:id/judges", verifyToken, verifyCreator, validateBody(judgeSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const result = await db.contests.updateOne(
+            { _id: new ObjectId(id), creatorEmail: req.decoded.email },
+            { $addToSet: { judges: req.body.email } }
+        );
+        if (!result.matchedCount) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+        res.send(result);
+    });
+
+    app.delete("/contests/:id/judges/:email", verifyToken, verifyCreator, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const result = await db.contests.updateOne(
+            { _id: new ObjectId(id), creatorEmail: req.decoded.email },
+            { $pull: { judges: req.params.email } }
+        );
+        if (!result.matchedCount) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+        res.send(result);
+    });
+
+    app.get("/contests/judging/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const contests = await db.contests.find({ judges: email, ...NOT_DELETED }).toArray();
+        res.send(contests);
+    });
+
+    app.put("/submissions/:id/scores", verifyToken, validateBody(scoreSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Submission ID format' });
+        }
+        const submission = await db.submissions.findOne({ _id: new ObjectId(id) });
+        if (!submission) {
+            return res.status(404).send({ message: 'Submission not found' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(submission.contestId) });
+        if (!contest || !canJudge(contest, req.decoded.email)) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        if (!contest.rubric?.length) {
+            return res.status(400).send({ message: 'This contest has no scoring rubric' });
+        }
+        if (effectiveStatus(contest) !== 'Judging') {
+            return res.status(400).send({ message: 'Submissions can only be scored while the contest is in judging' });
+        }
+
+        const errors = [];
+        for (const criterion of contest.rubric) {
+            const entry = req.body.scores.find(s => s.criterion === criterion.name);
+            if (!entry) {
+                errors.push({ field: 'scores', message: `${criterion.name} has not been scored` });
+            } else if (entry.points > criterion.maxPoints) {
+                errors.push({ field: 'scores', message: `${criterion.name} can be at most ${criterion.maxPoints} points` });
+            }
+        }
+        const unknown = req.body.scores.filter(s => !contest.rubric.some(c => c.name === s.criterion));
+        for (const entry of unknown) {
+            errors.push({ field: 'scores', message: `${entry.criterion} is not part of the rubric` });
+        }
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+
+        const result = await db.scores.updateOne(
+            { submissionId: id, judgeEmail: req.decoded.email },
+            {
+                $set: {
+                    contestId: submission.contestId,
+                    scores: req.body.scores,
+                    comment: req.body.comment,
+                    weightedScore: weightedScore(contest.rubric, req.body.scores),
+                    updatedAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
+        res.send(result);
+    });
+
+    app.get("/contests/:id/results", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        if (!contest || !canJudge(contest, req.decoded.email)) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+        const results = await rankSubmissions(contest);
+        res.send({ rubric: contest.rubric || [], judges: contest.judges || [], results });
+    });
+};
@@ -0,0 +1,62 @@
+import { validateBody, payoutSchema } from "../lib/schemas.js";
+import {
+    PLATFORM_CASH,
+    creatorAccount,
+    winnerAccount,
+    roundMoney,
+    debit,
+    credit
+} from "../lib/ledger.js";
+
+// -------------------------------------------------
+// 8. Ledger Endpoints
+// -------------------------------------------------
+
+export const registerLedgerRoutes = (app, ctx) => {
+    const { verifyToken, verifyAdmin, verifySelfOrAdmin } = ctx.auth;
+    const { postLedger, accountBalances, accountStatement } = ctx.ledger;
+    const { recordAudit } = ctx.audit;
+
+    app.get("/ledger/creator/:email", verifyToken, verifySelfOrAdmin, async (req, res) => {
+        res.send(await accountStatement(creatorAccount(req.params.email)));
+    });
+
+    app.get("/ledger/winner/:email", verifyToken, verifySelfOrAdmin, async (req, res) => {
+        res.send(await accountStatement(winnerAccount(req.params.email)));
+    });
+
+    // Prize money declared but not yet paid out, per winner
+    app.get("/ledger/liabilities", verifyToken, verifyAdmin, async (req, res) => {
+        const balances = await accountBalances({ $regex: '^winner:' });
+        const outstanding = balances.filter(b => b.balance > 0).sort((a, b) => b.balance - a.balance);
+        const total = roundMoney(outstanding.reduce((sum, b) => sum + b.balance, 0));
+        res.send({ total, winners: outstanding.map(b => ({ email: b.account.slice('winner:'.length), balance: b.balance })) });
+    });
+
+    app.post("/ledger/payouts", verifyToken, verifyAdmin, validateBody(payoutSchema), async (req, res) => {
+        const { email, kind, amount, reference, contestId } = req.body;
+        const account = kind === 'prize' ? winnerAccount(email) : creatorAccount(email);
+
+        const [totals] = await accountBalances(account);
+        if (roundMoney(amount) > (totals?.balance || 0)) {
+            return res.status(400).send({ message: `Payout exceeds the outstanding balance of ${totals?.balance || 0}` });
+        }
+
+        const type = kind === 'prize' ? 'prize_paid' : 'creator_payout';
+        const posted = await postLedger(`${type}:${reference}`, type, [
+            debit(account, amount),
+            credit(PLATFORM_CASH, amount)
+        ], { contestId, reference, settledBy: req.decoded.email });
+        if (!posted) {
+            return res.status(409).send({ message: 'A payout with this reference was already recorded' });
+        }
+        await recordAudit(req, {
+            action: 'ledger.payout',
+            targetType: 'ledger',
+            targetId: account,
+            before: { balance: totals?.balance || 0 },
+            after: { balance: roundMoney((totals?.balance || 0) - amount), reference }
+        });
+        res.status(201).send(await accountStatement(account));
+    });
+};
@@ -0,0 +1,58 @@
+import { ObjectId } from "mongodb";
+import { validate, notificationQuerySchema } from "../lib/schemas.js";
+import { sendPage } from "../lib/pagination.js";
+
+// -------------------------------------------------
+// 9. Notification Endpoints
+// -------------------------------------------------
+
+export const registerNotificationRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken } = ctx.auth;
+
+    app.get("/notifications", verifyToken, async (req, res) => {
+        const { value: params, errors } = validate(notificationQuerySchema, req.query);
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+        const filter = { email: req.decoded.email };
+        if (params.unread) {
+            filter.read = false;
+        }
+        await sendPage(req, res, db.notifications, {
+            filter,
+            sort: { _id: -1 },
+            params: { ...params, limit: params.limit || 20 },
+            itemsKey: 'notifications',
+            sortName: 'newest'
+        });
+    });
+
+    app.get("/notifications/unread-count", verifyToken, async (req, res) => {
+        const count = await db.notifications.countDocuments({ email: req.decoded.email, read: false });
+        res.send({ count });
+    });
+
+    app.patch("/notifications/read-all", verifyToken, async (req, res) => {
+        const result = await db.notifications.updateMany(
+            { email: req.decoded.email, read: false },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        res.send(result);
+    });
+
+    app.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Notification ID format' });
+        }
+        const result = await db.notifications.updateOne(
+            { _id: new ObjectId(id), email: req.decoded.email },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        if (!result.matchedCount) {
+            return res.status(404).send({ message: 'Notification not found' });
+        }
+        res.send(result);
+    });
+};
@@ -0,0 +1,329 @@
+import { ObjectId } from "mongodb";
+import { validateBody, participationSchema } from "../lib/schemas.js";
+import { isAcceptingEntries } from "../lib/lifecycle.js";
+import { isTeamContest } from "../lib/teams.js";
+
+// -------------------------------------------------
+// 4. Participation/Payment Endpoints
+// -------------------------------------------------
+
+export const registerPaymentRoutes = (app, ctx) => {
+    const { db, stripe } = ctx;
+    const { verifyToken } = ctx.auth;
+    const { recordParticipation, recordFreeEntry, recordRefund } = ctx.payments;
+    const { priceEntry, claim, unclaim } = ctx.promos;
+    const { reserve, attachSession, releaseHold, releaseSession, joinWaitlist, leaveWaitlist, waitlistPosition } = ctx.seats;
+    const { findTeam, teamEntryFee, lockTeam, unlockTeam } = ctx.teams;
+    const { rateLimit } = ctx.limits;
+    const { recordCheckout, closeCheckout } = ctx.analytics;
+
+    // A refunded entry doesn't count; entering again takes over its row
+    const isRegistered = async (contestId, participantEmail) => !!(await db.participated.findOne(
+        { contestId, participantEmail, paymentStatus: { $ne: 'refunded' } },
+        { projection: { _id: 1 } }
+    ));
+
+    // Holds a seat (for capped contests) or answers 409 and returns { full: true }
+    const reserveSeat = async (res, contest, participantEmail) => {
+        const reservation = await reserve(contest, participantEmail);
+        if (reservation.full) {
+            res.status(409).send({ message: 'This contest is full, join the waitlist to get the next free seat', full: true });
+        }
+        return reservation;
+    };
+
+    // What the caller pays: the contest as stored, or for team contests their
+    // team's fee (all of it for the captain, or their share). Sends the error
+    // response and returns null when they can't enter.
+    const entryTerms = async (res, contest, teamId, email) => {
+        if (!isTeamContest(contest)) {
+            return { pricedContest: contest, team: null };
+        }
+        const team = await findTeam(teamId);
+        if (!team || team.contestId !== contest._id.toString() || !team.memberEmails.includes(email)) {
+            res.status(400).send({ message: 'This is a team contest, register through your team' });
+            return null;
+        }
+        const { entryFee, error } = teamEntryFee(contest, team, email);
+        if (error) {
+            res.status(400).send({ message: error });
+            return null;
+        }
+        return { pricedContest: { ...contest, entryFee }, team };
+    };
+
+    // Registers a zero-price entry, taking a use of its promo code first
+    const registerFree = async (res, contest, participantEmail, quote, hold, team) => {
+        if (quote.promo && !(await claim(quote.promo))) {
+            if (hold) await releaseHold(hold);
+            return res.status(400).send({ message: 'This promo code has been fully redeemed' });
+        }
+        let result;
+        try {
+            if (team) await lockTeam(team);
+            result = await recordFreeEntry({ contestId: contest._id.toString(), participantEmail, quote, teamId: team?._id.toString() });
+        } catch (error) {
+            // Nothing was registered, so the seat and the code's use go back
+            if (hold) await releaseHold(hold);
+            if (quote.promo) await unclaim(quote.promo);
+            if (team) await unlockTeam(team._id.toString());
+            if (error.code !== 11000) throw error;
+            return res.status(409).send({ message: 'You are already registered for this contest' });
+        }
+        res.status(201).send({ registered: true, insertedId: result.insertedId, price: 0, discount: quote.discount });
+    };
+
+    // The price always comes from the stored contest; the client only names a promo code
+    app.post('/create-checkout-session', verifyToken, rateLimit('checkout'), async (req, res) => {
+        const paymentInfo = req.body;
+        const participantEmail = req.decoded.email;
+        if (!ObjectId.isValid(paymentInfo.contestId)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(paymentInfo.contestId) });
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        if (await isRegistered(paymentInfo.contestId, participantEmail)) {
+            return res.status(409).send({ message: 'You are already registered for this contest' });
+        }
+        const terms = await entryTerms(res, contest, paymentInfo.teamId, participantEmail);
+        if (!terms) return;
+        const { pricedContest, team } = terms;
+        const quote = await priceEntry(pricedContest, { code: paymentInfo.promoCode, email: participantEmail });
+        if (quote.error) {
+            return res.status(400).send({ message: quote.error });
+        }
+        const { hold, full } = await reserveSeat(res, contest, participantEmail);
+        if (full) return;
+        if (quote.price === 0) {
+            return registerFree(res, contest, participantEmail, quote, hold, team);
+        }
+        // Split shares depend on the team size, so the roster can't change from here on
+        if (team) await lockTeam(team);
+
+        const amount = Math.round(quote.price * 100);
+        const { returnPath } = paymentInfo;
+        const encodedReturnPath = encodeURIComponent(returnPath);
+        const successUrl = `${process.env.SITE_DOMAIN_URL}/return/payment-success?session_id={CHECKOUT_SESSION_ID}&return_to=${encodedReturnPath}`;
+
+        let session;
+        try {
+            session = await stripe.checkout.sessions.create({
+                line_items: [
+                    {
+                        price_data: {
+                            currency: "USD",
+                            unit_amount: amount,
+                            product_data: {
+                                name: team
+                                    ? `Team "${team.name}" entry for this contest: ${contest.name}`
+                                    : `Pay to participate in this contest: ${contest.name}`
+                            }
+                        },
+                        quantity: 1,
+                    },
+                ],
+                mode: 'payment',
+                metadata: {
+                    contestId: paymentInfo.contestId,
+                    participantEmail,
+                    ...(team && { teamId: team._id.toString() }),
+                    ...(quote.promo && {
+                        promoId: quote.promo._id.toString(),
+                        promoCode: quote.promo.code,
+                        originalPrice: String(quote.originalPrice),
+                        discount: String(quote.discount)
+                    })
+                },
+                customer_email: participantEmail,
+                success_url: successUrl,
+                cancel_url: `${process.env.SITE_DOMAIN_URL}/return/payment-cancel`,
+                // The checkout dies with the seat hold, which frees the seat through the webhook
+                ...(hold && { expires_at: Math.floor(new Date(hold.expiresAt).getTime() / 1000) })
+            });
+        } catch (error) {
+            if (hold) await releaseHold(hold);
+            if (team) await unlockTeam(team._id.toString());
+            throw error;
+        }
+        if (hold) await attachSession(hold, session.id);
+        await recordCheckout(session, {
+            contestId: paymentInfo.contestId,
+            email: participantEmail,
+            amount: quote.price,
+            teamId: team?._id.toString()
+        });
+        res.send({ url: session.url, ...(hold && { seatHeldUntil: hold.expiresAt }) });
+    });
+
+    app.post('/webhooks/stripe', async (req, res) => {
+        const signature = req.headers['stripe-signature'];
+
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(req.rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+        } catch (error) {
+            console.error("Stripe webhook signature verification failed:", error.message);
+            return res.status(400).send({ message: 'Invalid signature' });
+        }
+
+        try {
+            switch (event.type) {
+                case 'checkout.session.completed':
+                    if (event.data.object.payment_status === 'paid') {
+                        await recordParticipation(event.data.object);
+                        await closeCheckout(event.data.object, 'paid');
+                    }
+                    break;
+                case 'checkout.session.expired':
+                    await releaseSession(event.data.object);
+                    await closeCheckout(event.data.object, 'expired');
+                    if (event.data.object.metadata?.teamId) {
+                        await unlockTeam(event.data.object.metadata.teamId);
+                    }
+                    break;
+                case 'charge.refunded':
+                    await recordRefund(event.data.object);
+                    break;
+            }
+            res.send({ received: true });
+        } catch (error) {
+            console.error("Stripe webhook handling failed:", error);
+            res.status(500).send({ message: 'Failed to process webhook' });
+        }
+    });
+
+    // Read-only: the webhook is the only writer, this just reports where the session stands.
+    app.post('/verify-payment', async (req, res) => {
+        const { sessionId } = req.body;
+
+        if (!sessionId) {
+            return res.status(400).send({ status: 'error', message: 'Missing session ID' });
+        }
+
+        try {
+            const participation = await db.participated.findOne({ sessionId });
+            if (participation) {
+                return res.status(200).send({
+                    status: participation.paymentStatus === 'refunded' ? 'refunded' : 'succeeded',
+                    paymentIntentId: participation.transactionId,
+                    contestId: participation.contestId
+                });
+            }
+
+            const session = await stripe.checkout.sessions.retrieve(sessionId);
+            if (session.payment_status === 'paid') {
+                res.status(200).send({
+                    status: 'processing',
+                    message: 'Payment received, registration is being recorded',
+                    contestId: session.metadata.contestId
+                });
+            } else {
+                res.status(200).send({ status: session.payment_status, message: 'Payment not successful' });
+            }
+        } catch (error) {
+            console.error("Stripe verification failed:", error);
+            res.status(500).send({ status: 'error', message: 'Failed to verify payment' });
+        }
+    });
+
+    app.get("/participated/check/:contestId", verifyToken, async (req, res) => {
+        const { contestId } = req.params;
+        const { email } = req.query;
+
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+
+        const participation = await db.participated.findOne({
+            contestId,
+            participantEmail: email,
+            paymentStatus: { $ne: 'refunded' }
+        });
+        res.send({ isRegistered: !!participation });
+    });
+
+    // Free entries only (free contests or 100%-off codes); paid ones go through checkout
+    app.post("/participated", verifyToken, rateLimit('writes'), validateBody(participationSchema), async (req, res) => {
+        const participationInfo = req.body;
+        if (participationInfo.participantEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(participationInfo.contestId) });
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        const terms = await entryTerms(res, contest, participationInfo.teamId, req.decoded.email);
+        if (!terms) return;
+        const quote = await priceEntry(terms.pricedContest, { code: participationInfo.promoCode, email: req.decoded.email });
+        if (quote.error) {
+            return res.status(400).send({ message: quote.error });
+        }
+        if (quote.price > 0) {
+            return res.status(400).send({ message: 'This contest has an entry fee, please pay through checkout' });
+        }
+        if (await isRegistered(participationInfo.contestId, req.decoded.email)) {
+            return res.status(409).send({ message: 'You are already registered for this contest' });
+        }
+        const { hold, full } = await reserveSeat(res, contest, req.decoded.email);
+        if (full) return;
+        await registerFree(res, contest, req.decoded.email, quote, hold, terms.team);
+    });
+
+    // The caller's place on a full contest's waitlist
+    app.get("/contests/:id/waitlist", verifyToken, async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        res.send(await waitlistPosition(req.params.id, req.decoded.email));
+    });
+
+    app.post("/contests/:id/waitlist", verifyToken, rateLimit('writes'), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(id) });
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        if (await isRegistered(id, req.decoded.email)) {
+            return res.status(409).send({ message: 'You are already registered for this contest' });
+        }
+        if (!contest.capacity || !(await joinWaitlist(contest, req.decoded.email))) {
+            return res.status(409).send({ message: 'This contest has free seats, register directly' });
+        }
+        res.status(201).send(await waitlistPosition(id, req.decoded.email));
+    });
+
+    app.delete("/contests/:id/waitlist", verifyToken, async (req, res) => {
+        if (!(await leaveWaitlist(req.params.id, req.decoded.email))) {
+            return res.status(404).send({ message: 'You are not on the waitlist' });
+        }
+        res.send({ status: null });
+    });
+
+    app.get("/participated/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const participatedList = await db.participated.find({ participantEmail: email }).toArray();
+
+        const contestIds = participatedList.map(p => new ObjectId(p.contestId));
+        const contestsDetails = await db.contests.find({ _id: { $in: contestIds } }).toArray();
+
+        const mergedData = participatedList.map(p => {
+            const detail = contestsDetails.find(c => c._id.toString() === p.contestId);
+            return {
+                ...p,
+                contestName: detail?.name,
+                deadline: detail?.deadline,
+                image: detail?.image,
+            };
+        });
+
+        res.send(mergedData);
+    });
+};
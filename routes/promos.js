@@ -0,0 +1,133 @@
+import { ObjectId } from "mongodb";
+import { validate, validateBody, promoCodeSchema, promoCodeUpdateSchema, promoQuerySchema } from "../lib/schemas.js";
+import { normalizeCode } from "../lib/promos.js";
+import { sendPage } from "../lib/pagination.js";
+import { isAcceptingEntries } from "../lib/lifecycle.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 13. Promo Code Endpoints
+// -------------------------------------------------
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+export const registerPromoRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken } = ctx.auth;
+    const { priceEntry } = ctx.promos;
+    const { rateLimit } = ctx.limits;
+
+    const roleOf = async (email) => (await db.users.findOne({ email }, { projection: { role: 1 } }))?.role;
+
+    // Admins manage every code, creators the codes they made
+    const canManage = (role, email, promo) => role === 'Admin' || (role === 'Contest Creator' && promo.createdBy === email);
+
+    app.post("/promo-codes", verifyToken, validateBody(promoCodeSchema), async (req, res) => {
+        const email = req.decoded.email;
+        const role = await roleOf(email);
+        if (role !== 'Admin' && role !== 'Contest Creator') {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+
+        const promo = { ...req.body, code: normalizeCode(req.body.code) };
+        const errors = [];
+        if (!CODE_PATTERN.test(promo.code)) {
+            errors.push({ field: 'code', message: 'must be 3-40 letters, digits, dashes or underscores' });
+        }
+        if (promo.kind === 'percent' && promo.amount > 100) {
+            errors.push({ field: 'amount', message: 'must be at most 100' });
+        }
+        if (!promo.contestId && role !== 'Admin') {
+            errors.push({ field: 'contestId', message: 'contestId is required' });
+        }
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+
+        if (promo.contestId) {
+            const contest = await db.contests.findOne({ _id: new ObjectId(promo.contestId), ...NOT_DELETED });
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (role !== 'Admin' && contest.creatorEmail !== email) {
+                return res.status(403).send({ message: 'Forbidden access' });
+            }
+        }
+
+        const newPromo = {
+            ...promo,
+            contestId: promo.contestId || null,
+            active: promo.active ?? true,
+            redemptions: 0,
+            createdBy: email,
+            createdAt: new Date()
+        };
+        try {
+            const result = await db.promoCodes.insertOne(newPromo);
+            res.status(201).send({ ...newPromo, _id: result.insertedId });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).send({ message: 'A promo code with this code already exists' });
+            }
+            throw error;
+        }
+    });
+
+    app.get("/promo-codes", verifyToken, async (req, res) => {
+        const email = req.decoded.email;
+        const role = await roleOf(email);
+        if (role !== 'Admin' && role !== 'Contest Creator') {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const { value: params, errors } = validate(promoQuerySchema, req.query);
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+        const filter = role === 'Admin' ? {} : { createdBy: email };
+        if (params.contestId) filter.contestId = params.contestId;
+        await sendPage(req, res, db.promoCodes, {
+            filter,
+            sort: { _id: -1 },
+            params: { ...params, limit: params.limit || 20 },
+            itemsKey: 'promoCodes',
+            sortName: 'newest'
+        });
+    });
+
+    app.patch("/promo-codes/:id", verifyToken, validateBody(promoCodeUpdateSchema, { partial: true }), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid ID format' });
+        }
+        const promo = await db.promoCodes.findOne({ _id: new ObjectId(id) });
+        if (!promo) {
+            return res.status(404).send({ message: 'Promo code not found' });
+        }
+        if (!canManage(await roleOf(req.decoded.email), req.decoded.email, promo)) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const updated = await db.promoCodes.findOneAndUpdate(
+            { _id: promo._id },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.send(updated);
+    });
+
+    // Lets the checkout page show the discounted price before paying
+    app.post("/promo-codes/quote", verifyToken, rateLimit('checkout'), async (req, res) => {
+        const { contestId, code } = req.body;
+        if (!ObjectId.isValid(contestId) || !code) {
+            return res.status(400).send({ message: 'A contest and a promo code are required' });
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(contestId) });
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        const quote = await priceEntry(contest, { code, email: req.decoded.email });
+        if (quote.error) {
+            return res.status(400).send({ message: quote.error });
+        }
+        res.send({ code: quote.promo.code, originalPrice: quote.originalPrice, discount: quote.discount, price: quote.price });
+    });
+};
@@ -0,0 +1,341 @@
+import express from "express";
+import crypto from "crypto";
+import path from "path";
+import { ObjectId } from "mongodb";
+import { validateBody, submissionSchema } from "../lib/schemas.js";
+import { isAcceptingEntries } from "../lib/lifecycle.js";
+import { canJudge } from "../lib/judging.js";
+import { signResource, verifyResourceSignature } from "../lib/storage.js";
+import { NOT_DELETED } from "../lib/archive.js";
+import { isTeamContest } from "../lib/teams.js";
+
+// -------------------------------------------------
+// 5. Submission Endpoints
+// -------------------------------------------------
+
+// Clients send the original file name URI-encoded; one that doesn't decode is kept as sent
+const uploadFileName = (header = 'attachment') => {
+    let name = header;
+    try {
+        name = decodeURIComponent(header);
+    } catch {
+        // malformed escape sequence
+    }
+    return path.basename(name).slice(0, 200);
+};
+
+export const registerSubmissionRoutes = (app, ctx) => {
+    const { db, storage } = ctx;
+    const { verifyToken, verifyCreator } = ctx.auth;
+    const { rateLimit } = ctx.limits;
+    const { publish } = ctx.events;
+    const { teamOf } = ctx.teams;
+
+    const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+    const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES || 4 * 1024 * 1024);
+    const MAX_ATTACHMENTS = 5;
+    const DOWNLOAD_URL_TTL_SECONDS = 10 * 60;
+
+    const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+    // Team submissions belong to every member of the team
+    const isOwner = (submission, email) =>
+        submission.participantEmail === email || (submission.memberEmails || []).includes(email);
+
+    const canViewSubmission = (submission, contest, email) =>
+        isOwner(submission, email) || (!!contest && canJudge(contest, email));
+
+    // Moves the current content into `history` and applies `changes` as the next
+    // version. Matching on the version makes concurrent edits fail instead of merging.
+    const reviseSubmission = (submission, changes) => {
+        const version = submission.version || 1;
+        return db.submissions.findOneAndUpdate(
+            { _id: submission._id, version: submission.version ? version : { $exists: false } },
+            {
+                $push: {
+                    history: {
+                        version,
+                        submissionLink: submission.submissionLink,
+                        notes: submission.notes,
+                        attachments: submission.attachments || [],
+                        updatedAt: submission.updatedAt || submission.submittedAt
+                    }
+                },
+                $set: { ...changes, version: version + 1, updatedAt: new Date() }
+            },
+            { returnDocument: 'after' }
+        );
+    };
+
+    // Loads the submission and its contest and checks the caller may edit it
+    const loadEditableSubmission = async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).send({ message: 'Invalid Submission ID format' });
+            return null;
+        }
+        const submission = await db.submissions.findOne({ _id: new ObjectId(req.params.id) });
+        if (!submission || !isOwner(submission, req.decoded.email)) {
+            res.status(403).send({ message: 'Forbidden or Submission not found' });
+            return null;
+        }
+        const contest = await db.contests.findOne({ _id: new ObjectId(submission.contestId) });
+        if (!isAcceptingEntries(contest)) {
+            res.status(400).send({ message: 'This contest is no longer accepting submissions' });
+            return null;
+        }
+        return submission;
+    };
+
+    app.post("/submissions", verifyToken, rateLimit('writes'), validateBody(submissionSchema), async (req, res) => {
+        const submissionInfo = req.body;
+        if (submissionInfo.participantEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+
+        const isRegistered = await db.participated.findOne({
+            contestId: submissionInfo.contestId,
+            participantEmail: submissionInfo.participantEmail,
+            paymentStatus: { $ne: 'refunded' }
+        });
+
+        if (!isRegistered) {
+            return res.status(403).send({ message: 'User has not registered for this contest.' });
+        }
+
+        const contest = await db.contests.findOne({ _id: new ObjectId(submissionInfo.contestId) });
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is no longer accepting submissions' });
+        }
+
+        // Any member submits for the whole team, under the captain's email
+        let team = null;
+        if (isTeamContest(contest)) {
+            team = await teamOf(submissionInfo.contestId, submissionInfo.participantEmail);
+            if (team?.status !== 'registered') {
+                return res.status(403).send({ message: 'Your team has not finished registering for this contest.' });
+            }
+            Object.assign(submissionInfo, {
+                participantEmail: team.captainEmail,
+                teamId: team._id.toString(),
+                teamName: team.name,
+                memberEmails: team.memberEmails
+            });
+        }
+
+        // Submitting again before the deadline edits the existing entry
+        const existing = await db.submissions.findOne(team
+            ? { contestId: submissionInfo.contestId, teamId: submissionInfo.teamId }
+            : { contestId: submissionInfo.contestId, participantEmail: submissionInfo.participantEmail });
+        if (existing) {
+            const updated = await reviseSubmission(existing, {
+                submissionLink: submissionInfo.submissionLink,
+                notes: submissionInfo.notes
+            });
+            if (!updated) {
+                return res.status(409).send({ message: 'Submission was changed meanwhile, please reload and try again' });
+            }
+            return res.send({ acknowledged: true, updated: true, submission: updated });
+        }
+
+        const user = !team && await db.users.findOne({ email: submissionInfo.participantEmail });
+        submissionInfo.participantName = team ? team.name : user?.name || 'Unknown User';
+        submissionInfo.submittedAt = new Date();
+        submissionInfo.version = 1;
+        submissionInfo.attachments = [];
+        submissionInfo.history = [];
+
+        try {
+            const result = await db.submissions.insertOne(submissionInfo);
+            publish({
+                type: 'submissions',
+                contestId: submissionInfo.contestId,
+                creatorEmail: contest.creatorEmail,
+                private: true,
+                data: { submissionsCount: await db.submissions.countDocuments({ contestId: submissionInfo.contestId }) }
+            });
+            res.send(result);
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).send({ message: 'Submission already exists, please reload and try again' });
+            }
+            throw error;
+        }
+    });
+
+    app.get("/submissions/:id", verifyToken, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Submission ID format' });
+        }
+        const submission = await db.submissions.findOne({ _id: new ObjectId(id) });
+        const contest = submission && await db.contests.findOne({ _id: new ObjectId(submission.contestId) });
+        if (!submission || !canViewSubmission(submission, contest, req.decoded.email)) {
+            return res.status(403).send({ message: 'Forbidden or Submission not found' });
+        }
+        res.send(submission);
+    });
+
+    // Reads the upload into req.body, turning body-parser errors into the JSON
+    // errors the rest of the API uses; resolves false once one is sent
+    const readAttachment = (req, res) => new Promise((resolve) => {
+        express.raw({ type: ATTACHMENT_TYPES, limit: MAX_ATTACHMENT_BYTES })(req, res, (error) => {
+            if (error) {
+                const message = error.type === 'entity.too.large'
+                    ? `Attachments can be at most ${MAX_ATTACHMENT_BYTES} bytes`
+                    : 'Could not read the upload';
+                res.status(error.status || 400).send({ message });
+                return resolve(false);
+            }
+            resolve(true);
+        });
+    });
+
+    app.post("/submissions/:id/attachments", verifyToken, rateLimit('writes'), async (req, res) => {
+        // Only the owner of an editable submission gets the upload read into memory
+        const submission = await loadEditableSubmission(req, res);
+        if (!submission) return;
+        if ((submission.attachments || []).length >= MAX_ATTACHMENTS) {
+            return res.status(400).send({ message: `A submission can have at most ${MAX_ATTACHMENTS} attachments` });
+        }
+
+        if (!(await readAttachment(req, res))) return;
+        if (!Buffer.isBuffer(req.body) || !req.body.length) {
+            return res.status(415).send({ message: `Upload the file as the request body with one of: ${ATTACHMENT_TYPES.join(', ')}` });
+        }
+
+        const id = crypto.randomUUID();
+        const fileName = uploadFileName(req.headers['x-file-name']);
+        const attachment = {
+            id,
+            key: `${submission._id}/${id}`,
+            fileName,
+            contentType: req.headers['content-type'].split(';')[0],
+            size: req.body.length,
+            uploadedAt: new Date()
+        };
+        await storage.save(attachment.key, req.body, attachment.contentType);
+
+        const updated = await reviseSubmission(submission, {
+            attachments: [...(submission.attachments || []), attachment]
+        });
+        if (!updated) {
+            await storage.remove(attachment.key);
+            return res.status(409).send({ message: 'Submission was changed meanwhile, please reload and try again' });
+        }
+        res.status(201).send(updated);
+    });
+
+    // The file stays in storage because earlier versions still reference it
+    app.delete("/submissions/:id/attachments/:attachmentId", verifyToken, async (req, res) => {
+        const submission = await loadEditableSubmission(req, res);
+        if (!submission) return;
+
+        const attachments = submission.attachments || [];
+        if (!attachments.some(a => a.id === req.params.attachmentId)) {
+            return res.status(404).send({ message: 'Attachment not found' });
+        }
+        const updated = await reviseSubmission(submission, {
+            attachments: attachments.filter(a => a.id !== req.params.attachmentId)
+        });
+        if (!updated) {
+            return res.status(409).send({ message: 'Submission was changed meanwhile, please reload and try again' });
+        }
+        res.send(updated);
+    });
+
+    const findAttachment = (submission, attachmentId) =>
+        [submission.attachments || [], ...(submission.history || []).map(h => h.attachments || [])]
+            .flat()
+            .find(a => a.id === attachmentId);
+
+    app.get("/submissions/:id/attachments/:attachmentId/url", verifyToken, async (req, res) => {
+        const { id, attachmentId } = req.params;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Submission ID format' });
+        }
+        const submission = await db.submissions.findOne({ _id: new ObjectId(id) });
+        const contest = submission && await db.contests.findOne({ _id: new ObjectId(submission.contestId) });
+        if (!submission || !canViewSubmission(submission, contest, req.decoded.email)) {
+            return res.status(403).send({ message: 'Forbidden or Submission not found' });
+        }
+        if (!findAttachment(submission, attachmentId)) {
+            return res.status(404).send({ message: 'Attachment not found' });
+        }
+
+        const { expires, signature } = signResource(`${id}:${attachmentId}`, DOWNLOAD_URL_TTL_SECONDS, signingSecret());
+        const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        res.send({
+            url: `${baseUrl}/submissions/${id}/attachments/${attachmentId}/download?expires=${expires}&signature=${signature}`,
+            expiresAt: new Date(expires * 1000)
+        });
+    });
+
+    // No JWT here: the short-lived signature from the /url route is the authorization
+    app.get("/submissions/:id/attachments/:attachmentId/download", async (req, res) => {
+        const { id, attachmentId } = req.params;
+        const { expires, signature } = req.query;
+        if (!ObjectId.isValid(id) || !verifyResourceSignature(`${id}:${attachmentId}`, expires, signature, signingSecret())) {
+            return res.status(403).send({ message: 'Invalid or expired download link' });
+        }
+        const submission = await db.submissions.findOne({ _id: new ObjectId(id) });
+        const attachment = submission && findAttachment(submission, attachmentId);
+        if (!attachment) {
+            return res.status(404).send({ message: 'Attachment not found' });
+        }
+
+        const stream = storage.createReadStream(attachment.key);
+        stream.on('error', (error) => {
+            console.error("Attachment download failed:", error);
+            if (!res.headersSent) {
+                res.status(404).send({ message: 'Attachment not found' });
+            } else {
+                res.destroy(error);
+            }
+        });
+        // Adds an RFC 5987 `filename*` for names that aren't plain ASCII
+        res.attachment(attachment.fileName);
+        res.set('Content-Type', attachment.contentType);
+        stream.pipe(res);
+    });
+
+    app.get("/submissions/creator/:email", verifyToken, verifyCreator, async (req, res) => {
+        const creatorEmail = req.params.email;
+        const contestIdFilter = req.query.contestId;
+
+        let contestQuery = { creatorEmail, ...NOT_DELETED };
+        if (contestIdFilter) {
+            contestQuery._id = new ObjectId(contestIdFilter);
+        }
+        const creatorContests = await db.contests.find(contestQuery).toArray();
+        const contestIds = creatorContests.map(c => c._id.toString());
+
+        const submissions = await db.submissions.find({
+            contestId: { $in: contestIds }
+        }).toArray();
+
+        const mergedSubmissions = submissions.map(sub => {
+            const contest = creatorContests.find(c => c._id.toString() === sub.contestId);
+            return {
+                ...sub,
+                contestName: contest?.name || sub.contestName,
+                deadline: contest?.deadline
+            };
+        });
+        res.send(mergedSubmissions);
+    });
+
+    app.get("/submissions/check/:contestId", verifyToken, async (req, res) => {
+        const { contestId } = req.params;
+        const { email } = req.query;
+
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+
+        const submission = await db.submissions.findOne(
+            { contestId, $or: [{ participantEmail: email }, { memberEmails: email }] },
+            { projection: { history: 0 } }
+        );
+        res.send({ hasSubmitted: !!submission, submission });
+    });
+};
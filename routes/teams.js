@@ -0,0 +1,272 @@
+import { ObjectId } from "mongodb";
+import { validateBody, teamSchema, teamInviteSchema } from "../lib/schemas.js";
+import { isAcceptingEntries } from "../lib/lifecycle.js";
+import { isTeamContest } from "../lib/teams.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 14. Team Endpoints
+// -------------------------------------------------
+
+export const registerTeamRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, isAdmin } = ctx.auth;
+    const { notify } = ctx.notifications;
+    const { rateLimit } = ctx.limits;
+    const { findTeam, teamOf } = ctx.teams;
+
+    const loadContest = (id) => db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+    // Why `email` can't join a team for the contest, or null if they can
+    const joinBlocker = async (contestId, email) => {
+        if (await teamOf(contestId, email)) {
+            return 'already in a team for this contest';
+        }
+        if (await db.participated.findOne(
+            { contestId, participantEmail: email, paymentStatus: { $ne: 'refunded' } },
+            { projection: { _id: 1 } }
+        )) {
+            return 'already registered for this contest';
+        }
+        return null;
+    };
+
+    // Members with their names and whether their entry is in yet
+    const withMembers = async (team) => {
+        const users = await db.users.find(
+            { email: { $in: team.memberEmails } },
+            { projection: { email: 1, name: 1, photo: 1 } }
+        ).toArray();
+        const entries = await db.participated.find(
+            { teamId: team._id.toString(), paymentStatus: { $ne: 'refunded' } },
+            { projection: { participantEmail: 1 } }
+        ).toArray();
+        return {
+            ...team,
+            members: team.memberEmails.map(email => {
+                const user = users.find(u => u.email === email);
+                return {
+                    email,
+                    name: user?.name,
+                    photo: user?.photo,
+                    captain: email === team.captainEmail,
+                    registered: entries.some(entry => entry.participantEmail === email)
+                };
+            })
+        };
+    };
+
+    // Loads the team for routes that change its roster; sends the error and returns null otherwise
+    const loadFormingTeam = async (req, res) => {
+        const team = await findTeam(req.params.id);
+        if (!team) {
+            res.status(404).send({ message: 'Team not found' });
+            return null;
+        }
+        if (team.status !== 'forming') {
+            res.status(409).send({ message: 'The team roster is locked once registration has started' });
+            return null;
+        }
+        return team;
+    };
+
+    app.post("/contests/:id/teams", verifyToken, rateLimit('writes'), validateBody(teamSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const email = req.decoded.email;
+        const contest = await loadContest(id);
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (!isTeamContest(contest)) {
+            return res.status(400).send({ message: 'This contest does not take teams' });
+        }
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        const blocker = await joinBlocker(id, email);
+        if (blocker) {
+            return res.status(409).send({ message: `You are ${blocker}` });
+        }
+
+        const team = {
+            contestId: id,
+            name: req.body.name,
+            captainEmail: email,
+            memberEmails: [email],
+            invites: [],
+            paymentMode: req.body.paymentMode || 'captain',
+            status: 'forming',
+            createdAt: new Date()
+        };
+        let result;
+        try {
+            result = await db.teams.insertOne(team);
+        } catch (error) {
+            // Joined another team since the check above
+            if (error.code !== 11000) throw error;
+            return res.status(409).send({ message: 'You are already in a team for this contest' });
+        }
+        res.status(201).send({ ...team, _id: result.insertedId });
+    });
+
+    app.get("/contests/:id/teams/mine", verifyToken, async (req, res) => {
+        const team = await teamOf(req.params.id, req.decoded.email);
+        if (!team) {
+            return res.status(404).send({ message: 'You are not in a team for this contest' });
+        }
+        res.send(await withMembers(team));
+    });
+
+    app.get("/teams/invites", verifyToken, async (req, res) => {
+        const teams = await db.teams.find(
+            { 'invites.email': req.decoded.email, status: 'forming' },
+            { projection: { invites: 0 } }
+        ).toArray();
+        const contests = await db.contests.find(
+            { _id: { $in: teams.map(team => new ObjectId(team.contestId)) } },
+            { projection: { name: 1 } }
+        ).toArray();
+        res.send(teams.map(team => ({
+            ...team,
+            contestName: contests.find(contest => contest._id.toString() === team.contestId)?.name
+        })));
+    });
+
+    app.get("/teams/:id", verifyToken, async (req, res) => {
+        const team = await findTeam(req.params.id);
+        const email = req.decoded.email;
+        const invited = team?.invites.some(invite => invite.email === email);
+        if (!team || !(team.memberEmails.includes(email) || invited)) {
+            const contest = team && await loadContest(team.contestId);
+            if (!contest || (contest.creatorEmail !== email && !(await isAdmin(email)))) {
+                return res.status(403).send({ message: 'Forbidden or Team not found' });
+            }
+        }
+        res.send(await withMembers(team));
+    });
+
+    app.post("/teams/:id/invites", verifyToken, rateLimit('writes'), validateBody(teamInviteSchema), async (req, res) => {
+        const team = await loadFormingTeam(req, res);
+        if (!team) return;
+        if (team.captainEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Only the team captain can invite members' });
+        }
+        const email = req.body.email;
+        if (team.memberEmails.includes(email) || team.invites.some(invite => invite.email === email)) {
+            return res.status(409).send({ message: 'This user is already on the team or invited' });
+        }
+        const contest = await loadContest(team.contestId);
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        // Open invites count against the limit so accepting one never overfills the team
+        if (team.memberEmails.length + team.invites.length >= contest.maxTeamSize) {
+            return res.status(400).send({ message: `Teams can have at most ${contest.maxTeamSize} members` });
+        }
+        const blocker = await joinBlocker(team.contestId, email);
+        if (blocker) {
+            return res.status(409).send({ message: `This user is ${blocker}` });
+        }
+
+        const invite = { email, invitedAt: new Date() };
+        const updated = await db.teams.findOneAndUpdate(
+            { _id: team._id, status: 'forming' },
+            { $push: { invites: invite } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            return res.status(409).send({ message: 'The team roster is locked once registration has started' });
+        }
+        const captain = await db.users.findOne({ email: team.captainEmail }, { projection: { name: 1 } });
+        await notify([email], 'team_invite', {
+            contestId: team.contestId,
+            contestName: contest.name,
+            teamId: team._id.toString(),
+            teamName: team.name,
+            captainName: captain?.name
+        });
+        res.status(201).send({ invites: updated.invites });
+    });
+
+    app.post("/teams/:id/accept", verifyToken, rateLimit('writes'), async (req, res) => {
+        const team = await loadFormingTeam(req, res);
+        if (!team) return;
+        const email = req.decoded.email;
+        if (!team.invites.some(invite => invite.email === email)) {
+            return res.status(404).send({ message: 'Invite not found' });
+        }
+        const contest = await loadContest(team.contestId);
+        if (!isAcceptingEntries(contest)) {
+            return res.status(400).send({ message: 'This contest is not accepting entries' });
+        }
+        const blocker = await joinBlocker(team.contestId, email);
+        if (blocker) {
+            return res.status(409).send({ message: `You are ${blocker}` });
+        }
+
+        let updated;
+        try {
+            updated = await db.teams.findOneAndUpdate(
+                { _id: team._id, status: 'forming', 'invites.email': email },
+                { $pull: { invites: { email } }, $push: { memberEmails: email } },
+                { returnDocument: 'after' }
+            );
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return res.status(409).send({ message: 'You are already in a team for this contest' });
+        }
+        if (!updated) {
+            return res.status(409).send({ message: 'Team changed, please reload and try again' });
+        }
+        res.send(await withMembers(updated));
+    });
+
+    app.post("/teams/:id/decline", verifyToken, async (req, res) => {
+        const result = ObjectId.isValid(req.params.id) && await db.teams.updateOne(
+            { _id: new ObjectId(req.params.id), 'invites.email': req.decoded.email },
+            { $pull: { invites: { email: req.decoded.email } } }
+        );
+        if (!result?.modifiedCount) {
+            return res.status(404).send({ message: 'Invite not found' });
+        }
+        res.send({ declined: true });
+    });
+
+    // Members leave on their own; the captain can remove members and withdraw invites
+    app.delete("/teams/:id/members/:email", verifyToken, async (req, res) => {
+        const team = await loadFormingTeam(req, res);
+        if (!team) return;
+        const email = req.params.email;
+        if (req.decoded.email !== team.captainEmail && req.decoded.email !== email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        if (email === team.captainEmail) {
+            return res.status(400).send({ message: 'The captain cannot leave the team, disband it instead' });
+        }
+        const updated = await db.teams.findOneAndUpdate(
+            { _id: team._id, status: 'forming' },
+            { $pull: { memberEmails: email, invites: { email } } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            return res.status(409).send({ message: 'Team changed, please reload and try again' });
+        }
+        res.send(await withMembers(updated));
+    });
+
+    app.delete("/teams/:id", verifyToken, async (req, res) => {
+        const team = await loadFormingTeam(req, res);
+        if (!team) return;
+        if (team.captainEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Only the team captain can disband the team' });
+        }
+        const result = await db.teams.deleteOne({ _id: team._id, status: 'forming' });
+        if (!result.deletedCount) {
+            return res.status(409).send({ message: 'The team roster is locked once registration has started' });
+        }
+        res.send({ deleted: true });
+    });
+};
@@ -0,0 +1,281 @@
+import { ObjectId } from "mongodb";
+import { validate, validateBody, userSchema, userQuerySchema, leaderboardQuerySchema, USER_ROLES } from "../lib/schemas.js";
+import { sendPage } from "../lib/pagination.js";
+import { NOT_DELETED, deletedFilter } from "../lib/archive.js";
+import { ALL_TYPES } from "../lib/rankings.js";
+
+// -------------------------------------------------
+// 1. Leaderboard Endpoints
+// -------------------------------------------------
+
+export const registerUserRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyAdmin, revokeRefreshTokens } = ctx.auth;
+    const { recordAudit } = ctx.audit;
+    const { softDelete, restore, purgeUser } = ctx.archive;
+    const { rateLimit } = ctx.limits;
+    const { leaderboardPage, rankOf, recomputeAll, setHidden } = ctx.rankings;
+    const { ensureSlug } = ctx.profiles;
+
+    // Defaults to the all-time board across every contest type
+    const leaderboardScope = (req, res) => {
+        const { value: params, errors } = validate(leaderboardQuerySchema, req.query);
+        if (errors.length) {
+            res.status(400).send({ message: 'Validation failed', errors });
+            return null;
+        }
+        return { ...params, window: params.window || 'all-time', type: params.type || ALL_TYPES };
+    };
+
+    // Without page/limit this still returns the plain array older clients
+    // expect: the top 10 users with at least one win
+    app.get("/users/leaderboard", async (req, res) => {
+        const scope = leaderboardScope(req, res);
+        if (!scope) return;
+        const { page, limit, ...rest } = scope;
+        if (page === undefined && limit === undefined) {
+            const result = await leaderboardPage(rest, { limit: 10, winnersOnly: true });
+            return res.send(result.leaderboard);
+        }
+        res.send(await leaderboardPage(rest, { page, limit: limit || 10 }));
+    });
+
+    app.get("/users/leaderboard/me", verifyToken, async (req, res) => {
+        const scope = leaderboardScope(req, res);
+        if (!scope) return;
+        res.send(await rankOf(scope, req.decoded.email));
+    });
+
+    // Rebuilds the rankings and every user's counters from contests and participations
+    app.post("/users/leaderboard/recompute", verifyToken, verifyAdmin, async (req, res) => {
+        const result = await recomputeAll();
+        await recordAudit(req, {
+            action: 'leaderboard.recompute',
+            targetType: 'user',
+            targetId: 'all',
+            before: null,
+            after: result
+        });
+        res.send(result);
+    });
+
+    // -------------------------------------------------
+    // 2. User Management Endpoints
+    // -------------------------------------------------
+
+    // Without paging parameters this still returns the plain array older clients expect
+    app.get("/users", async (req, res) => {
+        try {
+            const { value: params, errors } = validate(userQuerySchema, req.query);
+            if (errors.length) {
+                return res.status(400).send({ message: 'Validation failed', errors });
+            }
+            if (!Object.keys(params).some(key => ['page', 'limit', 'cursor', 'paging'].includes(key))) {
+                const users = await db.users.find(NOT_DELETED).toArray();
+                return res.status(200).json(users);
+            }
+            await sendPage(req, res, db.users, {
+                filter: NOT_DELETED,
+                sort: { _id: 1 },
+                params: { ...params, limit: params.limit || 20 },
+                itemsKey: 'users',
+                sortName: 'id'
+            });
+        } catch (err) {
+            console.error("Error loading users:", err);
+            res.status(500).json({ error: "Failed to load users" });
+        }
+    });
+
+    app.post("/users", rateLimit('signup'), validateBody(userSchema), async (req, res) => {
+        const user = req.body;
+        const query = { email: user.email };
+        const existingUser = await db.users.findOne(query);
+        if (existingUser) {
+            return res.send({ message: "User already exists", insertedId: null });
+        }
+        const newUser = {
+            bio: '',
+            address: '',
+            ...user,
+            role: 'Normal User',
+            wins: 0,
+            participatedCount: 0,
+            winPercentage: 0
+        }
+        const result = await db.users.insertOne(newUser);
+        await ensureSlug({ _id: result.insertedId, name: newUser.name });
+        res.status(201).json(result);
+    });
+
+    app.get("/users/role/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const user = await db.users.findOne({ email });
+        res.send({ role: user?.role || 'Normal User' });
+    });
+
+    app.patch("/users/role/:id", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        const { role, reason } = req.body;
+
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid User ID' });
+        }
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).send({
+                message: 'Validation failed',
+                errors: [{ field: 'role', message: `role must be one of: ${USER_ROLES.join(', ')}` }]
+            });
+        }
+
+        const filter = { _id: new ObjectId(id) };
+        // Bumping tokenVersion logs the user out everywhere so the new role applies immediately
+        const updateDoc = {
+            $set: { role: role },
+            $inc: { tokenVersion: 1 }
+        };
+
+        try {
+            const user = await db.users.findOne(filter, { projection: { email: 1, role: 1 } });
+            const result = await db.users.updateOne(filter, updateDoc);
+            if (user) {
+                await revokeRefreshTokens(user.email);
+                await recordAudit(req, {
+                    action: 'user.role',
+                    targetType: 'user',
+                    targetId: user.email,
+                    before: { role: user.role },
+                    after: { role },
+                    reason
+                });
+            }
+            res.send(result);
+        } catch (error) {
+            console.error("Error updating user role:", error);
+            res.status(500).send({ message: "Failed to update role" });
+        }
+    });
+
+    app.get("/users/deleted", verifyToken, verifyAdmin, async (req, res) => {
+        const { value: params, errors } = validate(userQuerySchema, req.query);
+        if (errors.length) {
+            return res.status(400).send({ message: 'Validation failed', errors });
+        }
+        await sendPage(req, res, db.users, {
+            filter: deletedFilter('only'),
+            sort: { _id: 1 },
+            params: { ...params, limit: params.limit || 20 },
+            itemsKey: 'users',
+            sortName: 'id'
+        });
+    });
+
+    // Soft delete: signs the user out everywhere and hides them from listings
+    app.delete("/users/:id", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid User ID' });
+        }
+        const user = await db.users.findOne({ _id: new ObjectId(id) });
+        const deleted = user && await softDelete(db.users, user._id, req.decoded.email);
+        if (!deleted) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        await db.users.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+        await revokeRefreshTokens(user.email);
+        await setHidden(user.email, true);
+        await recordAudit(req, {
+            action: 'user.delete',
+            targetType: 'user',
+            targetId: user.email,
+            before: user,
+            after: deleted,
+            reason: req.body?.reason
+        });
+        res.send({ deletedAt: deleted.deletedAt });
+    });
+
+    app.patch("/users/:id/restore", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid User ID' });
+        }
+        const user = await db.users.findOne({ _id: new ObjectId(id) });
+        const restored = user && await restore(db.users, user._id);
+        if (!restored) {
+            return res.status(404).send({ message: 'No deleted user with this ID' });
+        }
+        await setHidden(user.email, false);
+        await recordAudit(req, {
+            action: 'user.restore',
+            targetType: 'user',
+            targetId: user.email,
+            before: user,
+            after: restored,
+            reason: req.body?.reason
+        });
+        res.send(restored);
+    });
+
+    // Permanently removes a soft-deleted user with their participations, submissions and inbox
+    app.delete("/users/:id/purge", verifyToken, verifyAdmin, async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid User ID' });
+        }
+        const user = await db.users.findOne({ _id: new ObjectId(id) });
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        if (!user.deletedAt) {
+            return res.status(409).send({ message: 'Delete the user before purging them' });
+        }
+        const result = await purgeUser(user);
+        if (result.blocked) {
+            return res.status(409).send({
+                message: `${result.blocked} paid entries have not been refunded yet`,
+                unrefunded: result.blocked
+            });
+        }
+        await recordAudit(req, {
+            action: 'user.purge',
+            targetType: 'user',
+            targetId: user.email,
+            before: user,
+            after: null,
+            reason: req.body?.reason
+        });
+        res.send({ purged: result });
+    });
+
+    app.get("/users/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const user = await db.users.findOne({ email }, { projection: { password: 0 } });
+        res.send(user);
+    });
+
+    app.put("/users/:email", verifyToken, validateBody(userSchema, { partial: true }), async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const { notificationPreferences, ...updatedUser } = req.body;
+        delete updatedUser.email;
+        // Dotted paths so changing one event's channels keeps the others
+        for (const [event, channels] of Object.entries(notificationPreferences || {})) {
+            for (const [channel, enabled] of Object.entries(channels)) {
+                updatedUser[`notificationPreferences.${event}.${channel}`] = enabled;
+            }
+        }
+        const filter = { email };
+        const updateDoc = { $set: updatedUser };
+        const result = await db.users.updateOne(filter, updateDoc);
+        res.send(result);
+    });
+};
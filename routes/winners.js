@@ -0,0 +1,188 @@
+import { ObjectId } from "mongodb";
+import { validateBody, declareWinnerSchema } from "../lib/schemas.js";
+import { canTransition, effectiveStatus } from "../lib/lifecycle.js";
+import { NOT_DELETED } from "../lib/archive.js";
+
+// -------------------------------------------------
+// 7. Winner Declaration Endpoints
+// -------------------------------------------------
+
+// A team placement credits every member; `email` is the captain's
+const membersOf = (placement) => placement.memberEmails || [placement.email];
+
+export const registerWinnerRoutes = (app, ctx) => {
+    const { db } = ctx;
+    const { verifyToken, verifyCreator } = ctx.auth;
+    const { rankSubmissions } = ctx.judging;
+    const { recordPrizesOwed } = ctx.ledger;
+    const { notify, participantEmails } = ctx.notifications;
+    const { publish } = ctx.events;
+    const { recordContestResults } = ctx.rankings;
+
+    const ordinal = (place) => {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const mod100 = place % 100;
+        return `${place}${(mod100 < 11 || mod100 > 13) && suffixes[place % 10] || 'th'}`;
+    };
+
+    // Contests created before prize splits existed pay the whole pool to 1st place
+    const DEFAULT_PRIZE_SPLITS = [100];
+
+    app.put("/contests/declare-winner/:id", verifyToken, verifyCreator, validateBody(declareWinnerSchema), async (req, res) => {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send({ message: 'Invalid Contest ID format' });
+        }
+        const { submissionId, honourableMentions = [], autoSelect } = req.body;
+        let submissionIds = req.body.submissionIds || (submissionId ? [submissionId] : []);
+
+        const contest = await db.contests.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!contest) {
+            return res.status(404).send({ message: 'Contest not found' });
+        }
+        if (contest.creatorEmail !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden or Contest not found' });
+        }
+
+        if (!canTransition(effectiveStatus(contest), 'Closed') || contest.winner) {
+            return res.status(400).send({ message: 'Contest must be in judging and winner not declared.' });
+        }
+
+        const prizeSplits = contest.prizeSplits?.length ? contest.prizeSplits : DEFAULT_PRIZE_SPLITS;
+        if (autoSelect) {
+            const placedEmails = new Set();
+            const ranked = (await rankSubmissions(contest)).filter(r => r.score !== null);
+            submissionIds = ranked
+                .filter(r => !honourableMentions.includes(r.submission._id.toString()))
+                .filter(r => !placedEmails.has(r.submission.participantEmail) && placedEmails.add(r.submission.participantEmail))
+                .slice(0, prizeSplits.length)
+                .map(r => r.submission._id.toString());
+        }
+        if (!submissionIds.length || submissionIds.length > prizeSplits.length) {
+            return res.status(400).send({ message: `Provide between 1 and ${prizeSplits.length} placed submissions.` });
+        }
+
+        const allIds = [...submissionIds, ...honourableMentions];
+        if (new Set(allIds).size !== allIds.length) {
+            return res.status(400).send({ message: 'A submission can only be placed once.' });
+        }
+
+        const submissions = await db.submissions.find({
+            _id: { $in: allIds.map(sid => new ObjectId(sid)) },
+            contestId: id
+        }).toArray();
+        if (submissions.length !== allIds.length) {
+            return res.status(404).send({ message: 'Some submissions were not found for this contest' });
+        }
+
+        const emails = submissions.map(sub => sub.participantEmail);
+        if (new Set(emails).size !== emails.length) {
+            return res.status(400).send({ message: 'A participant can only be placed once.' });
+        }
+        const users = await db.users.find({ email: { $in: emails } }).toArray();
+
+        const toPlacement = (sid, place) => {
+            const submission = submissions.find(sub => sub._id.toString() === sid);
+            const user = users.find(u => u.email === submission.participantEmail);
+            const percentage = place ? prizeSplits[place - 1] : 0;
+            return {
+                place,
+                label: place ? ordinal(place) : 'Honourable Mention',
+                submissionId: sid,
+                email: submission.participantEmail,
+                name: user?.name || submission.participantName,
+                photo: user?.photo,
+                percentage,
+                prizeMoney: Math.round((contest.prizeMoney || 0) * percentage) / 100,
+                ...(submission.teamId && {
+                    name: submission.teamName,
+                    teamId: submission.teamId,
+                    teamName: submission.teamName,
+                    memberEmails: submission.memberEmails
+                })
+            };
+        };
+        const placements = [
+            ...submissionIds.map((sid, index) => toPlacement(sid, index + 1)),
+            ...honourableMentions.map(sid => toPlacement(sid, null))
+        ];
+
+        const declaredAt = new Date();
+        const updateContestResult = await db.contests.updateOne(
+            { _id: new ObjectId(id), status: contest.status },
+            {
+                $set: {
+                    placements,
+                    // Kept for clients that only know about a single winner
+                    winner: placements[0],
+                    status: 'Closed',
+                    declaredAt
+                }
+            }
+        );
+        if (!updateContestResult.modifiedCount) {
+            return res.status(409).send({ message: 'Contest changed, please reload and try again' });
+        }
+
+        const live = { contestId: id, creatorEmail: contest.creatorEmail };
+        publish({ ...live, type: 'status', data: { status: 'Closed' } });
+        publish({ ...live, type: 'winners', data: { placements, winner: placements[0] } });
+
+        await recordPrizesOwed(contest, placements);
+        await recordContestResults({ ...contest, declaredAt }, placements);
+
+        const winnerEmails = membersOf(placements[0]);
+        const podiumEmails = placements.filter(p => p.place && p.place <= 3).flatMap(membersOf);
+
+        await db.users.updateMany(
+            { email: { $in: podiumEmails } },
+            { $inc: { podiums: 1 } }
+        );
+        await db.users.updateMany(
+            { email: { $in: winnerEmails } },
+            [
+                { $set: { wins: { $add: [{ $ifNull: ["$wins", 0] }, 1] } } },
+                {
+                    $set: {
+                        winPercentage: {
+                            $cond: [
+                                { $gt: ["$participatedCount", 0] },
+                                { $multiply: [{ $divide: ["$wins", "$participatedCount"] }, 100] },
+                                0
+                            ]
+                        }
+                    }
+                }
+            ]
+        );
+
+        // Placed participants hear about their placement, everyone else gets the announcement
+        const participants = new Set([...await participantEmails(id), ...placements.flatMap(membersOf)]);
+        await notify(
+            [...participants].map(email => ({ email, data: { placement: placements.find(p => membersOf(p).includes(email)) } })),
+            'winner_declared',
+            { contestId: id, contestName: contest.name }
+        );
+
+        res.send(updateContestResult);
+    });
+
+    app.get("/contests/winner/:email", verifyToken, async (req, res) => {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden access' });
+        }
+        const winningContests = await db.contests.find({
+            $or: [{ 'placements.email': email }, { 'placements.memberEmails': email }, { 'winner.email': email }],
+            ...NOT_DELETED
+        }).toArray();
+
+        // Legacy contests only have `winner`, which was always 1st place with the full prize
+        const withPlacement = winningContests.map(contest => ({
+            ...contest,
+            placement: contest.placements?.find(p => membersOf(p).includes(email))
+                || { place: 1, label: ordinal(1), ...contest.winner }
+        }));
+        res.send(withPlacement);
+    });
+};
@@ -0,0 +1,136 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission,
+    daysFromNow
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CY = 'cy@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('analytics', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA, address: 'Road 4, Dhaka, Bangladesh' });
+        await seedUser(t.db, { email: BOB, address: 'Berlin, Germany' });
+        await seedUser(t.db, { email: CY });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        contest = await seedContest(t.db, { entryFee: 20 });
+
+        // Bob looks twice and starts a checkout he never pays; Ana pays; Cy got in free
+        for (const email of [BOB, BOB, CREATOR]) {
+            await t.api().get(`/contests/${contest._id}`).set(bearer(email));
+        }
+        for (const email of [ANA, BOB]) {
+            await t.api().post('/create-checkout-session').set(bearer(email))
+                .send({ contestId: contest._id.toString(), returnPath: '/' });
+        }
+        const [anaSession] = t.fakeStripe.sessions.values();
+        const paid = t.fakeStripe.completeSession(anaSession.id);
+        const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: paid } });
+        await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+        await seedParticipation(t.db, contest, CY, { price: 0, transactionId: undefined });
+        await seedSubmission(t.db, contest, ANA);
+    });
+
+    const get = (url, email = CREATOR) => t.api().get(url).set(bearer(email));
+
+    it('reports the funnel of a contest per day', async () => {
+        const res = await get(`/analytics/contests/${contest._id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.contest.name, contest.name);
+        assert.deepEqual(res.body.totals, {
+            views: 2,
+            checkoutsStarted: 2,
+            checkoutsPaid: 1,
+            participants: 2,
+            entries: 2,
+            submissions: 1,
+            revenue: 20,
+            checkoutConversion: 50,
+            submissionRate: 50
+        });
+
+        // The last 30 days, every day present, today holding everything
+        assert.equal(res.body.series.length, 31);
+        const today = res.body.series.at(-1);
+        assert.deepEqual([today.views, today.participants, today.revenue], [2, 2, 20]);
+        assert.equal(res.body.series[0].views, 0);
+
+        assert.deepEqual(res.body.geography, [
+            { region: 'Bangladesh', participants: 1 },
+            { region: 'Unknown', participants: 1 }
+        ]);
+    });
+
+    it('counts a team as one entry for the submission rate', async () => {
+        const teamContest = await seedContest(t.db, { name: 'Duo Jam', teamContest: true, minTeamSize: 2, maxTeamSize: 2 });
+        // Split payment: the members paid a day apart
+        await seedParticipation(t.db, teamContest, ANA, { teamId: 'team-1', paymentTime: daysFromNow(-1) });
+        await seedParticipation(t.db, teamContest, BOB, { teamId: 'team-1' });
+        await seedParticipation(t.db, teamContest, CY);
+        await seedSubmission(t.db, teamContest, ANA, { memberEmails: [ANA, BOB] });
+
+        const res = await get(`/analytics/contests/${teamContest._id}`);
+        assert.deepEqual([res.body.totals.participants, res.body.totals.entries, res.body.totals.submissionRate], [3, 2, 50]);
+        assert.deepEqual(res.body.series.slice(-2).map(bucket => bucket.entries), [1, 2]);
+    });
+
+    it('buckets by week and respects the range', async () => {
+        await seedParticipation(t.db, contest, 'old@example.com', { paymentTime: daysFromNow(-60) });
+
+        const res = await get(`/analytics/contests/${contest._id}?interval=week&from=${daysFromNow(-70).toISOString()}`);
+        assert.equal(res.body.totals.participants, 3);
+        assert.equal(res.body.totals.revenue, 40);
+        for (const bucket of res.body.series) {
+            assert.equal(new Date(bucket.period).getUTCDay(), 1);
+        }
+        assert.equal(res.body.series.filter(bucket => bucket.participants).length, 2);
+
+        const backwards = await get(`/analytics/contests/${contest._id}?from=${daysFromNow(1).toISOString()}&to=${daysFromNow(-1).toISOString()}`);
+        assert.equal(backwards.status, 400);
+        assert.equal((await get(`/analytics/contests/${contest._id}?interval=month`)).status, 400);
+    });
+
+    it('only shows analytics to the creator and admins', async () => {
+        assert.equal((await get(`/analytics/contests/${contest._id}`, ANA)).status, 403);
+        assert.equal((await get(`/analytics/contests/${contest._id}`, ADMIN)).status, 200);
+        assert.equal((await get(`/analytics/creator/${CREATOR}`, ANA)).status, 403);
+        assert.equal((await get('/analytics/contest-types')).status, 403);
+    });
+
+    it('sums up all contests of a creator', async () => {
+        const quiet = await seedContest(t.db, { name: 'Quiet One' });
+        await seedContest(t.db, { name: 'Not Mine', creatorEmail: 'other@example.com' });
+
+        const res = await get(`/analytics/creator/${CREATOR}`);
+        assert.equal(res.body.totals.participants, 2);
+        assert.deepEqual(res.body.contests.map(c => [c.name, c.participants]), [['Quiet One', 0], [contest.name, 2]]);
+        assert.equal(res.body.contests[0].contestId, quiet._id.toString());
+    });
+
+    it('compares contest types for admins', async () => {
+        const essay = await seedContest(t.db, { name: 'Essay Night', type: 'Writing', entryFee: 5 });
+        await seedContest(t.db, { name: 'Empty', type: 'Writing' });
+        await seedParticipation(t.db, essay, BOB);
+
+        const res = await get('/analytics/contest-types', ADMIN);
+        assert.equal(res.body.totals.participants, 3);
+        assert.deepEqual(
+            res.body.types.map(row => [row.type, row.contests, row.participants, row.revenue, row.averageRevenue]),
+            [['Design', 1, 2, 20, 20], ['Writing', 1, 1, 5, 5]]
+        );
+    });
+});
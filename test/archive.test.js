@@ -0,0 +1,146 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    firebaseIdToken,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('soft delete, restore and purge', () => {
+    let t;
+    let ana;
+    beforeEach(async () => {
+        t = await createTestApp();
+        ana = await seedUser(t.db, { email: ANA, wins: 2 });
+        await t.db.rankings.insertOne({ window: 'all-time', period: 'all', type: 'All', email: ANA, contests: 2, wins: 2, podiums: 2, prizeMoney: 0 });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+    });
+
+    it('hides deleted contests from listings but keeps participations pointing at them', async () => {
+        const contest = await seedContest(t.db, { name: 'Logo Sprint', entryFee: 0 });
+        await seedParticipation(t.db, contest, ANA, { transactionId: undefined, paymentStatus: undefined });
+
+        await t.api().delete(`/contests/${contest._id}`).set(bearer(CREATOR));
+        const [stored] = t.db.contests.all();
+        assert.ok(stored.deletedAt);
+        assert.equal(stored.deletedBy, CREATOR);
+
+        assert.equal((await t.api().get('/contests/approved')).body.contests.length, 0);
+        assert.equal((await t.api().get('/contests/popular')).body.length, 0);
+        assert.equal((await t.api().get(`/contests/creator/${CREATOR}`).set(bearer(CREATOR))).body.length, 0);
+        assert.equal((await t.api().get(`/contests/${contest._id}`).set(bearer(ANA))).status, 404);
+        assert.equal((await t.api().get(`/contests/${contest._id}`).set(bearer(ADMIN))).body.name, 'Logo Sprint');
+
+        const entries = await t.api().get(`/participated/${ANA}`).set(bearer(ANA));
+        assert.equal(entries.body[0].contestName, 'Logo Sprint');
+
+        await seedUser(t.db, { email: 'bob@example.com' });
+        const checkout = await t.api().post('/participated').set(bearer('bob@example.com'))
+            .send({ contestId: contest._id.toString(), participantEmail: 'bob@example.com', price: 0 });
+        assert.equal(checkout.status, 400);
+
+        const all = await t.api().get('/contests/all').set(bearer(ADMIN));
+        assert.equal(all.body.contests.length, 0);
+        const deleted = await t.api().get('/contests/all?deleted=only').set(bearer(ADMIN));
+        assert.deepEqual(deleted.body.contests.map(c => c.name), ['Logo Sprint']);
+    });
+
+    it('lets admins restore a deleted contest', async () => {
+        const contest = await seedContest(t.db, { name: 'Logo Sprint' });
+        await t.api().delete(`/contests/${contest._id}`).set(bearer(ADMIN));
+
+        assert.equal((await t.api().patch(`/contests/${contest._id}/restore`).set(bearer(CREATOR))).status, 403);
+        const res = await t.api().patch(`/contests/${contest._id}/restore`).set(bearer(ADMIN));
+        assert.equal(res.status, 200);
+        assert.equal(res.body.deletedAt, undefined);
+        // Its entries were refunded on delete, so it comes back cancelled
+        assert.equal(res.body.status, 'Cancelled');
+        assert.equal((await t.api().get('/contests/all').set(bearer(ADMIN))).body.contests.length, 1);
+        assert.equal((await t.api().patch(`/contests/${contest._id}/restore`).set(bearer(ADMIN))).status, 404);
+        assert.deepEqual(t.db.auditLog.all().map(e => e.action), ['contest.delete', 'contest.restore']);
+    });
+
+    it('purges a contest with its entries only once every payment is refunded', async () => {
+        const contest = await seedContest(t.db);
+        await seedParticipation(t.db, contest, ANA);
+        const entry = await seedSubmission(t.db, contest, ANA, {
+            attachments: [{ id: 'a1', key: 'submissions/a1.png' }],
+            history: [{ version: 1, attachments: [{ id: 'a0', key: 'submissions/a0.png' }] }]
+        });
+        await t.db.scores.insertOne({ submissionId: entry._id.toString(), judgeEmail: CREATOR, total: 5 });
+        const contestId = contest._id.toString();
+        await t.db.teams.insertOne({ contestId, name: 'Pixel Pals', captainEmail: ANA, memberEmails: [ANA], invites: [{ email: 'bob@example.com' }] });
+        await t.db.promoCodes.insertMany([{ code: 'LOGO10', contestId }, { code: 'SPRING25', contestId: null }]);
+        await t.db.promoRedemptions.insertMany([{ code: 'LOGO10', contestId, email: ANA }, { code: 'SPRING25', contestId: 'other', email: ANA }]);
+        const removed = [];
+        t.storage.remove = async (key) => { removed.push(key); };
+
+        const early = await t.api().delete(`/contests/${contest._id}/purge`).set(bearer(ADMIN));
+        assert.equal(early.status, 409);
+
+        t.fakeStripe.setFailRefunds(true);
+        await t.api().delete(`/contests/${contest._id}`).set(bearer(ADMIN));
+        const blocked = await t.api().delete(`/contests/${contest._id}/purge`).set(bearer(ADMIN));
+        assert.equal(blocked.status, 409);
+        assert.equal(blocked.body.unrefunded, 1);
+
+        t.fakeStripe.setFailRefunds(false);
+        await t.api().post(`/contests/${contest._id}/refunds/retry`).set(bearer(ADMIN));
+        const res = await t.api().delete(`/contests/${contest._id}/purge`).set(bearer(ADMIN));
+        assert.deepEqual(res.body.purged, { participations: 1, submissions: 1, scores: 1 });
+        assert.deepEqual(removed, ['submissions/a1.png', 'submissions/a0.png']);
+        assert.equal(t.db.contests.all().length, 0);
+        assert.equal(t.db.participated.all().length, 0);
+        assert.equal(t.db.scores.all().length, 0);
+        assert.equal(t.db.teams.all().length, 0);
+        assert.deepEqual(t.db.promoCodes.all().map(promo => promo.code), ['SPRING25']);
+        assert.deepEqual(t.db.promoRedemptions.all().map(use => use.code), ['SPRING25']);
+        // The money trail outlives the contest
+        assert.ok(t.db.ledger.all().some(entry => entry.type === 'refund'));
+    });
+
+    it('soft deletes users, signs them out and lets admins restore them', async () => {
+        await t.api().delete(`/users/${ana._id}`).set(bearer(ADMIN)).send({ reason: 'Spam account' });
+
+        assert.equal((await t.api().get('/users')).body.some(u => u.email === ANA), false);
+        assert.equal((await t.api().get('/users/leaderboard')).body.length, 0);
+        // The rows stay, flagged, so the board needn't look the deleted users up on each read
+        assert.ok(t.db.rankings.all().every(row => row.email === ANA && row.hidden));
+        assert.equal((await t.api().get(`/users/${ANA}`).set(bearer(ANA))).status, 401);
+        const signIn = await t.api().post('/jwt').send({ idToken: firebaseIdToken(ANA) });
+        assert.equal(signIn.status, 403);
+
+        const deleted = await t.api().get('/users/deleted').set(bearer(ADMIN));
+        assert.deepEqual(deleted.body.users.map(u => u.email), [ANA]);
+
+        await t.api().patch(`/users/${ana._id}/restore`).set(bearer(ADMIN));
+        assert.equal((await t.api().post('/jwt').send({ idToken: firebaseIdToken(ANA) })).status, 200);
+        assert.equal((await t.api().get('/users/leaderboard')).body.length, 1);
+    });
+
+    it('purges a deleted user with their entries, submissions and inbox', async () => {
+        const contest = await seedContest(t.db, { entryFee: 0, participantsCount: 1 });
+        await seedParticipation(t.db, contest, ANA, { transactionId: undefined, paymentStatus: undefined });
+        await seedSubmission(t.db, contest, ANA);
+        await t.db.notifications.insertOne({ email: ANA, event: 'contest_approved', read: false });
+
+        assert.equal((await t.api().delete(`/users/${ana._id}/purge`).set(bearer(ADMIN))).status, 409);
+        await t.api().delete(`/users/${ana._id}`).set(bearer(ADMIN));
+        const res = await t.api().delete(`/users/${ana._id}/purge`).set(bearer(ADMIN));
+
+        assert.deepEqual(res.body.purged, { participations: 1, submissions: 1, scores: 0 });
+        assert.equal(t.db.users.all().some(u => u.email === ANA), false);
+        assert.equal(t.db.notifications.all().length, 0);
+        assert.equal(t.db.contests.all()[0].participantsCount, 0);
+        assert.deepEqual(t.db.auditLog.all().map(e => e.action), ['user.delete', 'user.purge']);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedParticipation
+} from "./helpers/testApp.js";
+import { diffDocuments } from "../lib/audit.js";
+
+const ANA = 'ana@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('audit log', () => {
+    let t;
+    let ana;
+    beforeEach(async () => {
+        t = await createTestApp();
+        ana = await seedUser(t.db, { email: ANA });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+    });
+
+    it('records role changes with the actor, diff, reason and request', async () => {
+        await t.api().patch(`/users/role/${ana._id}`).set(bearer(ADMIN)).set('User-Agent', 'admin-panel')
+            .send({ role: 'Contest Creator', reason: 'Verified organiser' });
+
+        const [entry] = t.db.auditLog.all();
+        assert.equal(entry.actorEmail, ADMIN);
+        assert.equal(entry.action, 'user.role');
+        assert.deepEqual([entry.targetType, entry.targetId], ['user', ANA]);
+        assert.deepEqual(entry.changes, { role: { from: 'Normal User', to: 'Contest Creator' } });
+        assert.equal(entry.reason, 'Verified organiser');
+        assert.deepEqual(
+            [entry.request.method, entry.request.path, entry.request.userAgent],
+            ['PATCH', `/users/role/${ana._id}`, 'admin-panel']
+        );
+    });
+
+    it('requires a reason to reject a contest and shows it to the creator', async () => {
+        const contest = await seedContest(t.db, { status: 'Pending' });
+        const missing = await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Rejected' });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.errors[0].field, 'reason');
+        assert.equal(t.db.contests.all()[0].status, 'Pending');
+
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN))
+            .send({ status: 'Rejected', reason: 'Prize below the platform minimum' });
+
+        const mine = await t.api().get(`/contests/creator/${CREATOR}`).set(bearer(CREATOR));
+        assert.equal(mine.body[0].status, 'Rejected');
+        assert.equal(mine.body[0].rejectionReason, 'Prize below the platform minimum');
+
+        const [entry] = t.db.auditLog.all();
+        assert.equal(entry.action, 'contest.status');
+        assert.deepEqual(entry.changes, {
+            status: { from: 'Pending', to: 'Rejected' },
+            rejectionReason: { from: null, to: 'Prize below the platform minimum' }
+        });
+    });
+
+    it('only lets the owner or an admin delete a contest, and records the deletion', async () => {
+        const contest = await seedContest(t.db, { name: 'Logo Sprint' });
+        await seedParticipation(t.db, contest, ANA);
+
+        const stranger = await t.api().delete(`/contests/${contest._id}`).set(bearer(ANA));
+        assert.equal(stranger.status, 403);
+        assert.equal(t.db.contests.all().length, 1);
+        assert.equal(t.db.participated.all()[0].paymentStatus, 'paid');
+
+        const res = await t.api().delete(`/contests/${contest._id}`).set(bearer(ADMIN)).send({ reason: 'Duplicate listing' });
+        assert.ok(res.body.deletedAt);
+        assert.equal((await t.api().delete(`/contests/${contest._id}`).set(bearer(ADMIN))).status, 404);
+
+        const [entry] = t.db.auditLog.all();
+        assert.equal(entry.action, 'contest.delete');
+        assert.equal(entry.reason, 'Duplicate listing');
+        assert.deepEqual(Object.keys(entry.changes).sort(), ['deletedAt', 'deletedBy', 'status']);
+        assert.deepEqual(entry.changes.status, { from: 'Open', to: 'Cancelled' });
+        assert.equal(entry.changes.deletedBy.to, ADMIN);
+    });
+
+    it('lets admins filter and page through the log, newest first', async () => {
+        const contest = await seedContest(t.db, { status: 'Pending' });
+        await t.api().patch(`/users/role/${ana._id}`).set(bearer(ADMIN)).send({ role: 'Contest Creator' });
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Confirmed' });
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Cancelled' });
+
+        assert.equal((await t.api().get('/audit-log').set(bearer(CREATOR))).status, 403);
+
+        const all = await t.api().get('/audit-log?limit=2').set(bearer(ADMIN));
+        assert.deepEqual(all.body.entries.map(e => e.changes.status?.to), ['Cancelled', 'Confirmed']);
+        assert.equal(all.body.totalCount, 3);
+
+        const forContest = await t.api().get(`/audit-log?targetType=contest&targetId=${contest._id}`).set(bearer(ADMIN));
+        assert.equal(forContest.body.entries.length, 2);
+        const roles = await t.api().get(`/audit-log?action=user.role&actor=${ADMIN}`).set(bearer(ADMIN));
+        assert.equal(roles.body.entries.length, 1);
+        const future = await t.api().get('/audit-log?from=2999-01-01').set(bearer(ADMIN));
+        assert.equal(future.body.entries.length, 0);
+        assert.equal((await t.api().get('/audit-log?targetType=planet').set(bearer(ADMIN))).status, 400);
+    });
+
+    it('diffs only the fields that changed', () => {
+        assert.deepEqual(
+            diffDocuments({ _id: 1, a: 1, b: [1, 2], c: 'x' }, { _id: 1, a: 1, b: [1, 3], d: true }),
+            { b: { from: [1, 2], to: [1, 3] }, c: { from: 'x', to: null }, d: { from: null, to: true } }
+        );
+    });
+});
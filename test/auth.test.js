@@ -0,0 +1,65 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestApp, firebaseIdToken, bearer, seedUser } from "./helpers/testApp.js";
+
+const refreshCookie = (res) => res.headers['set-cookie']?.find(c => c.startsWith('refreshToken='))?.split(';')[0];
+
+describe('auth', () => {
+    let t;
+    beforeEach(async () => {
+        t = await createTestApp();
+    });
+
+    it('answers the health check', async () => {
+        const res = await t.api().get('/');
+        assert.equal(res.status, 200);
+        assert.equal(res.text, 'Backend is running');
+    });
+
+    it('exchanges a Firebase ID token for an access token and refresh cookie', async () => {
+        const res = await t.api().post('/jwt').send({ idToken: firebaseIdToken('ana@example.com') });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.ok(refreshCookie(res));
+        assert.equal(t.db.refreshTokens.all().length, 1);
+    });
+
+    it('rejects missing and forged ID tokens', async () => {
+        assert.equal((await t.api().post('/jwt').send({})).status, 400);
+        const forged = firebaseIdToken('ana@example.com', { aud: 'someone-else' });
+        assert.equal((await t.api().post('/jwt').send({ idToken: forged })).status, 401);
+    });
+
+    it('rotates refresh tokens and kills the login when one is replayed', async () => {
+        const login = await t.api().post('/jwt').send({ idToken: firebaseIdToken('ana@example.com') });
+        const first = refreshCookie(login);
+
+        const rotated = await t.api().post('/refresh').set('Cookie', first);
+        assert.equal(rotated.status, 200);
+        const second = refreshCookie(rotated);
+        assert.notEqual(second, first);
+
+        const replay = await t.api().post('/refresh').set('Cookie', first);
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.message, 'Refresh token reuse detected');
+
+        // The replay revoked every token of the user, including the fresh one
+        assert.equal((await t.api().post('/refresh').set('Cookie', second)).status, 401);
+    });
+
+    it('revokes the refresh token on logout', async () => {
+        const login = await t.api().post('/jwt').send({ idToken: firebaseIdToken('ana@example.com') });
+        const cookie = refreshCookie(login);
+
+        const res = await t.api().post('/logout').set('Cookie', cookie);
+        assert.equal(res.status, 200);
+        assert.equal((await t.api().post('/refresh').set('Cookie', cookie)).status, 401);
+    });
+
+    it('rejects access tokens issued before a tokenVersion bump', async () => {
+        await seedUser(t.db, { email: 'ana@example.com', tokenVersion: 1 });
+        assert.equal((await t.api().get('/users/role/ana@example.com').set(bearer('ana@example.com', 0))).status, 401);
+        assert.equal((await t.api().get('/users/role/ana@example.com').set(bearer('ana@example.com', 1))).status, 200);
+        assert.equal((await t.api().get('/users/role/ana@example.com')).status, 401);
+    });
+});
@@ -0,0 +1,238 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    daysFromNow
+} from "./helpers/testApp.js";
+
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('contests', () => {
+    let t;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: CREATOR, name: 'Creator', role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+    });
+
+    const newContest = {
+        name: 'Poster Challenge',
+        type: 'Design',
+        entryFee: 5,
+        prizeMoney: 50,
+        deadline: daysFromNow(5).toISOString()
+    };
+
+    it('lets creators submit contests for review', async () => {
+        const res = await t.api().post('/contests').set(bearer(CREATOR))
+            .send({ ...newContest, status: 'Open', participantsCount: 40 });
+        assert.equal(res.status, 201);
+
+        const [contest] = t.db.contests.all();
+        assert.equal(contest.status, 'Pending');
+        assert.equal(contest.participantsCount, 0);
+        assert.equal(contest.creatorName, 'Creator');
+        assert.ok(contest.deadline instanceof Date);
+    });
+
+    it('only accepts valid contests from creators', async () => {
+        await seedUser(t.db, { email: 'ana@example.com' });
+        assert.equal((await t.api().post('/contests').set(bearer('ana@example.com')).send(newContest)).status, 403);
+
+        const res = await t.api().post('/contests').set(bearer(CREATOR)).send({ ...newContest, entryFee: -1 });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'entryFee');
+    });
+
+    it('edits pending contests of the creator only', async () => {
+        const pending = await seedContest(t.db, { status: 'Pending' });
+        const open = await seedContest(t.db);
+
+        const res = await t.api().put(`/contests/${pending._id}`).set(bearer(CREATOR)).send({ name: 'Renamed' });
+        assert.equal(res.body.modifiedCount, 1);
+        const locked = await t.api().put(`/contests/${open._id}`).set(bearer(CREATOR)).send({ name: 'Renamed' });
+        assert.equal(locked.body.modifiedCount, 0);
+        await seedUser(t.db, { email: 'ana@example.com' });
+        const foreign = await t.api().put(`/contests/${pending._id}`).set(bearer('ana@example.com')).send({ name: 'Mine' });
+        assert.equal(foreign.body.modifiedCount, 0);
+        assert.equal((await t.api().put('/contests/nope').set(bearer(CREATOR)).send({ name: 'x' })).status, 400);
+    });
+
+    it('lists a creator\'s own contests and fetches single contests', async () => {
+        const contest = await seedContest(t.db);
+        await seedContest(t.db, { creatorEmail: 'other@example.com' });
+
+        const mine = await t.api().get(`/contests/creator/${CREATOR}`).set(bearer(CREATOR));
+        assert.equal(mine.body.length, 1);
+        assert.equal((await t.api().get(`/contests/creator/${CREATOR}`).set(bearer(ADMIN))).status, 403);
+
+        await seedUser(t.db, { email: 'ana@example.com' });
+        const single = await t.api().get(`/contests/${contest._id}`).set(bearer('ana@example.com'));
+        assert.equal(single.body.name, contest.name);
+        assert.equal((await t.api().get('/contests/not-an-id').set(bearer(CREATOR))).status, 400);
+    });
+
+    it('filters, searches and pages the public listings', async () => {
+        await seedContest(t.db, { name: 'Logo Sprint', type: 'Design', participantsCount: 3, prizeMoney: 300 });
+        const writing = { type: 'Writing', description: 'Write a short piece', tags: ['fiction'] };
+        await seedContest(t.db, { ...writing, name: 'Short Story', participantsCount: 8 });
+        await seedContest(t.db, { ...writing, name: 'Poetry Slam', tags: ['poetry'], status: 'Confirmed', participantsCount: 1 });
+        await seedContest(t.db, { name: 'Hidden', status: 'Pending' });
+        await seedContest(t.db, { name: 'Finished Logo', status: 'Closed' });
+
+        const approved = await t.api().get('/contests/approved');
+        assert.deepEqual(approved.body.contests.map(c => c.name), ['Short Story', 'Logo Sprint', 'Poetry Slam']);
+        assert.equal(approved.body.totalCount, 3);
+
+        const byType = await t.api().get('/contests/approved?type=Writing&sort=popular');
+        assert.deepEqual(byType.body.contests.map(c => c.name), ['Short Story', 'Poetry Slam']);
+
+        const search = await t.api().get('/contests/approved?search=logo');
+        assert.deepEqual(search.body.contests.map(c => c.name), ['Logo Sprint']);
+
+        const rich = await t.api().get('/contests/approved?minPrize=200');
+        assert.deepEqual(rich.body.contests.map(c => c.name), ['Logo Sprint']);
+
+        const tagged = await t.api().get('/contests/approved?tags=fiction,poetry');
+        assert.deepEqual(tagged.body.contests.map(c => c.name), ['Short Story', 'Poetry Slam']);
+
+        const closed = await t.api().get('/contests/closed');
+        assert.deepEqual(closed.body.contests.map(c => c.name), ['Finished Logo']);
+
+        const popular = await t.api().get('/contests/popular');
+        assert.equal(popular.body[0].name, 'Short Story');
+
+        assert.equal((await t.api().get('/contests/approved?sort=random')).status, 400);
+        assert.equal((await t.api().get('/contests/approved?search=logo&paging=cursor')).status, 400);
+    });
+
+    it('walks the listings with cursors in both directions', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await seedContest(t.db, { name: `Contest ${i}`, prizeMoney: i * 10 });
+        }
+        const first = await t.api().get('/contests/approved?sort=prize&paging=cursor&limit=2');
+        assert.deepEqual(first.body.contests.map(c => c.prizeMoney), [50, 40]);
+        assert.equal(first.body.prevCursor, null);
+
+        const second = await t.api().get(`/contests/approved?sort=prize&limit=2&cursor=${first.body.nextCursor}`);
+        assert.deepEqual(second.body.contests.map(c => c.prizeMoney), [30, 20]);
+
+        const back = await t.api().get(`/contests/approved?sort=prize&limit=2&cursor=${second.body.prevCursor}`);
+        assert.deepEqual(back.body.contests.map(c => c.prizeMoney), [50, 40]);
+
+        // A cursor only fits the sort it was issued for
+        assert.equal((await t.api().get(`/contests/approved?sort=newest&cursor=${first.body.nextCursor}`)).status, 400);
+
+        // Operators smuggled into a cursor never reach the query
+        const forged = (payload) => Buffer.from(JSON.stringify({ sort: 'prize', direction: 'next', ...payload })).toString('base64url');
+        const id = { $oid: first.body.contests[1]._id };
+        for (const payload of [{ value: { $ne: null }, id }, { value: 40, id: { $ne: null } }, { value: 40, id: 'abc' }]) {
+            const res = await t.api().get(`/contests/approved?sort=prize&cursor=${forged(payload)}`);
+            assert.deepEqual([res.status, res.body.message], [400, 'Invalid cursor']);
+        }
+        const valid = await t.api().get(`/contests/approved?sort=prize&limit=2&cursor=${forged({ value: 40, id })}`);
+        assert.deepEqual(valid.body.contests.map(c => c.prizeMoney), [30, 20]);
+    });
+
+    it('shows admins every contest', async () => {
+        await seedContest(t.db, { status: 'Pending' });
+        await seedContest(t.db, { status: 'Rejected' });
+
+        const res = await t.api().get('/contests/all?status=Pending').set(bearer(ADMIN));
+        assert.equal(res.body.contests.length, 1);
+        assert.equal((await t.api().get('/contests/all').set(bearer(CREATOR))).status, 403);
+    });
+
+    it('moves contests through the lifecycle', async () => {
+        const contest = await seedContest(t.db, { status: 'Pending' });
+
+        const confirm = await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Confirmed' });
+        assert.equal(confirm.body.modifiedCount, 1);
+
+        const skip = await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Closed' });
+        assert.equal(skip.status, 400);
+        // Confirmed without a startDate is effectively Open already
+        assert.deepEqual(skip.body.allowed, ['Judging', 'Cancelled']);
+
+        assert.equal((await t.api().patch(`/contests/status/${contest._id}`).set(bearer(CREATOR)).send({ status: 'Open' })).status, 403);
+    });
+
+    it('refunds paid entries when a contest is cancelled and retries failures', async () => {
+        const contest = await seedContest(t.db, { participantsCount: 2 });
+        await seedParticipation(t.db, contest, 'ana@example.com');
+        await seedParticipation(t.db, contest, 'bob@example.com');
+
+        t.fakeStripe.setFailRefunds(true);
+        const cancel = await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Cancelled' });
+        assert.deepEqual(cancel.body.refunds, { attempted: 2, refunded: 0, failed: 2 });
+
+        const progress = await t.api().get(`/contests/${contest._id}/refunds`).set(bearer(ADMIN));
+        assert.deepEqual(progress.body.progress, { paid: 0, refunded: 0, failed: 2 });
+
+        t.fakeStripe.setFailRefunds(false);
+        const retry = await t.api().post(`/contests/${contest._id}/refunds/retry`).set(bearer(ADMIN));
+        assert.deepEqual(retry.body, { attempted: 2, refunded: 2, failed: 0 });
+        assert.equal(t.fakeStripe.refunds.length, 2);
+        assert.equal(t.db.contests.all()[0].participantsCount, 0);
+    });
+
+    it('refunds entries when a contest is deleted', async () => {
+        const contest = await seedContest(t.db, { participantsCount: 1 });
+        await seedParticipation(t.db, contest, 'ana@example.com');
+
+        const res = await t.api().delete(`/contests/${contest._id}`).set(bearer(CREATOR));
+        assert.ok(res.body.deletedAt);
+        assert.equal(res.body.refunds.refunded, 1);
+        assert.equal(t.db.participated.all()[0].paymentStatus, 'refunded');
+        assert.equal(t.db.contests.all()[0].status, 'Cancelled');
+
+        // Past its deadline it would otherwise be up for judging
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { status: 'Open', deadline: daysFromNow(-1) } });
+        const declared = await t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(CREATOR))
+            .send({ submissionId: contest._id.toString() });
+        assert.equal(declared.status, 404);
+    });
+
+    it('keeps the payments of judged and closed contests when deleting', async () => {
+        const judging = await seedContest(t.db, { status: 'Judging', participantsCount: 1 });
+        await seedParticipation(t.db, judging, 'ana@example.com');
+        const blocked = await t.api().delete(`/contests/${judging._id}`).set(bearer(CREATOR));
+        assert.equal(blocked.status, 409);
+
+        const closed = await seedContest(t.db, { status: 'Closed', participantsCount: 1 });
+        await seedParticipation(t.db, closed, 'bob@example.com');
+        const res = await t.api().delete(`/contests/${closed._id}`).set(bearer(CREATOR));
+        assert.ok(res.body.deletedAt);
+        assert.equal(res.body.refunds, null);
+        assert.equal(t.fakeStripe.refunds.length, 0);
+        assert.deepEqual(t.db.participated.all().map(p => p.paymentStatus), ['paid', 'paid']);
+        assert.equal(t.db.notifications.all().length, 0);
+    });
+
+    it('sweeps contest statuses from the cron job', async () => {
+        await seedContest(t.db, { status: 'Confirmed', startDate: daysFromNow(-1) });
+        await seedContest(t.db, { status: 'Open', deadline: daysFromNow(-1) });
+        await seedContest(t.db, { status: 'Confirmed', startDate: daysFromNow(1) });
+
+        assert.equal((await t.api().get('/cron/contest-lifecycle')).status, 401);
+        const res = await t.api().get('/cron/contest-lifecycle').set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+        assert.deepEqual(res.body, { opened: 1, judging: 1, reminded: 0, holdsReleased: 0 });
+        assert.deepEqual(t.db.contests.all().map(c => c.status), ['Open', 'Judging', 'Confirmed']);
+    });
+
+    it('refuses cron requests when no CRON_SECRET is configured', async () => {
+        const secret = process.env.CRON_SECRET;
+        delete process.env.CRON_SECRET;
+        try {
+            const res = await t.api().get('/cron/contest-lifecycle').set('Authorization', 'Bearer undefined');
+            assert.equal(res.status, 401);
+        } finally {
+            process.env.CRON_SECRET = secret;
+        }
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestApp, bearer, seedUser, seedContest, seedParticipation } from "./helpers/testApp.js";
+import { slugify } from "../lib/profiles.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CREATOR = 'creator@example.com';
+
+describe('creator profiles and follows', () => {
+    let t;
+    let creator;
+    beforeEach(async () => {
+        t = await createTestApp();
+        creator = await seedUser(t.db, { email: CREATOR, name: 'Zoë Créatrice', role: 'Contest Creator', bio: 'I run logo contests' });
+        await seedUser(t.db, { email: ANA, name: 'Ana' });
+        await seedUser(t.db, { email: BOB, name: 'Bob' });
+    });
+
+    it('makes URL-safe slugs from names', () => {
+        assert.equal(slugify('Zoë Créatrice!'), 'zoe-creatrice');
+        assert.equal(slugify('   '), 'creator');
+    });
+
+    it('gives new users a unique slug when they register', async () => {
+        await t.api().post('/users').send({ name: 'Ana Lima', email: 'ana1@example.com' });
+        await t.api().post('/users').send({ name: 'Ana Lima', email: 'ana2@example.com' });
+
+        const [first, second] = t.db.users.all().filter(u => u.name === 'Ana Lima');
+        assert.equal(first.slug, 'ana-lima');
+        assert.match(second.slug, /^ana-lima-[0-9a-f]{6}$/);
+    });
+
+    it('shows a public profile by slug or id without any emails', async () => {
+        await seedContest(t.db, { name: 'Open Call', participantsCount: 4 });
+        await seedContest(t.db, { name: 'Pending One', status: 'Pending' });
+        const closed = await seedContest(t.db, {
+            name: 'Past Sprint',
+            status: 'Closed',
+            participantsCount: 2,
+            placements: [{ place: 1, label: '1st', email: ANA, name: 'Ana', prizeMoney: 100 }, { email: BOB, name: 'Bob', label: 'Honourable mention' }]
+        });
+        await seedParticipation(t.db, closed, ANA);
+
+        const res = await t.api().get(`/creators/${creator._id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.slug, 'zoe-creatrice');
+        assert.equal(res.body.bio, 'I run logo contests');
+        assert.deepEqual(res.body.stats, { contests: 2, totalParticipants: 6, winnersCrowned: 1 });
+        assert.deepEqual(res.body.contests.active.map(c => c.name), ['Open Call']);
+        assert.deepEqual(res.body.contests.closed.map(c => c.name), ['Past Sprint']);
+        assert.equal(res.body.winners[0].name, 'Ana');
+        assert.equal(res.body.winners[0].winnerSlug, undefined);
+        assert.doesNotMatch(JSON.stringify(res.body), /@example\.com/);
+
+        const bySlug = await t.api().get('/creators/zoe-creatrice');
+        assert.equal(bySlug.body._id, creator._id.toString());
+    });
+
+    it('does not show profiles of users who never created contests', async () => {
+        assert.equal((await t.api().get('/creators/unknown')).status, 404);
+        const ana = t.db.users.all().find(u => u.email === ANA);
+        assert.equal((await t.api().get(`/creators/${ana._id}`)).status, 404);
+    });
+
+    it('follows and unfollows creators', async () => {
+        const follow = () => t.api().post(`/creators/${creator._id}/follow`).set(bearer(ANA));
+        assert.equal((await t.api().post(`/creators/${creator._id}/follow`)).status, 401);
+        assert.equal((await t.api().post(`/creators/${creator._id}/follow`).set(bearer(CREATOR))).status, 400);
+
+        const first = await follow();
+        assert.equal(first.status, 201);
+        assert.deepEqual(first.body, { following: true, followersCount: 1 });
+        assert.equal((await follow()).status, 200);
+
+        const following = await t.api().get('/creators/following').set(bearer(ANA));
+        assert.deepEqual(following.body.map(c => c.name), ['Zoë Créatrice']);
+        assert.equal(following.body[0].email, undefined);
+
+        const unfollow = await t.api().delete('/creators/zoe-creatrice/follow').set(bearer(ANA));
+        assert.deepEqual(unfollow.body, { following: false, followersCount: 0 });
+        assert.equal((await t.api().delete('/creators/zoe-creatrice/follow').set(bearer(ANA))).status, 404);
+    });
+
+    it('lists contests from followed creators', async () => {
+        await seedContest(t.db, { name: 'Followed Open' });
+        await seedContest(t.db, { name: 'Followed Pending', status: 'Pending' });
+        await seedContest(t.db, { name: 'Someone Else', creatorEmail: 'other@example.com' });
+        await t.api().post(`/creators/${creator._id}/follow`).set(bearer(ANA));
+
+        const res = await t.api().get('/contests/following').set(bearer(ANA));
+        assert.deepEqual(res.body.contests.map(c => c.name), ['Followed Open']);
+        const none = await t.api().get('/contests/following').set(bearer(BOB));
+        assert.equal(none.body.contests.length, 0);
+    });
+});
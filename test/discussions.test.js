@@ -0,0 +1,164 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestApp, bearer, seedUser, seedContest, seedParticipation } from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const EVE = 'eve@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('contest discussions', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA, name: 'Ana' });
+        await seedUser(t.db, { email: BOB, name: 'Bob' });
+        await seedUser(t.db, { email: EVE, name: 'Eve' });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        contest = await seedContest(t.db);
+        await seedParticipation(t.db, contest, ANA);
+        await seedParticipation(t.db, contest, BOB);
+        await seedParticipation(t.db, contest, EVE, { paymentStatus: 'refunded' });
+    });
+
+    const as = (email) => ({
+        get: (url) => t.api().get(url).set(bearer(email)),
+        post: (url, body) => t.api().post(url).set(bearer(email)).send(body),
+        put: (url, body) => t.api().put(url).set(bearer(email)).send(body),
+        patch: (url, body) => t.api().patch(url).set(bearer(email)).send(body)
+    });
+    const ask = (email, title = 'Can we use stock photos?') =>
+        as(email).post(`/contests/${contest._id}/threads`, { title, body: 'Asking before I start.' });
+    const inbox = (email) => t.db.notifications.all().filter(n => n.email === email).map(n => n.event);
+
+    it('lets only registered participants ask questions', async () => {
+        const res = await ask(ANA);
+        assert.equal(res.status, 201);
+        assert.deepEqual([res.body.authorName, res.body.repliesCount], ['Ana', 0]);
+
+        assert.equal((await ask(EVE)).status, 403);
+        assert.equal((await ask(CREATOR)).status, 403);
+        assert.equal((await ask(ANA, '')).status, 400);
+
+        const reply = await as(EVE).post(`/threads/${res.body._id}/replies`, { body: 'Me too' });
+        assert.equal(reply.status, 403);
+    });
+
+    it('keeps questions to the contest and drops them with it', async () => {
+        const { body: thread } = await ask(ANA);
+        const { body: reply } = await as(BOB).post(`/threads/${thread._id}/replies`, { body: 'Me too' });
+        const { body: announcement } = await as(CREATOR).post(`/contests/${contest._id}/announcements`, { title: 'Hi', body: 'Welcome' });
+
+        for (const url of [`/contests/${contest._id}/threads`, `/threads/${thread._id}`, `/threads/${thread._id}/replies`]) {
+            assert.equal((await as(EVE).get(url)).status, 403);
+            assert.equal((await as(CREATOR).get(url)).status, 200);
+        }
+        assert.equal((await as(EVE).post(`/replies/${reply._id}/report`, { reason: 'Spam' })).status, 403);
+        // Announcements are open to any signed-in user
+        assert.equal((await as(EVE).get(`/announcements/${announcement._id}`)).status, 200);
+
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { deletedAt: new Date() } });
+        assert.equal((await as(ANA).get(`/threads/${thread._id}`)).status, 404);
+        assert.equal((await as(ADMIN).get(`/threads/${thread._id}/replies`)).status, 404);
+        assert.equal((await as(ANA).get(`/announcements/${announcement._id}`)).status, 404);
+    });
+
+    it('pins the creator answer and tells the asker', async () => {
+        const { body: thread } = await ask(ANA);
+        const { body: guess } = await as(BOB).post(`/threads/${thread._id}/replies`, { body: 'I think so' });
+        const { body: answer } = await as(CREATOR).post(`/threads/${thread._id}/replies`, { body: 'Only your own photos.' });
+        assert.deepEqual([guess.authorRole, answer.authorRole], ['participant', 'creator']);
+
+        assert.equal((await as(BOB).put(`/threads/${thread._id}/pin`, { replyId: answer._id })).status, 403);
+        const pinned = await as(CREATOR).put(`/threads/${thread._id}/pin`, { replyId: answer._id });
+        assert.equal(pinned.status, 200);
+        assert.deepEqual(inbox(ANA), ['question_answered']);
+
+        const res = await as(BOB).get(`/threads/${thread._id}`);
+        assert.equal(res.body.repliesCount, 2);
+        assert.equal(res.body.pinnedReply.body, 'Only your own photos.');
+        const replies = await as(BOB).get(`/threads/${thread._id}/replies`);
+        assert.deepEqual(replies.body.replies.map(r => r.body), ['I think so', 'Only your own photos.']);
+    });
+
+    it('lets admins hide and lock threads and settles reports', async () => {
+        const { body: thread } = await ask(ANA, 'Buy followers here');
+        const { body: reply } = await as(ANA).post(`/threads/${thread._id}/replies`, { body: 'Cheap!' });
+
+        assert.equal((await as(BOB).post(`/threads/${thread._id}/report`, { reason: 'Spam' })).status, 201);
+        assert.equal((await as(BOB).post(`/threads/${thread._id}/report`, { reason: 'Spam' })).status, 409);
+        assert.equal((await as(BOB).post(`/replies/${reply._id}/report`, { reason: 'Spam' })).status, 201);
+        const open = await as(ADMIN).get('/discussion-reports?status=open');
+        assert.deepEqual(open.body.reports.map(r => r.targetType), ['reply', 'thread']);
+        assert.equal((await as(BOB).get('/discussion-reports')).status, 403);
+
+        assert.equal((await as(CREATOR).patch(`/threads/${thread._id}/moderation`, { locked: true })).status, 403);
+        const locked = await as(ADMIN).patch(`/threads/${thread._id}/moderation`, { locked: true, reason: 'Spam' });
+        assert.equal(locked.body.locked, true);
+        assert.equal((await as(BOB).post(`/threads/${thread._id}/replies`, { body: 'Stop' })).status, 409);
+
+        await as(ADMIN).patch(`/threads/${thread._id}/moderation`, { hidden: true });
+        assert.equal((await as(BOB).get(`/threads/${thread._id}`)).status, 404);
+        assert.equal((await as(BOB).get(`/contests/${contest._id}/threads`)).body.threads.length, 0);
+        assert.equal((await as(ADMIN).get(`/contests/${contest._id}/threads`)).body.threads.length, 1);
+
+        const remaining = await as(ADMIN).get('/discussion-reports?status=open');
+        assert.deepEqual(remaining.body.reports.map(r => r.targetType), ['reply']);
+        assert.deepEqual(t.db.auditLog.all().map(e => [e.action, e.targetType]), [['thread.moderate', 'thread'], ['thread.moderate', 'thread']]);
+    });
+
+    it('hides single replies from everyone but admins', async () => {
+        const { body: thread } = await ask(ANA);
+        const { body: reply } = await as(BOB).post(`/threads/${thread._id}/replies`, { body: 'Rude remark' });
+
+        const res = await as(ADMIN).patch(`/replies/${reply._id}/moderation`, { hidden: true, reason: 'Rude' });
+        assert.equal(res.status, 200);
+        assert.equal((await as(ANA).get(`/threads/${thread._id}/replies`)).body.replies.length, 0);
+        assert.equal((await as(ADMIN).get(`/threads/${thread._id}/replies`)).body.replies.length, 1);
+        assert.equal((await as(ANA).put(`/threads/${thread._id}/pin`, { replyId: reply._id })).status, 403);
+        assert.equal((await as(CREATOR).put(`/threads/${thread._id}/pin`, { replyId: reply._id })).status, 404);
+        assert.equal((await as(ADMIN).patch(`/replies/${reply._id}/moderation`, {})).status, 400);
+    });
+
+    it('versions creator announcements and notifies participants', async () => {
+        const posted = await as(CREATOR).post(`/contests/${contest._id}/announcements`, {
+            title: 'Deadline moved',
+            body: 'One more week.'
+        });
+        assert.equal(posted.status, 201);
+        assert.equal(posted.body.version, 1);
+        assert.equal((await as(ANA).post(`/contests/${contest._id}/announcements`, { title: 'x', body: 'y' })).status, 403);
+
+        const edited = await as(CREATOR).put(`/announcements/${posted.body._id}`, { body: 'Two more weeks.' });
+        assert.equal(edited.status, 200);
+        assert.deepEqual([edited.body.version, edited.body.title, edited.body.body], [2, 'Deadline moved', 'Two more weeks.']);
+        assert.equal((await as(ANA).put(`/announcements/${posted.body._id}`, { body: 'Hacked' })).status, 403);
+
+        const res = await as(ANA).get(`/announcements/${posted.body._id}`);
+        assert.deepEqual(res.body.history.map(h => [h.version, h.body]), [[1, 'One more week.']]);
+        const list = await as(BOB).get(`/contests/${contest._id}/announcements`);
+        assert.equal(list.body.announcements[0].history, undefined);
+
+        // Refunded entries aren't told
+        assert.deepEqual(inbox(ANA), ['contest_announcement', 'contest_announcement']);
+        assert.deepEqual(inbox(EVE), []);
+        assert.match(t.mail.at(-1).subject, /Updated/);
+    });
+
+    it('pages threads by latest activity', async () => {
+        const first = (await ask(ANA, 'First')).body;
+        await ask(BOB, 'Second');
+        await ask(ANA, 'Third');
+        await t.db.threads.updateMany({}, { $set: { lastActivityAt: new Date(Date.now() - 60000) } });
+        await as(BOB).post(`/threads/${first._id}/replies`, { body: 'Bump' });
+
+        const page = await as(ANA).get(`/contests/${contest._id}/threads?paging=cursor&limit=2`);
+        assert.deepEqual(page.body.threads.map(thread => thread.title), ['First', 'Third']);
+        const next = await as(ANA).get(`/contests/${contest._id}/threads?cursor=${page.body.nextCursor}&limit=2`);
+        assert.deepEqual(next.body.threads.map(thread => thread.title), ['Second']);
+        assert.equal(next.body.nextCursor, null);
+    });
+});
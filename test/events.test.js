@@ -0,0 +1,214 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { EventEmitter } from "events";
+import { ObjectId } from "mongodb";
+import { signAccessToken } from "../lib/auth.js";
+import { createContestEvents, contestChangeToEvents } from "../lib/events.js";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+// Reads an SSE response event by event; `next()` resolves with { type, data }
+const openStream = (port, path, email) => new Promise((resolve, reject) => {
+    const query = email ? `${path.includes('?') ? '&' : '?'}token=${signAccessToken(email)}` : '';
+    const req = http.get({ port, path: path + query }, (res) => {
+        const queue = [];
+        const waiting = [];
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const type = block.match(/^event: (.*)$/m)?.[1];
+                const data = block.match(/^data: (.*)$/m)?.[1];
+                if (!type) continue;
+                const event = { type, data: JSON.parse(data) };
+                if (waiting.length) waiting.shift()(event);
+                else queue.push(event);
+            }
+        });
+        resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            next: () => queue.length ? Promise.resolve(queue.shift()) : new Promise(done => waiting.push(done)),
+            close: () => req.destroy()
+        });
+    });
+    req.on('error', reject);
+});
+
+describe('server-sent events', () => {
+    let t;
+    let server;
+    let port;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        contest = await seedContest(t.db, { creatorEmail: CREATOR, entryFee: 0 });
+        server = t.app.listen(0);
+        port = server.address().port;
+    });
+    afterEach(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('needs a valid token', async () => {
+        const stream = await openStream(port, `/contests/${contest._id}/events`);
+        assert.equal(stream.status, 401);
+        stream.close();
+    });
+
+    it('hides contests that are not public yet from everyone but the creator', async () => {
+        const pending = await seedContest(t.db, { creatorEmail: CREATOR, status: 'Pending' });
+        const stranger = await openStream(port, `/contests/${pending._id}/events`, ANA);
+        assert.equal(stranger.status, 404);
+        stranger.close();
+
+        const creator = await openStream(port, `/contests/${pending._id}/events`, CREATOR);
+        assert.equal(creator.status, 200);
+        assert.equal((await creator.next()).data.status, 'Pending');
+        creator.close();
+    });
+
+    it('streams participant counts, submission counts and status changes of a contest', async () => {
+        const participant = await openStream(port, `/contests/${contest._id}/events`, ANA);
+        const creator = await openStream(port, `/contests/${contest._id}/events`, CREATOR);
+        assert.match(participant.headers['content-type'], /^text\/event-stream/);
+
+        const snapshot = await participant.next();
+        assert.equal(snapshot.type, 'snapshot');
+        assert.deepEqual([snapshot.data.status, snapshot.data.participantsCount, snapshot.data.submissionsCount], ['Open', 0, undefined]);
+        assert.equal((await creator.next()).data.submissionsCount, 0);
+
+        await t.api().post('/participated').set(bearer(ANA))
+            .send({ contestId: contest._id.toString(), participantEmail: ANA, price: 0 });
+        assert.deepEqual(await participant.next(), {
+            type: 'participants',
+            data: { contestId: contest._id.toString(), participantsCount: 1 }
+        });
+        assert.equal((await creator.next()).data.participantsCount, 1);
+
+        await t.api().post('/submissions').set(bearer(ANA))
+            .send({ contestId: contest._id.toString(), participantEmail: ANA, submissionLink: 'https://example.com/a' });
+        assert.deepEqual(await creator.next(), {
+            type: 'submissions',
+            data: { contestId: contest._id.toString(), submissionsCount: 1 }
+        });
+
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Judging' });
+        // Submission counts only go to the creator, so the participant's next event is the status
+        assert.deepEqual(await participant.next(), {
+            type: 'status',
+            data: { contestId: contest._id.toString(), status: 'Judging' }
+        });
+        assert.equal((await creator.next()).type, 'status');
+
+        participant.close();
+        creator.close();
+    });
+
+    it('announces winners on the global stream', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { status: 'Judging' } });
+        const entry = await seedSubmission(t.db, contest, ANA);
+        const stream = await openStream(port, '/events', ANA);
+
+        await t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(CREATOR))
+            .send({ submissionIds: [entry._id.toString()] });
+
+        assert.deepEqual(await stream.next(), { type: 'status', data: { contestId: contest._id.toString(), status: 'Closed' } });
+        const winners = await stream.next();
+        assert.equal(winners.type, 'winners');
+        assert.equal(winners.data.winner.email, ANA);
+        stream.close();
+    });
+});
+
+describe('change stream events', () => {
+    const fakeStream = () => Object.assign(new EventEmitter(), { close: async () => {} });
+
+    const fakeDb = () => {
+        const streams = [];
+        const collection = () => ({ watch: () => { const stream = fakeStream(); streams.push(stream); return stream; } });
+        return {
+            streams,
+            db: {
+                contests: { ...collection(), findOne: async () => ({ creatorEmail: CREATOR }) },
+                submissions: { ...collection(), countDocuments: async () => 4 }
+            }
+        };
+    };
+
+    it('switches from in-process events to change streams once they are up', async () => {
+        const { db, streams } = fakeDb();
+        const events = createContestEvents({ db });
+        const received = [];
+        events.subscribe(event => received.push(event));
+
+        events.publish({ type: 'status', contestId: 'a', data: { status: 'Open' } });
+        assert.equal(received.length, 1);
+
+        streams.forEach(stream => stream.emit('init'));
+        assert.equal(events.isStreaming(), true);
+        // Route publishes are now left to the streams
+        events.publish({ type: 'status', contestId: 'a', data: { status: 'Judging' } });
+        assert.equal(received.length, 1);
+
+        const _id = new ObjectId();
+        streams[0].emit('change', {
+            operationType: 'update',
+            fullDocument: { _id, creatorEmail: CREATOR, status: 'Judging', participantsCount: 3 },
+            updateDescription: { updatedFields: { status: 'Judging' } }
+        });
+        streams[1].emit('change', { operationType: 'insert', fullDocument: { contestId: _id.toString() } });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(received.slice(1).map(e => [e.type, e.data]), [
+            ['status', { status: 'Judging' }],
+            ['submissions', { submissionsCount: 4 }]
+        ]);
+    });
+
+    it('stays in-process when the deployment has no change streams', () => {
+        const { db, streams } = fakeDb();
+        const events = createContestEvents({ db });
+        const received = [];
+        events.subscribe(event => received.push(event));
+
+        streams[0].emit('error', new Error('The $changeStream stage is only supported on replica sets'));
+        events.subscribe(() => {});
+        assert.equal(streams.length, 2, 'no second attempt');
+
+        events.publish({ type: 'participants', contestId: 'a', data: { participantsCount: 1 } });
+        assert.equal(received.length, 1);
+    });
+
+    it('maps contest updates to events', () => {
+        const change = (updatedFields, doc = {}) => ({
+            operationType: 'update',
+            fullDocument: { _id: new ObjectId(), creatorEmail: CREATOR, status: 'Rejected', participantsCount: 2, ...doc },
+            updateDescription: { updatedFields }
+        });
+        assert.deepEqual(contestChangeToEvents(change({ name: 'x' })), []);
+        assert.deepEqual(contestChangeToEvents(change({ participantsCount: 2 })).map(e => e.type), ['participants']);
+        const [rejected] = contestChangeToEvents(change({ status: 'Rejected' }));
+        assert.equal(rejected.private, true);
+        const winners = contestChangeToEvents(change({ status: 'Closed', placements: [], winner: {} }, { status: 'Closed' }));
+        assert.deepEqual(winners.map(e => [e.type, e.private]), [['status', false], ['winners', undefined]]);
+    });
+});
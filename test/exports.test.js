@@ -0,0 +1,158 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { sendExport } from "../lib/exports.js";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+const csvLines = (res) => res.text.trim().split('\r\n');
+
+describe('exports and account deletion', () => {
+    let t;
+    let contest;
+    let ana;
+    beforeEach(async () => {
+        t = await createTestApp();
+        ana = await seedUser(t.db, { email: ANA, name: '=Ana, "the artist"', address: 'Dhaka, Bangladesh' });
+        await seedUser(t.db, { email: BOB, name: 'Bob' });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        contest = await seedContest(t.db, { entryFee: 20 });
+        await seedParticipation(t.db, contest, ANA, { transactionId: 'pi_ana' });
+        await seedParticipation(t.db, contest, BOB, { transactionId: 'pi_bob', paymentStatus: 'refunded', refundId: 're_bob' });
+        await seedSubmission(t.db, contest, ANA, { notes: 'line one\nline two' });
+    });
+
+    const get = (url, email = CREATOR) => t.api().get(url).set(bearer(email));
+
+    it('streams the participants of a contest as CSV', async () => {
+        const res = await get(`/contests/${contest._id}/export/participants`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /contest-.*-participants\.csv/);
+
+        const [header, ...rows] = csvLines(res);
+        assert.equal(header, 'email,name,team,price,discount,promoCode,paidBy,registeredAt');
+        // Refunded entries aren't participants; formulas and quotes are defused
+        assert.equal(rows.length, 1);
+        assert.ok(rows[0].startsWith(`${ANA},"'=Ana, ""the artist""",,20,`));
+    });
+
+    it('exports submissions and payments as JSON', async () => {
+        const submissions = await get(`/contests/${contest._id}/export/submissions?format=json`);
+        assert.match(submissions.headers['content-disposition'], /submissions\.json/);
+        assert.equal(submissions.body.length, 1);
+        assert.deepEqual([submissions.body[0].email, submissions.body[0].notes], [ANA, 'line one\nline two']);
+
+        const payments = await get(`/contests/${contest._id}/export/payments?format=json`);
+        assert.deepEqual(
+            payments.body.map(p => [p.transactionId, p.paymentStatus, p.refundId]),
+            [['pi_ana', 'paid', null], ['pi_bob', 'refunded', 're_bob']]
+        );
+
+        assert.equal((await get(`/contests/${contest._id}/export/payments?format=xml`)).status, 400);
+        assert.equal((await get(`/contests/${contest._id}/export/payments`, ANA)).status, 403);
+        assert.equal((await get(`/contests/${contest._id}/export/payments`, ADMIN)).status, 200);
+    });
+
+    it('lets admins export users and contests', async () => {
+        assert.equal((await get('/export/users')).status, 403);
+
+        const users = await get('/export/users', ADMIN);
+        assert.equal(csvLines(users)[0], 'id,email,name,role,address,participatedCount,wins,deletedAt');
+        assert.equal(csvLines(users).length, 5);
+        const contests = await get('/export/contests?format=json', ADMIN);
+        assert.deepEqual(contests.body.map(c => [c.name, c.status]), [[contest.name, 'Open']]);
+    });
+
+    it('hands users an archive of their data', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, {
+            $set: { status: 'Closed', placements: [{ place: 1, label: '1st', email: ANA, prizeMoney: 100 }] }
+        });
+
+        const res = await get('/users/me/data', ANA);
+        assert.match(res.headers['content-disposition'], /my-data\.json/);
+        assert.equal(res.body.profile.email, ANA);
+        assert.equal(res.body.profile.tokenVersion, undefined);
+        assert.deepEqual(res.body.participations.map(p => p.transactionId), ['pi_ana']);
+        assert.equal(res.body.submissions.length, 1);
+        assert.deepEqual(res.body.wins.map(w => [w.contestName, w.label, w.prizeMoney]), [[contest.name, '1st', 100]]);
+    });
+
+    it('stops streaming and closes the rows when the client goes away', async () => {
+        // A response whose client stops reading after the first row
+        const res = Object.assign(new EventEmitter(), {
+            destroyed: false,
+            written: [],
+            set() {},
+            write(chunk) {
+                this.written.push(chunk);
+                return this.written.length < 2;
+            },
+            end() {
+                throw new Error('ended an aborted export');
+            }
+        });
+        let closed = false;
+        async function* rows() {
+            try {
+                for (let i = 0; ; i++) yield { i };
+            } finally {
+                closed = true;
+            }
+        }
+
+        const done = sendExport(res, { filename: 'rows', columns: [{ header: 'i', value: row => row.i }], rows: rows() });
+        await new Promise(resolve => setImmediate(resolve));
+        res.destroyed = true;
+        res.emit('close');
+        await done;
+        assert.ok(closed);
+        assert.equal(res.written.length, 2);
+    });
+
+    it('anonymizes a deleted account and keeps the money records', async () => {
+        const remove = (body) => t.api().post('/users/me/deletion').set(bearer(ANA)).send(body);
+        await t.db.ledger.insertOne({ key: 'entry_fee:pi_ana', type: 'entry_fee', lines: [] });
+
+        assert.equal((await remove({ confirmEmail: BOB })).status, 400);
+        const running = await remove({ confirmEmail: ANA });
+        assert.equal(running.status, 409);
+        assert.equal(running.body.running, 1);
+
+        await t.db.contests.updateOne({ _id: contest._id }, {
+            $set: { status: 'Closed', placements: [{ place: 1, label: '1st', email: ANA, name: ana.name, prizeMoney: 100 }] }
+        });
+        const res = await remove({ confirmEmail: ANA, reason: 'Moving on' });
+        assert.equal(res.status, 200);
+
+        const alias = `deleted-${ana._id}@deleted.invalid`;
+        const user = t.db.users.all().find(u => u._id.equals(ana._id));
+        assert.deepEqual([user.email, user.name, user.address], [alias, 'Deleted User', '']);
+        assert.ok(user.deletedAt);
+
+        const entry = t.db.participated.all().find(p => p.transactionId === 'pi_ana');
+        assert.deepEqual([entry.participantEmail, entry.price], [alias, 20]);
+        assert.equal(t.db.submissions.all()[0].participantName, 'Deleted User');
+        const [placement] = t.db.contests.all()[0].placements;
+        assert.deepEqual([placement.email, placement.name, placement.prizeMoney], [alias, 'Deleted User', 100]);
+        assert.equal(t.db.ledger.all().length, 1);
+        assert.equal(t.db.auditLog.all()[0].action, 'user.anonymize');
+
+        // The old access token was issued for the original email
+        assert.equal((await get('/users/me/data', ANA)).status, 401);
+        const exported = await get(`/contests/${contest._id}/export/payments?format=json`);
+        assert.ok(!JSON.stringify(exported.body).includes(ANA));
+    });
+});
@@ -0,0 +1,77 @@
+import Stripe from 'stripe';
+
+// =================================================
+// FAKE STRIPE
+// =================================================
+//
+// Records checkout sessions and refunds in memory. Webhook signing is the real
+// SDK code (it never touches the network), so tests can sign payloads with
+// `signWebhook` and the app verifies them exactly as in production.
+
+const sdk = Stripe('sk_test_offline');
+
+export const createFakeStripe = () => {
+    const sessions = new Map();
+    const refunds = [];
+    let failRefunds = false;
+    let counter = 0;
+
+    const stripe = {
+        checkout: {
+            sessions: {
+                create: async (params) => {
+                    const id = `cs_test_${++counter}`;
+                    const session = {
+                        id,
+                        url: `https://checkout.stripe.test/${id}`,
+                        payment_status: 'unpaid',
+                        payment_intent: null,
+                        amount_total: params.line_items.reduce(
+                            (sum, item) => sum + item.price_data.unit_amount * item.quantity, 0),
+                        customer_email: params.customer_email,
+                        metadata: { ...params.metadata },
+                        params
+                    };
+                    sessions.set(id, session);
+                    return session;
+                },
+                retrieve: async (id) => {
+                    const session = sessions.get(id);
+                    if (!session) {
+                        throw new Error(`No such checkout.session: '${id}'`);
+                    }
+                    return session;
+                }
+            }
+        },
+        refunds: {
+            create: async (params, options = {}) => {
+                if (failRefunds) {
+                    throw new Error('Refund declined');
+                }
+                const existing = refunds.find(refund => refund.idempotencyKey && refund.idempotencyKey === options.idempotencyKey);
+                if (existing) return existing;
+                const refund = { id: `re_test_${++counter}`, ...params, idempotencyKey: options.idempotencyKey };
+                refunds.push(refund);
+                return refund;
+            }
+        },
+        webhooks: sdk.webhooks
+    };
+
+    return {
+        stripe,
+        sessions,
+        refunds,
+        setFailRefunds: (value) => { failRefunds = value; },
+        // Marks a created session as paid, as Stripe does once the customer pays
+        completeSession: (id) => {
+            const session = sessions.get(id);
+            Object.assign(session, { payment_status: 'paid', payment_intent: `pi_test_${++counter}` });
+            return session;
+        }
+    };
+};
+
+export const signWebhook = (payload, secret) =>
+    sdk.webhooks.generateTestHeaderString({ payload, secret });
@@ -0,0 +1,314 @@
+import { ObjectId } from "mongodb";
+import { find, aggregate, updateOne } from "mingo";
+
+// =================================================
+// IN-MEMORY MONGODB
+// =================================================
+//
+// Just enough of the driver's Collection/Db surface for the routes, backed by
+// mingo for queries, updates and aggregation. Unique indexes are enforced,
+// $text is approximated with a case-insensitive word match weighted like the
+// real text index.
+
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value);
+    if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const duplicateKeyError = (collectionName, keys) => {
+    const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(keys).join('_')}`);
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    return error;
+};
+
+// Splits `$text` (and `$meta` sorts/projections) off a query so mingo can run the rest
+const extractText = (filter = {}) => {
+    const { $text, ...rest } = filter;
+    return { search: $text?.$search, rest };
+};
+
+const isMeta = (value) => value && typeof value === 'object' && value.$meta === 'textScore';
+
+const createCursor = (produce) => {
+    const state = { sort: null, skip: 0, limit: 0, projection: null };
+    const cursor = {
+        sort: (sort) => { state.sort = sort; return cursor; },
+        skip: (skip) => { state.skip = skip; return cursor; },
+        limit: (limit) => { state.limit = limit; return cursor; },
+        project: (projection) => { state.projection = projection; return cursor; },
+        toArray: async () => produce(state),
+        [Symbol.asyncIterator]: async function* () {
+            yield* await produce(state);
+        }
+    };
+    return cursor;
+};
+
+export const createMemoryCollection = (collectionName) => {
+    let docs = [];
+    const uniqueIndexes = [];
+    let textIndex = null;
+
+    // Every key `doc` has in the index; an array field (multikey) gives one key per element
+    const indexKeys = (doc, keys) => Object.keys(keys).reduce((prefixes, key) => {
+        const value = getPath(doc, key);
+        const values = Array.isArray(value) && value.length ? value : [value];
+        return prefixes.flatMap(prefix => values.map(item =>
+            [...prefix, item instanceof ObjectId ? item.toHexString() : item ?? null]));
+    }, [[]]).map(key => JSON.stringify(key));
+
+    const assertUnique = (candidate, ignore) => {
+        for (const { keys, partialFilterExpression } of uniqueIndexes) {
+            if (partialFilterExpression && !find([candidate], partialFilterExpression).all().length) continue;
+            const candidateKeys = new Set(indexKeys(candidate, keys));
+            const clash = docs.some(doc => doc !== ignore
+                && (!partialFilterExpression || find([doc], partialFilterExpression).all().length)
+                && indexKeys(doc, keys).some(key => candidateKeys.has(key)));
+            if (clash) throw duplicateKeyError(collectionName, keys);
+        }
+    };
+
+    const textScore = (doc, search) => {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const fields = textIndex?.fields || [];
+        let score = 0;
+        for (const field of fields) {
+            const value = getPath(doc, field);
+            const text = (Array.isArray(value) ? value.join(' ') : String(value ?? '')).toLowerCase();
+            const words = text.split(/\W+/);
+            const hits = terms.filter(term => words.some(word => word.startsWith(term))).length;
+            score += hits * (textIndex.weights[field] || 1);
+        }
+        return score;
+    };
+
+    const select = (filter = {}) => {
+        const { search, rest } = extractText(filter);
+        let matched = find(docs, rest).all();
+        if (search !== undefined) {
+            if (!textIndex) {
+                const error = new Error('text index required for $text query');
+                error.code = 27;
+                throw error;
+            }
+            matched = matched
+                .map(doc => ({ doc, score: textScore(doc, search) }))
+                .filter(({ score }) => score > 0)
+                .map(({ doc, score }) => Object.assign(doc, { __textScore: score }));
+        }
+        return matched;
+    };
+
+    const shape = (matched, { sort, skip = 0, limit = 0, projection }) => {
+        let rows = matched.map(doc => {
+            const copy = clone(doc);
+            delete copy.__textScore;
+            if (doc.__textScore !== undefined) copy.__score = doc.__textScore;
+            delete doc.__textScore;
+            return copy;
+        });
+        if (sort) {
+            const mingoSort = Object.fromEntries(Object.entries(sort).map(([key, dir]) => isMeta(dir) ? ['__score', -1] : [key, dir]));
+            rows = find(rows, {}).sort(mingoSort).all();
+        }
+        rows = rows.slice(skip, limit ? skip + limit : undefined);
+        if (projection) {
+            const metaFields = Object.entries(projection).filter(([, value]) => isMeta(value)).map(([key]) => key);
+            const plain = Object.fromEntries(Object.entries(projection).filter(([, value]) => !isMeta(value)));
+            rows = rows.map(row => {
+                const projected = Object.keys(plain).length ? find([row], {}, plain).all()[0] : row;
+                for (const field of metaFields) projected[field] = row.__score;
+                return projected;
+            });
+        }
+        return rows.map(row => { delete row.__score; return row; });
+    };
+
+    // Applies an update document or pipeline to a copy, so a failed unique check leaves the original alone
+    const applyUpdate = (doc, update) => {
+        const copy = clone(doc);
+        const holder = [copy];
+        updateOne(holder, {}, update);
+        return holder[0];
+    };
+
+    const upsertBase = (filter, update) => {
+        const base = {};
+        for (const [key, value] of Object.entries(filter)) {
+            if (!key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof ObjectId || value instanceof Date)) {
+                base[key] = clone(value);
+            }
+        }
+        if (!Array.isArray(update) && update.$setOnInsert) Object.assign(base, clone(update.$setOnInsert));
+        return base;
+    };
+
+    const withoutSetOnInsert = (update) => {
+        if (Array.isArray(update)) return update;
+        const { $setOnInsert, ...rest } = update;
+        return rest;
+    };
+
+    const updateMatched = (filter, update, { upsert = false, many = false, sort } = {}) => {
+        let matched = select(filter);
+        if (sort) matched = find(matched, {}).sort(sort).all();
+        if (!many) matched = matched.slice(0, 1);
+
+        if (!matched.length) {
+            if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null, before: null, after: null };
+            const base = upsertBase(filter, update);
+            const modifier = withoutSetOnInsert(update);
+            let doc = Object.keys(modifier).length || Array.isArray(modifier) ? applyUpdate(base, modifier) : base;
+            if (doc._id === undefined) doc = { _id: new ObjectId(), ...doc };
+            assertUnique(doc);
+            docs.push(doc);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, before: null, after: doc };
+        }
+
+        let modifiedCount = 0;
+        let before = null;
+        let after = null;
+        for (const doc of matched) {
+            const updated = applyUpdate(doc, withoutSetOnInsert(update));
+            assertUnique(updated, doc);
+            before = clone(doc);
+            docs[docs.indexOf(doc)] = updated;
+            after = updated;
+            modifiedCount++;
+        }
+        return { matchedCount: matched.length, modifiedCount, upsertedCount: 0, upsertedId: null, before, after };
+    };
+
+    const writeResult = ({ matchedCount, modifiedCount, upsertedCount, upsertedId }) =>
+        ({ acknowledged: true, matchedCount, modifiedCount, upsertedCount, upsertedId });
+
+    return {
+        collectionName,
+
+        createIndex: async (keys, options = {}) => {
+            if (Object.values(keys).includes('text')) {
+                const fields = Object.keys(keys);
+                textIndex = { fields, weights: options.weights || {} };
+            } else if (options.unique) {
+                uniqueIndexes.push({ keys, partialFilterExpression: options.partialFilterExpression });
+            }
+            return options.name || Object.entries(keys).map(([key, dir]) => `${key}_${dir}`).join('_');
+        },
+
+        insertOne: async (doc) => {
+            if (doc._id === undefined) doc._id = new ObjectId();
+            const stored = clone(doc);
+            assertUnique(stored);
+            docs.push(stored);
+            return { acknowledged: true, insertedId: doc._id };
+        },
+
+        insertMany: async (list) => {
+            const insertedIds = {};
+            for (const [index, doc] of list.entries()) {
+                if (doc._id === undefined) doc._id = new ObjectId();
+                const stored = clone(doc);
+                assertUnique(stored);
+                docs.push(stored);
+                insertedIds[index] = doc._id;
+            }
+            return { acknowledged: true, insertedCount: list.length, insertedIds };
+        },
+
+        find: (filter, options = {}) => createCursor((state) => shape(select(filter), {
+            sort: state.sort || options.sort,
+            skip: state.skip || options.skip || 0,
+            limit: state.limit || options.limit || 0,
+            projection: state.projection || options.projection
+        })),
+
+        findOne: async (filter, options = {}) =>
+            shape(select(filter), { sort: options.sort, limit: 1, projection: options.projection })[0] || null,
+
+        countDocuments: async (filter, options = {}) => {
+            const count = select(filter).length;
+            return options.limit ? Math.min(count, options.limit) : count;
+        },
+
+        estimatedDocumentCount: async () => docs.length,
+
+        distinct: async (field, filter) => {
+            const values = select(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+            return values.filter((value, index) => values.findIndex(other => String(other) === String(value)) === index);
+        },
+
+        updateOne: async (filter, update, options = {}) =>
+            writeResult(updateMatched(filter, update, { upsert: options.upsert, sort: options.sort })),
+
+        updateMany: async (filter, update, options = {}) =>
+            writeResult(updateMatched(filter, update, { upsert: options.upsert, many: true })),
+
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            const { before, after } = updateMatched(filter, update, { upsert: options.upsert, sort: options.sort });
+            const doc = options.returnDocument === 'after' ? after : before;
+            return doc ? shape([doc], { projection: options.projection })[0] : null;
+        },
+
+        deleteOne: async (filter) => {
+            const [doc] = select(filter);
+            if (doc) docs.splice(docs.indexOf(doc), 1);
+            return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+        },
+
+        deleteMany: async (filter) => {
+            const matched = new Set(select(filter));
+            docs = docs.filter(doc => !matched.has(doc));
+            return { acknowledged: true, deletedCount: matched.size };
+        },
+
+        findOneAndDelete: async (filter) => {
+            const [doc] = select(filter);
+            if (!doc) return null;
+            docs.splice(docs.indexOf(doc), 1);
+            return clone(doc);
+        },
+
+        aggregate: (pipeline) => createCursor(async () => {
+            const [first, ...rest] = pipeline;
+            const search = first?.$match?.$text?.$search;
+            if (search === undefined) return aggregate(docs.map(clone), pipeline);
+            const matched = select(first.$match).map(doc => {
+                const copy = clone(doc);
+                delete copy.__textScore;
+                delete doc.__textScore;
+                return copy;
+            });
+            return aggregate(matched, rest);
+        }),
+
+        // Test-only escape hatch
+        all: () => docs.map(clone)
+    };
+};
+
+// A Db look-alike handing out memory collections by name
+export const createMemoryDb = () => {
+    const collections = new Map();
+    return {
+        collection: (name) => {
+            if (!collections.has(name)) collections.set(name, createMemoryCollection(name));
+            return collections.get(name);
+        },
+        listCollections: () => ({
+            toArray: async () => [...collections.keys()].map(name => ({ name }))
+        }),
+        command: async () => ({ ok: 1 }),
+        createCollection: async (name) => {
+            if (!collections.has(name)) collections.set(name, createMemoryCollection(name));
+            return collections.get(name);
+        }
+    };
+};
@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { createApp } from "../../app.js";
+import { setupCollections } from "../../lib/db.js";
+import { createLocalStorage } from "../../lib/storage.js";
+import { signAccessToken } from "../../lib/auth.js";
+import { createMemoryDb } from "./memoryDb.js";
+import { createFakeStripe, signWebhook } from "./fakeStripe.js";
+
+// =================================================
+// TEST APP
+// =================================================
+
+const FIREBASE_KID = 'test-key';
+const firebaseKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+Object.assign(process.env, {
+    ACCESS_TOKEN_SECRET: 'test-access-secret',
+    STRIPE_WEBHOOK_SECRET: 'whsec_test',
+    SITE_DOMAIN_URL: 'http://localhost:5173',
+    CRON_SECRET: 'test-cron-secret',
+    FIREBASE_PROJECT_ID: 'contest-craze-test',
+    FIREBASE_PUBLIC_KEYS: JSON.stringify({
+        [FIREBASE_KID]: firebaseKeys.publicKey.export({ type: 'spki', format: 'pem' })
+    })
+});
+
+const storageDirectories = [];
+process.on('exit', () => {
+    for (const directory of storageDirectories) {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+// A fresh app with its own empty database, Stripe, mailbox and attachment directory
+export const createTestApp = async () => {
+    const memoryDb = createMemoryDb();
+    const db = await setupCollections(memoryDb);
+    const fakeStripe = createFakeStripe();
+    const directory = path.join(os.tmpdir(), `contest-craze-test-${crypto.randomUUID()}`);
+    storageDirectories.push(directory);
+    const storage = createLocalStorage({ directory });
+    const mail = [];
+    const mailer = { send: async (message) => { mail.push(message); } };
+    const app = createApp({ connect: async () => db, stripe: fakeStripe.stripe, storage, mailer });
+
+    return {
+        app,
+        db,
+        fakeStripe,
+        storage,
+        mail,
+        api: () => request(app)
+    };
+};
+
+export const bearer = (email, tokenVersion) => ({ Authorization: `Bearer ${signAccessToken(email, tokenVersion)}` });
+
+// An ID token as the Firebase client SDK would hand it to the frontend
+export const firebaseIdToken = (email, overrides = {}) => {
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    return jwt.sign(
+        {
+            email,
+            sub: `uid-${email}`,
+            aud: projectId,
+            iss: `https://securetoken.google.com/${projectId}`,
+            ...overrides
+        },
+        firebaseKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        {
+            algorithm: 'RS256',
+            keyid: FIREBASE_KID,
+            expiresIn: '1h'
+        }
+    );
+};
+
+export const webhookHeaders = (payload) => ({
+    'Content-Type': 'application/json',
+    'stripe-signature': signWebhook(payload, process.env.STRIPE_WEBHOOK_SECRET)
+});
+
+// ---- Seed data
+
+export const seedUser = async (db, overrides = {}) => {
+    const user = {
+        name: 'Test User',
+        email: `user-${crypto.randomUUID()}@example.com`,
+        photo: '',
+        bio: '',
+        address: '',
+        role: 'Normal User',
+        wins: 0,
+        participatedCount: 0,
+        winPercentage: 0,
+        ...overrides
+    };
+    await db.users.insertOne(user);
+    return user;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const seedContest = async (db, overrides = {}) => {
+    const contest = {
+        name: 'Logo Design Sprint',
+        image: 'https://example.com/logo.png',
+        description: 'Design a logo for a coffee shop',
+        taskInstruction: 'Upload a PNG',
+        type: 'Design',
+        tags: ['logo', 'branding'],
+        entryFee: 10,
+        prizeMoney: 100,
+        deadline: new Date(Date.now() + 7 * DAY),
+        creatorEmail: 'creator@example.com',
+        creatorName: 'Creator',
+        status: 'Open',
+        participantsCount: 0,
+        ...overrides
+    };
+    await db.contests.insertOne(contest);
+    return contest;
+};
+
+export const seedParticipation = async (db, contest, participantEmail, overrides = {}) => {
+    const participation = {
+        contestId: contest._id.toString(),
+        participantEmail,
+        transactionId: `pi_${crypto.randomUUID()}`,
+        price: contest.entryFee,
+        paymentTime: new Date(),
+        paymentStatus: 'paid',
+        ...overrides
+    };
+    await db.participated.insertOne(participation);
+    return participation;
+};
+
+export const seedSubmission = async (db, contest, participantEmail, overrides = {}) => {
+    const submission = {
+        contestId: contest._id.toString(),
+        contestName: contest.name,
+        participantEmail,
+        participantName: 'Participant',
+        submissionLink: 'https://example.com/entry',
+        submittedAt: new Date(),
+        version: 1,
+        attachments: [],
+        history: [],
+        ...overrides
+    };
+    await db.submissions.insertOne(submission);
+    return submission;
+};
+
+export const daysFromNow = (days) => new Date(Date.now() + days * DAY);
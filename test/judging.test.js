@@ -0,0 +1,97 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const CREATOR = 'creator@example.com';
+const JUDGE = 'judge@example.com';
+
+const rubric = [
+    { name: 'Creativity', weight: 3, maxPoints: 10 },
+    { name: 'Execution', weight: 1, maxPoints: 5 }
+];
+
+describe('judging', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        for (const email of [JUDGE, 'ana@example.com', 'bob@example.com']) {
+            await seedUser(t.db, { email });
+        }
+        contest = await seedContest(t.db, { creatorEmail: CREATOR });
+    });
+
+    it('sets the rubric until judging starts', async () => {
+        const res = await t.api().put(`/contests/${contest._id}/rubric`).set(bearer(CREATOR)).send({ criteria: rubric });
+        assert.equal(res.body.modifiedCount, 1);
+
+        const duplicate = await t.api().put(`/contests/${contest._id}/rubric`).set(bearer(CREATOR))
+            .send({ criteria: [rubric[0], rubric[0]] });
+        assert.equal(duplicate.status, 400);
+
+        await t.db.scores.insertOne({ contestId: contest._id.toString(), submissionId: 'x', judgeEmail: JUDGE });
+        const locked = await t.api().put(`/contests/${contest._id}/rubric`).set(bearer(CREATOR)).send({ criteria: rubric });
+        assert.equal(locked.status, 409);
+    });
+
+    it('invites and removes judges', async () => {
+        const added = await t.api().post(`/contests/${contest._id}/judges`).set(bearer(CREATOR)).send({ email: JUDGE });
+        assert.equal(added.body.modifiedCount, 1);
+
+        const judging = await t.api().get(`/contests/judging/${JUDGE}`).set(bearer(JUDGE));
+        assert.equal(judging.body.length, 1);
+        assert.equal((await t.api().get(`/contests/judging/${JUDGE}`).set(bearer(CREATOR))).status, 403);
+
+        await seedUser(t.db, { email: 'rival@example.com', role: 'Contest Creator' });
+        const foreign = await t.api().post(`/contests/${contest._id}/judges`).set(bearer('rival@example.com')).send({ email: JUDGE });
+        assert.equal(foreign.status, 403);
+
+        const removed = await t.api().delete(`/contests/${contest._id}/judges/${JUDGE}`).set(bearer(CREATOR));
+        assert.equal(removed.body.modifiedCount, 1);
+        assert.deepEqual(t.db.contests.all()[0].judges, []);
+    });
+
+    it('scores submissions against the rubric and ranks them', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { rubric, judges: [JUDGE], status: 'Judging' } });
+        const strong = await seedSubmission(t.db, contest, 'ana@example.com');
+        const weak = await seedSubmission(t.db, contest, 'bob@example.com');
+
+        const score = (submission, email, points) => t.api().put(`/submissions/${submission._id}/scores`).set(bearer(email))
+            .send({ scores: [{ criterion: 'Creativity', points: points[0] }, { criterion: 'Execution', points: points[1] }] });
+
+        assert.equal((await score(strong, JUDGE, [10, 5])).status, 200);
+        assert.equal((await score(strong, CREATOR, [8, 5])).status, 200);
+        assert.equal((await score(weak, JUDGE, [4, 5])).status, 200);
+        // Re-scoring replaces the judge's sheet
+        await score(weak, JUDGE, [5, 5]);
+        assert.equal(t.db.scores.all().length, 3);
+
+        assert.equal((await score(weak, 'bob@example.com', [1, 1])).status, 403);
+        assert.equal((await score(weak, JUDGE, [11, 5])).status, 400);
+        const partial = await t.api().put(`/submissions/${weak._id}/scores`).set(bearer(JUDGE))
+            .send({ scores: [{ criterion: 'Creativity', points: 5 }] });
+        assert.equal(partial.status, 400);
+
+        const results = await t.api().get(`/contests/${contest._id}/results`).set(bearer(JUDGE));
+        assert.equal(results.status, 200);
+        assert.deepEqual(results.body.results.map(r => r.submission.participantEmail), ['ana@example.com', 'bob@example.com']);
+        assert.equal(results.body.results[0].score, 92.5);
+        assert.equal(results.body.results[0].judgeCount, 2);
+        assert.equal((await t.api().get(`/contests/${contest._id}/results`).set(bearer('ana@example.com'))).status, 403);
+    });
+
+    it('only scores while the contest is in judging', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { rubric, judges: [JUDGE] } });
+        const submission = await seedSubmission(t.db, contest, 'ana@example.com');
+        const res = await t.api().put(`/submissions/${submission._id}/scores`).set(bearer(JUDGE))
+            .send({ scores: [{ criterion: 'Creativity', points: 5 }, { criterion: 'Execution', points: 5 }] });
+        assert.equal(res.status, 400);
+    });
+});
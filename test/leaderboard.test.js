@@ -0,0 +1,152 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission,
+    daysFromNow
+} from "./helpers/testApp.js";
+import { periodOf } from "../lib/rankings.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CY = 'cy@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('leaderboard', () => {
+    let t;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        for (const [email, name] of [[ANA, 'Ana'], [BOB, 'Bob'], [CY, 'Cy']]) {
+            await seedUser(t.db, { email, name });
+        }
+    });
+
+    // Runs a contest of `type` with everyone entered and `placed` in order
+    const runContest = async (type, placed) => {
+        const contest = await seedContest(t.db, { type, status: 'Judging', prizeMoney: 100, prizeSplits: [70, 30] });
+        const entries = {};
+        for (const email of [ANA, BOB, CY]) {
+            await seedParticipation(t.db, contest, email);
+            entries[email] = await seedSubmission(t.db, contest, email);
+        }
+        const res = await t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(CREATOR))
+            .send({ submissionIds: placed.map(email => entries[email]._id.toString()) });
+        assert.equal(res.status, 200);
+        return contest;
+    };
+
+    it('ranks users from declared results, per contest type', async () => {
+        await runContest('Design', [BOB, ANA]);
+        await runContest('Writing', [ANA, CY]);
+        await runContest('Design', [BOB, CY]);
+
+        // The plain array only lists winners, like it always did
+        const all = await t.api().get('/users/leaderboard');
+        assert.deepEqual(all.body.map(row => [row.rank, row.email, row.wins, row.podiums]), [
+            [1, BOB, 2, 2],
+            [2, ANA, 1, 2]
+        ]);
+        assert.equal(all.body[0].name, 'Bob');
+        assert.equal(all.body[0].prizeMoney, 140);
+
+        const writing = await t.api().get('/users/leaderboard?type=Writing&page=1');
+        assert.deepEqual(writing.body.leaderboard.map(row => row.email), [ANA, CY, BOB]);
+        assert.equal(writing.body.totalCount, 3);
+        assert.deepEqual([writing.body.window, writing.body.period, writing.body.type], ['all-time', 'all', 'Writing']);
+    });
+
+    it('keeps weekly and monthly boards to results declared in that period', async () => {
+        const old = await seedContest(t.db, {
+            status: 'Closed',
+            declaredAt: daysFromNow(-400),
+            placements: [{ place: 1, email: CY, prizeMoney: 50 }]
+        });
+        await seedParticipation(t.db, old, CY);
+        await t.api().post('/users/leaderboard/recompute').set(bearer(ADMIN));
+        await runContest('Design', [ANA]);
+
+        const weekly = await t.api().get('/users/leaderboard?window=weekly&limit=10');
+        assert.equal(weekly.body.period, periodOf('weekly'));
+        assert.deepEqual(weekly.body.leaderboard.filter(row => row.wins).map(row => row.email), [ANA]);
+
+        const allTime = await t.api().get('/users/leaderboard?window=all-time');
+        assert.deepEqual(allTime.body.filter(row => row.wins).map(row => row.email).sort(), [ANA, CY]);
+        assert.equal((await t.api().get('/users/leaderboard?window=daily')).status, 400);
+    });
+
+    it('keeps deleted users off the boards of results declared later', async () => {
+        await t.db.users.updateOne({ email: BOB }, { $set: { deletedAt: new Date() } });
+        await runContest('Design', [BOB, ANA]);
+
+        const weekly = await t.api().get('/users/leaderboard?window=weekly&limit=10');
+        assert.deepEqual(weekly.body.leaderboard.map(row => row.email), [ANA, CY]);
+        assert.ok(t.db.rankings.all().filter(row => row.email === BOB).every(row => row.hidden));
+    });
+
+    it('pages through the board with shared ranks for ties', async () => {
+        await runContest('Design', [ANA]);
+        await runContest('Design', [BOB]);
+
+        const first = await t.api().get('/users/leaderboard?limit=1&page=1');
+        const second = await t.api().get('/users/leaderboard?limit=1&page=2');
+        const third = await t.api().get('/users/leaderboard?limit=1&page=3');
+        assert.deepEqual(
+            [...first.body.leaderboard, ...second.body.leaderboard, ...third.body.leaderboard].map(row => [row.email, row.rank]),
+            [[ANA, 1], [BOB, 1], [CY, 3]]
+        );
+    });
+
+    it('looks up the caller\'s own rank', async () => {
+        await runContest('Design', [BOB, CY]);
+
+        const mine = await t.api().get('/users/leaderboard/me').set(bearer(CY));
+        assert.deepEqual([mine.body.rank, mine.body.wins, mine.body.podiums, mine.body.contests], [2, 0, 1, 1]);
+        const design = await t.api().get('/users/leaderboard/me?type=Design&window=monthly').set(bearer(BOB));
+        assert.equal(design.body.rank, 1);
+        const none = await t.api().get('/users/leaderboard/me?type=Writing').set(bearer(BOB));
+        assert.equal(none.body.rank, null);
+        assert.equal((await t.api().get('/users/leaderboard/me')).status, 401);
+    });
+
+    it('recomputes rankings and user stats from source records', async () => {
+        await runContest('Design', [BOB, ANA]);
+        const legacy = await seedContest(t.db, { status: 'Closed', prizeMoney: 30, winner: { email: ANA, name: 'Ana' } });
+        await seedParticipation(t.db, legacy, ANA);
+        await seedParticipation(t.db, legacy, CY, { paymentStatus: 'refunded' });
+        // Counters that drifted
+        await t.db.users.updateOne({ email: BOB }, { $set: { wins: 7, participatedCount: 0 } });
+        await t.db.rankings.insertOne({ window: 'all-time', period: 'all', type: 'All', email: 'ghost@example.com', wins: 9, podiums: 9, prizeMoney: 0, contests: 9 });
+
+        assert.equal((await t.api().post('/users/leaderboard/recompute').set(bearer(CREATOR))).status, 403);
+        const res = await t.api().post('/users/leaderboard/recompute').set(bearer(ADMIN));
+        assert.deepEqual([res.body.contests, res.body.users], [2, 5]);
+
+        const users = Object.fromEntries(t.db.users.all().map(u => [u.email, u]));
+        assert.deepEqual([users[BOB].wins, users[BOB].participatedCount, users[BOB].winPercentage], [1, 1, 100]);
+        assert.deepEqual([users[ANA].wins, users[ANA].podiums, users[ANA].participatedCount], [1, 2, 2]);
+        assert.equal(users[CY].participatedCount, 1);
+
+        const board = await t.api().get('/users/leaderboard?page=1');
+        assert.deepEqual(board.body.leaderboard.map(row => [row.email, row.wins, row.contests]), [[ANA, 1, 2], [BOB, 1, 1], [CY, 0, 1]]);
+        assert.equal(t.db.auditLog.all()[0].action, 'leaderboard.recompute');
+    });
+
+    it('builds the rankings on first read for results declared before they existed', async () => {
+        const legacy = await seedContest(t.db, { status: 'Closed', prizeMoney: 30, winner: { email: ANA, name: 'Ana' } });
+        await seedParticipation(t.db, legacy, ANA);
+        await seedParticipation(t.db, legacy, BOB);
+        assert.equal(t.db.rankings.all().length, 0);
+
+        const board = await t.api().get('/users/leaderboard');
+        assert.deepEqual(board.body.map(row => [row.rank, row.email, row.wins, row.prizeMoney]), [[1, ANA, 1, 30]]);
+        const mine = await t.api().get('/users/leaderboard/me').set(bearer(BOB));
+        assert.deepEqual([mine.body.rank, mine.body.contests], [2, 1]);
+    });
+});
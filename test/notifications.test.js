@@ -0,0 +1,197 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission,
+    daysFromNow
+} from "./helpers/testApp.js";
+import { createFileTransport } from "../lib/mailer.js";
+import { createNotifications } from "../lib/notifications.js";
+import { setupCollections } from "../lib/db.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const ANA = 'ana@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('notifications', () => {
+    let t;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA, name: 'Ana' });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+    });
+
+    const inbox = (email) => t.db.notifications.all().filter(n => n.email === email);
+
+    it('tells creators when their contest is approved or rejected', async () => {
+        const approved = await seedContest(t.db, { name: 'Approved One', status: 'Pending' });
+        const rejected = await seedContest(t.db, { name: 'Rejected One', status: 'Pending' });
+
+        await t.api().patch(`/contests/status/${approved._id}`).set(bearer(ADMIN)).send({ status: 'Confirmed' });
+        await t.api().patch(`/contests/status/${rejected._id}`).set(bearer(ADMIN)).send({ status: 'Rejected', reason: 'Prize too low' });
+
+        assert.deepEqual(inbox(CREATOR).map(n => n.event), ['contest_approved', 'contest_rejected']);
+        assert.equal(inbox(CREATOR)[0].contestId, approved._id.toString());
+        assert.match(inbox(CREATOR)[1].body, /Reason: Prize too low/);
+        assert.deepEqual(t.mail.map(m => m.subject), [
+            'Your contest "Approved One" was approved',
+            'Your contest "Rejected One" was not approved'
+        ]);
+    });
+
+    it('tells participants their payment went through and when a contest is cancelled', async () => {
+        const contest = await seedContest(t.db, { name: 'Poster Jam', entryFee: 15 });
+        const session = {
+            id: 'cs_1',
+            payment_status: 'paid',
+            payment_intent: 'pi_1',
+            amount_total: 1500,
+            customer_email: ANA,
+            metadata: { contestId: contest._id.toString() }
+        };
+        const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: session } });
+        await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+        // A retried webhook doesn't notify twice
+        await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+
+        assert.deepEqual(inbox(ANA).map(n => n.event), ['payment_confirmed']);
+        assert.match(t.mail[0].text, /^Hi Ana,/);
+        assert.match(t.mail[0].text, /\$15\.00/);
+
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Cancelled' });
+        assert.deepEqual(inbox(ANA).map(n => n.event), ['payment_confirmed', 'contest_cancelled']);
+    });
+
+    it('reminds participants who have not submitted before the deadline, once', async () => {
+        const contest = await seedContest(t.db, { deadline: daysFromNow(0.5) });
+        await seedContest(t.db, { deadline: daysFromNow(3) });
+        await seedParticipation(t.db, contest, ANA);
+        await seedParticipation(t.db, contest, 'bob@example.com');
+        await seedSubmission(t.db, contest, 'bob@example.com');
+
+        const cron = () => t.api().get('/cron/contest-lifecycle').set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+        assert.equal((await cron()).body.reminded, 1);
+        assert.equal((await cron()).body.reminded, 0);
+        assert.deepEqual(t.db.notifications.all().map(n => [n.email, n.event]), [[ANA, 'deadline_approaching']]);
+    });
+
+    it('announces results to every participant and placements to the winners', async () => {
+        const contest = await seedContest(t.db, { name: 'Essay Cup', status: 'Judging', prizeMoney: 50 });
+        await seedParticipation(t.db, contest, ANA);
+        await seedParticipation(t.db, contest, 'bob@example.com');
+        const entry = await seedSubmission(t.db, contest, ANA);
+
+        await t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(CREATOR))
+            .send({ submissionIds: [entry._id.toString()] });
+
+        assert.equal(inbox(ANA)[0].title, 'You placed 1st in "Essay Cup"');
+        assert.match(inbox(ANA)[0].body, /won \$50\.00/);
+        assert.equal(inbox('bob@example.com')[0].title, 'Winners of "Essay Cup" announced');
+    });
+
+    it('respects per-event channel preferences', async () => {
+        const res = await t.api().put(`/users/${ANA}`).set(bearer(ANA))
+            .send({ notificationPreferences: { contest_cancelled: { email: false } } });
+        assert.equal(res.status, 200);
+        await t.api().put(`/users/${ANA}`).set(bearer(ANA))
+            .send({ notificationPreferences: { winner_declared: { inApp: false } } });
+
+        const [user] = t.db.users.all();
+        assert.deepEqual(user.notificationPreferences, {
+            contest_cancelled: { email: false },
+            winner_declared: { inApp: false }
+        });
+
+        const invalid = await t.api().put(`/users/${ANA}`).set(bearer(ANA))
+            .send({ notificationPreferences: { contest_cancelled: { email: 'sometimes' } } });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errors[0].field, 'notificationPreferences.contest_cancelled.email');
+
+        const contest = await seedContest(t.db);
+        await seedParticipation(t.db, contest, ANA);
+        await t.api().patch(`/contests/status/${contest._id}`).set(bearer(ADMIN)).send({ status: 'Cancelled' });
+        assert.equal(inbox(ANA).length, 1);
+        assert.equal(t.mail.length, 0);
+    });
+
+    it('lists, counts and marks inbox entries as read', async () => {
+        for (let i = 0; i < 3; i++) {
+            await t.db.notifications.insertOne({ email: ANA, event: 'contest_approved', title: `n${i}`, read: false, createdAt: new Date() });
+        }
+        await t.db.notifications.insertOne({ email: 'bob@example.com', event: 'contest_approved', title: 'other', read: false });
+        await seedUser(t.db, { email: 'bob@example.com' });
+
+        const list = await t.api().get('/notifications?limit=2').set(bearer(ANA));
+        assert.deepEqual(list.body.notifications.map(n => n.title), ['n2', 'n1']);
+        assert.equal(list.body.totalCount, 3);
+
+        const count = () => t.api().get('/notifications/unread-count').set(bearer(ANA));
+        assert.equal((await count()).body.count, 3);
+
+        const first = list.body.notifications[0];
+        assert.equal((await t.api().patch(`/notifications/${first._id}/read`).set(bearer(ANA))).status, 200);
+        assert.equal((await t.api().patch(`/notifications/${first._id}/read`).set(bearer('bob@example.com'))).status, 404);
+        assert.equal((await count()).body.count, 2);
+
+        const unread = await t.api().get('/notifications?unread=true').set(bearer(ANA));
+        assert.equal(unread.body.notifications.length, 2);
+
+        const all = await t.api().patch('/notifications/read-all').set(bearer(ANA));
+        assert.equal(all.body.modifiedCount, 2);
+        assert.equal((await count()).body.count, 0);
+        assert.equal((await t.api().get('/notifications')).status, 401);
+    });
+});
+
+describe('notification delivery', () => {
+    it('answers before the emails are out and survives failed sends', async (ctx) => {
+        const db = await setupCollections(createMemoryDb());
+        ctx.mock.method(console, 'error', () => {});
+        const sent = [];
+        let release;
+        const stalled = new Promise(resolve => { release = resolve; });
+        const mailer = {
+            send: async (message) => {
+                if (message.to === 'broken@example.com') throw new Error('connection refused');
+                await stalled;
+                sent.push(message.to);
+            }
+        };
+        const { notify } = createNotifications({ db, mailer });
+
+        await notify(['broken@example.com', ANA, CREATOR], 'contest_cancelled', { contestName: 'Logo Sprint' });
+        assert.equal(db.notifications.all().length, 3);
+        assert.deepEqual(sent, []);
+
+        release();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(sent.sort(), [ANA, CREATOR]);
+        assert.match(console.error.mock.calls[0].arguments[0], /contest_cancelled/);
+    });
+});
+
+describe('file mail transport', () => {
+    it('writes each message as an .eml file', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contest-craze-mail-'));
+        try {
+            await createFileTransport({ directory }).send({ to: ANA, subject: 'Hello', text: 'Body text' });
+            const [file] = fs.readdirSync(directory);
+            const raw = fs.readFileSync(path.join(directory, file), 'utf8');
+            assert.match(raw, /^To: ana@example\.com$/m);
+            assert.match(raw, /^Subject: Hello$/m);
+            assert.match(raw, /Body text/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest,
+    seedParticipation
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+
+describe('payments', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA });
+        await seedUser(t.db, { email: 'bob@example.com' });
+        contest = await seedContest(t.db, { entryFee: 20 });
+    });
+
+    const checkout = (body = {}) => t.api().post('/create-checkout-session').set(bearer(ANA)).send({
+        contestId: contest._id.toString(),
+        returnPath: `/contest/${contest._id}`,
+        ...body
+    });
+
+    const sendWebhook = (event) => {
+        const payload = JSON.stringify(event);
+        return t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+    };
+
+    const completed = (session) => ({
+        id: 'evt_1',
+        type: 'checkout.session.completed',
+        data: { object: session }
+    });
+
+    it('opens a checkout session for contests that take entries', async () => {
+        const res = await checkout();
+        assert.equal(res.status, 200);
+        assert.match(res.body.url, /^https:\/\/checkout\.stripe\.test\//);
+
+        const [session] = t.fakeStripe.sessions.values();
+        assert.equal(session.amount_total, 2000);
+        assert.equal(session.metadata.contestId, contest._id.toString());
+        assert.equal(session.customer_email, ANA);
+
+        // The fee comes from the contest, whatever the client claims
+        await checkout({ entryFee: 1 });
+        assert.equal([...t.fakeStripe.sessions.values()][1].amount_total, 2000);
+        assert.equal((await t.api().post('/create-checkout-session').send({ contestId: contest._id.toString() })).status, 401);
+
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { status: 'Pending' } });
+        assert.equal((await checkout()).status, 400);
+    });
+
+    it('registers the participant once from the webhook', async () => {
+        await checkout();
+        const [session] = t.fakeStripe.sessions.values();
+        t.fakeStripe.completeSession(session.id);
+
+        assert.equal((await sendWebhook(completed(session))).status, 200);
+        assert.equal((await sendWebhook(completed(session))).status, 200);
+
+        const participations = t.db.participated.all();
+        assert.equal(participations.length, 1);
+        assert.equal(participations[0].price, 20);
+        assert.equal(t.db.contests.all()[0].participantsCount, 1);
+        assert.equal(t.db.users.all()[0].participatedCount, 1);
+        // Entry fee and commission postings
+        assert.equal(t.db.ledger.all().length, 2);
+    });
+
+    it('rejects webhooks without a valid signature', async () => {
+        const res = await t.api().post('/webhooks/stripe')
+            .set({ 'Content-Type': 'application/json', 'stripe-signature': 't=1,v1=bad' })
+            .send(JSON.stringify(completed({})));
+        assert.equal(res.status, 400);
+    });
+
+    it('marks participations refunded from charge.refunded', async () => {
+        const participation = await seedParticipation(t.db, contest, ANA);
+        await sendWebhook({
+            id: 'evt_2',
+            type: 'charge.refunded',
+            data: { object: { payment_intent: participation.transactionId, refunds: { data: [{ id: 're_1' }] } } }
+        });
+        const [stored] = t.db.participated.all();
+        assert.equal(stored.paymentStatus, 'refunded');
+        assert.equal(stored.refundId, 're_1');
+    });
+
+    it('lets a refunded participant enter again', async () => {
+        await seedParticipation(t.db, contest, ANA, { transactionId: 'pi_old', paymentStatus: 'refunded', refundId: 're_old', refundedAt: new Date() });
+
+        assert.equal((await checkout()).status, 200);
+        const [session] = t.fakeStripe.sessions.values();
+        t.fakeStripe.completeSession(session.id);
+        assert.equal((await sendWebhook(completed(session))).status, 200);
+
+        const [entry] = t.db.participated.all();
+        assert.deepEqual([entry.transactionId, entry.paymentStatus, entry.refundId], [session.payment_intent, 'paid', undefined]);
+        assert.deepEqual(entry.previousEntries.map(p => [p.transactionId, p.refundId]), [['pi_old', 're_old']]);
+        assert.equal(t.fakeStripe.refunds.length, 0);
+        const check = await t.api().get(`/participated/check/${contest._id}?email=${ANA}`).set(bearer(ANA));
+        assert.equal(check.body.isRegistered, true);
+        assert.equal((await checkout()).status, 409);
+    });
+
+    it('reports where a checkout session stands', async () => {
+        await checkout();
+        const [session] = t.fakeStripe.sessions.values();
+
+        const unpaid = await t.api().post('/verify-payment').send({ sessionId: session.id });
+        assert.equal(unpaid.body.status, 'unpaid');
+
+        t.fakeStripe.completeSession(session.id);
+        const processing = await t.api().post('/verify-payment').send({ sessionId: session.id });
+        assert.equal(processing.body.status, 'processing');
+
+        await sendWebhook(completed(session));
+        const succeeded = await t.api().post('/verify-payment').send({ sessionId: session.id });
+        assert.equal(succeeded.body.status, 'succeeded');
+        assert.equal(succeeded.body.paymentIntentId, session.payment_intent);
+
+        assert.equal((await t.api().post('/verify-payment').send({})).status, 400);
+        assert.equal((await t.api().post('/verify-payment').send({ sessionId: 'cs_missing' })).status, 500);
+    });
+
+    it('registers free entries directly', async () => {
+        const body = { contestId: contest._id.toString(), participantEmail: ANA, price: 0 };
+        assert.equal((await t.api().post('/participated').set(bearer(ANA)).send(body)).status, 400);
+
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { entryFee: 0 } });
+        assert.equal((await t.api().post('/participated').set(bearer('bob@example.com')).send(body)).status, 403);
+        const res = await t.api().post('/participated').set(bearer(ANA)).send(body);
+        assert.equal(res.status, 201);
+        assert.equal(t.db.contests.all()[0].participantsCount, 1);
+    });
+
+    it('answers registration checks and lists participations', async () => {
+        await seedParticipation(t.db, contest, ANA);
+
+        const check = await t.api().get(`/participated/check/${contest._id}?email=${ANA}`).set(bearer(ANA));
+        assert.equal(check.body.isRegistered, true);
+        assert.equal((await t.api().get(`/participated/check/${contest._id}?email=${ANA}`).set(bearer('bob@example.com'))).status, 403);
+
+        const list = await t.api().get(`/participated/${ANA}`).set(bearer(ANA));
+        assert.equal(list.body.length, 1);
+        assert.equal(list.body[0].contestName, contest.name);
+        assert.equal((await t.api().get(`/participated/${ANA}`).set(bearer('bob@example.com'))).status, 403);
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest,
+    daysFromNow
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('promo codes', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA });
+        await seedUser(t.db, { email: BOB });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        contest = await seedContest(t.db, { entryFee: 20 });
+    });
+
+    const createPromo = (email, body) => t.api().post('/promo-codes').set(bearer(email)).send(body);
+    const checkout = (email, promoCode) => t.api().post('/create-checkout-session').set(bearer(email))
+        .send({ contestId: contest._id.toString(), promoCode, returnPath: '/' });
+
+    it('lets creators make codes for their own contests and admins make global ones', async () => {
+        const own = await createPromo(CREATOR, { code: 'spring25', kind: 'percent', amount: 25, contestId: contest._id.toString() });
+        assert.equal(own.status, 201);
+        assert.equal(own.body.code, 'SPRING25');
+        assert.equal(own.body.redemptions, 0);
+
+        const global = await createPromo(CREATOR, { code: 'EVERYONE', kind: 'fixed', amount: 5 });
+        assert.deepEqual(global.body.errors.map(e => e.field), ['contestId']);
+        assert.equal((await createPromo(ADMIN, { code: 'EVERYONE', kind: 'fixed', amount: 5 })).status, 201);
+
+        const other = await seedContest(t.db, { creatorEmail: 'other@example.com' });
+        assert.equal((await createPromo(CREATOR, { code: 'NOPE', kind: 'fixed', amount: 5, contestId: other._id.toString() })).status, 403);
+        assert.equal((await createPromo(ANA, { code: 'MINE', kind: 'fixed', amount: 5, contestId: contest._id.toString() })).status, 403);
+        assert.equal((await createPromo(CREATOR, { code: 'HALF', kind: 'percent', amount: 150, contestId: contest._id.toString() })).status, 400);
+        assert.equal((await createPromo(ADMIN, { code: 'spring25', kind: 'fixed', amount: 1 })).status, 409);
+
+        const mine = await t.api().get('/promo-codes').set(bearer(CREATOR));
+        assert.deepEqual(mine.body.promoCodes.map(p => p.code), ['SPRING25']);
+        const all = await t.api().get('/promo-codes').set(bearer(ADMIN));
+        assert.equal(all.body.promoCodes.length, 2);
+    });
+
+    it('prices checkout from the contest with the code applied', async () => {
+        await createPromo(CREATOR, { code: 'SPRING25', kind: 'percent', amount: 25, contestId: contest._id.toString() });
+
+        const quote = await t.api().post('/promo-codes/quote').set(bearer(ANA)).send({ contestId: contest._id.toString(), code: 'spring25' });
+        assert.deepEqual(quote.body, { code: 'SPRING25', originalPrice: 20, discount: 5, price: 15 });
+
+        assert.equal((await checkout(ANA, 'SPRING25')).status, 200);
+        const [session] = t.fakeStripe.sessions.values();
+        assert.equal(session.amount_total, 1500);
+        assert.equal(session.metadata.promoCode, 'SPRING25');
+
+        // The use is only counted once Stripe confirms the payment
+        t.fakeStripe.completeSession(session.id);
+        const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: session } });
+        await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+
+        const [participation] = t.db.participated.all();
+        assert.deepEqual(
+            [participation.price, participation.originalPrice, participation.discount, participation.promoCode],
+            [15, 20, 5, 'SPRING25']
+        );
+        assert.equal(t.db.promoCodes.all()[0].redemptions, 1);
+        assert.equal(t.db.promoRedemptions.all()[0].email, ANA);
+    });
+
+    it('refuses expired, foreign, inactive and used-up codes', async () => {
+        const other = await seedContest(t.db);
+        await createPromo(ADMIN, { code: 'OLD', kind: 'fixed', amount: 5, expiresAt: daysFromNow(-1) });
+        await createPromo(ADMIN, { code: 'ELSEWHERE', kind: 'fixed', amount: 5, contestId: other._id.toString() });
+        const paused = await createPromo(ADMIN, { code: 'PAUSED', kind: 'fixed', amount: 5 });
+        await t.api().patch(`/promo-codes/${paused.body._id}`).set(bearer(ADMIN)).send({ active: false });
+        await createPromo(ADMIN, { code: 'ONCE', kind: 'percent', amount: 100, maxPerUser: 1 });
+        await createPromo(ADMIN, { code: 'LAST', kind: 'percent', amount: 100, maxRedemptions: 1 });
+
+        assert.equal((await checkout(ANA, 'OLD')).body.message, 'This promo code has expired');
+        assert.equal((await checkout(ANA, 'ELSEWHERE')).body.message, 'This promo code does not apply to this contest');
+        assert.equal((await checkout(ANA, 'PAUSED')).body.message, 'Invalid promo code');
+        assert.equal((await checkout(ANA, 'MISSING')).body.message, 'Invalid promo code');
+
+        assert.equal((await checkout(ANA, 'ONCE')).status, 201);
+        const again = await t.api().post('/create-checkout-session').set(bearer(ANA))
+            .send({ contestId: other._id.toString(), promoCode: 'ONCE', returnPath: '/' });
+        assert.equal(again.body.message, 'You have already used this promo code');
+
+        assert.equal((await checkout(BOB, 'LAST')).status, 201);
+        const last = await t.api().post('/create-checkout-session').set(bearer(ANA))
+            .send({ contestId: other._id.toString(), promoCode: 'LAST', returnPath: '/' });
+        assert.equal(last.body.message, 'This promo code has been fully redeemed');
+        assert.equal(t.fakeStripe.sessions.size, 0);
+    });
+
+    it('registers 100%-off entries without a Stripe session', async () => {
+        await createPromo(CREATOR, { code: 'FREEPASS', kind: 'fixed', amount: 50, contestId: contest._id.toString() });
+
+        const res = await checkout(ANA, 'FREEPASS');
+        assert.equal(res.status, 201);
+        assert.equal(res.body.registered, true);
+        assert.equal(t.fakeStripe.sessions.size, 0);
+
+        const [participation] = t.db.participated.all();
+        assert.deepEqual([participation.price, participation.discount, participation.transactionId], [0, 20, undefined]);
+        assert.equal(t.db.contests.all()[0].participantsCount, 1);
+        assert.equal(t.db.promoCodes.all()[0].redemptions, 1);
+
+        // The free-entry endpoint takes the same code
+        const entry = await t.api().post('/participated').set(bearer(BOB))
+            .send({ contestId: contest._id.toString(), participantEmail: BOB, promoCode: 'FREEPASS' });
+        assert.equal(entry.status, 201);
+        assert.equal(t.db.promoCodes.all()[0].redemptions, 2);
+    });
+
+    it('refuses codes that leave less than the card minimum', async () => {
+        await createPromo(CREATOR, { code: 'ALMOST', kind: 'fixed', amount: 19.75, contestId: contest._id.toString() });
+        await createPromo(CREATOR, { code: 'NINETY9', kind: 'percent', amount: 99, contestId: contest._id.toString() });
+
+        for (const code of ['ALMOST', 'NINETY9']) {
+            const res = await checkout(ANA, code);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'This promo code leaves less than the $0.50 minimum card payment');
+        }
+        assert.equal(t.fakeStripe.sessions.size, 0);
+        assert.equal(t.db.seatHolds.all().length, 0);
+    });
+
+    it('only lets the owner or an admin change a code', async () => {
+        const promo = await createPromo(CREATOR, { code: 'SPRING25', kind: 'percent', amount: 25, contestId: contest._id.toString() });
+        const url = `/promo-codes/${promo.body._id}`;
+
+        assert.equal((await t.api().patch(url).set(bearer(ANA)).send({ active: false })).status, 403);
+        const res = await t.api().patch(url).set(bearer(CREATOR)).send({ maxRedemptions: 10, amount: 90 });
+        assert.equal(res.body.maxRedemptions, 10);
+        assert.equal(res.body.amount, 25);
+        assert.equal((await t.api().patch(url).set(bearer(ADMIN)).send({ active: false })).body.active, false);
+    });
+});
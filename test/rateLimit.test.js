@@ -0,0 +1,129 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import request from "supertest";
+import { createTestApp, bearer, seedUser, seedContest } from "./helpers/testApp.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+import { setupCollections } from "../lib/db.js";
+import {
+    createRateLimiter,
+    createMemoryRateLimitStore,
+    createMongoRateLimitStore
+} from "../lib/rateLimit.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+
+// A bare app with one limited route, for testing the limiter on its own
+const limitedApp = (limiter, policy) => {
+    const app = express();
+    app.use((req, res, next) => {
+        const email = req.get('x-user');
+        if (email) req.decoded = { email };
+        next();
+    });
+    app.get('/', limiter.rateLimit(policy), (req, res) => res.send({ ok: true }));
+    return app;
+};
+
+describe('rate limiting', () => {
+    afterEach(() => {
+        delete process.env.RATE_LIMITS;
+        delete process.env.CORS_ORIGINS;
+    });
+
+    it('answers 429 with Retry-After once a route policy is used up', async () => {
+        process.env.RATE_LIMITS = JSON.stringify({ signup: [{ by: 'ip', limit: 2, windowSeconds: 60 }] });
+        const t = await createTestApp();
+        const signUp = (n) => t.api().post('/users').send({ name: `User ${n}`, email: `user${n}@example.com` });
+
+        const first = await signUp(1);
+        assert.equal(first.status, 201);
+        assert.equal(first.headers['ratelimit-limit'], '2');
+        assert.equal(first.headers['ratelimit-remaining'], '1');
+        assert.equal((await signUp(2)).status, 201);
+
+        const blocked = await signUp(3);
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.message, 'Too many requests, please try again later');
+        assert.ok(Number(blocked.headers['retry-after']) > 0);
+        assert.equal(t.db.users.all().length, 2);
+        // Other policies keep their own counters
+        assert.equal((await t.api().get('/contests/approved')).status, 200);
+    });
+
+    it('counts signed-in users separately from their IP', async () => {
+        const limiter = createRateLimiter({
+            store: createMemoryRateLimitStore(),
+            policies: { writes: [{ by: 'ip', limit: 3, windowSeconds: 60 }, { by: 'user', limit: 1, windowSeconds: 60 }] }
+        });
+        const app = limitedApp(limiter, 'writes');
+
+        assert.equal((await request(app).get('/').set('x-user', ANA)).status, 200);
+        assert.equal((await request(app).get('/').set('x-user', ANA)).status, 429);
+        assert.equal((await request(app).get('/').set('x-user', BOB)).status, 200);
+        // The IP bucket has now seen all three
+        const anonymous = await request(app).get('/');
+        assert.equal(anonymous.status, 429);
+    });
+
+    it('limits signed-in writes per account', async () => {
+        process.env.RATE_LIMITS = JSON.stringify({ writes: [{ by: 'user', limit: 1, windowSeconds: 60 }] });
+        const t = await createTestApp();
+        await seedUser(t.db, { email: ANA });
+        const contest = await seedContest(t.db, { entryFee: 0 });
+        const enter = () => t.api().post('/participated').set(bearer(ANA))
+            .send({ contestId: contest._id.toString(), participantEmail: ANA, price: 0 });
+
+        assert.equal((await enter()).status, 201);
+        assert.equal((await enter()).status, 429);
+    });
+
+    it('shares counters between instances through MongoDB', async () => {
+        const db = await setupCollections(createMemoryDb());
+        const store = createMongoRateLimitStore({ connect: async () => db });
+        const policies = { search: [{ by: 'ip', limit: 1, windowSeconds: 60 }] };
+        const instanceA = limitedApp(createRateLimiter({ store, policies }), 'search');
+        const instanceB = limitedApp(createRateLimiter({ store, policies }), 'search');
+
+        assert.equal((await request(instanceA).get('/')).status, 200);
+        assert.equal((await request(instanceB).get('/')).status, 429);
+
+        const [bucket] = db.rateLimits.all();
+        assert.equal(bucket.count, 2);
+        assert.ok(bucket.expiresAt > new Date());
+    });
+
+    it('lets requests through when the store fails', async () => {
+        const store = { hit: async () => { throw new Error('connection reset'); } };
+        const app = limitedApp(createRateLimiter({ store, policies: { search: [{ by: 'ip', limit: 0, windowSeconds: 60 }] } }), 'search');
+        assert.equal((await request(app).get('/')).status, 200);
+    });
+
+    it('only allows configured CORS origins', async () => {
+        process.env.CORS_ORIGINS = 'https://contest-craze.example, https://admin.contest-craze.example';
+        const t = await createTestApp();
+
+        const allowed = await t.api().get('/').set('Origin', 'https://admin.contest-craze.example');
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://admin.contest-craze.example');
+        assert.equal(allowed.headers['access-control-allow-credentials'], 'true');
+
+        const other = await t.api().get('/').set('Origin', 'https://evil.example');
+        assert.equal(other.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('allows any origin without cookies when none is configured', async (ctx) => {
+        const site = process.env.SITE_DOMAIN_URL;
+        delete process.env.SITE_DOMAIN_URL;
+        ctx.mock.method(console, 'warn', () => {});
+        try {
+            const t = await createTestApp();
+            const res = await t.api().get('/').set('Origin', 'https://anywhere.example');
+            assert.equal(res.headers['access-control-allow-origin'], '*');
+            assert.equal(res.headers['access-control-allow-credentials'], undefined);
+            assert.match(console.warn.mock.calls[0].arguments[0], /CORS_ORIGINS/);
+        } finally {
+            process.env.SITE_DOMAIN_URL = site;
+        }
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest,
+    seedParticipation
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CY = 'cy@example.com';
+const CREATOR = 'creator@example.com';
+
+describe('capacity, seat holds and waitlist', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        for (const email of [ANA, BOB, CY]) {
+            await seedUser(t.db, { email });
+        }
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        contest = await seedContest(t.db, { entryFee: 20, capacity: 1, seatsLeft: 1 });
+    });
+
+    const checkout = (email, target = contest) => t.api().post('/create-checkout-session').set(bearer(email))
+        .send({ contestId: target._id.toString(), returnPath: '/' });
+
+    const sendWebhook = (type, object) => {
+        const payload = JSON.stringify({ id: `evt_${type}`, type, data: { object } });
+        return t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+    };
+
+    const seatsLeft = () => t.db.contests.all().find(c => c._id.equals(contest._id)).seatsLeft;
+
+    it('holds the last seat during checkout and queues everyone else', async () => {
+        const held = await checkout(ANA);
+        assert.equal(held.status, 200);
+        assert.ok(held.body.seatHeldUntil);
+        assert.equal(seatsLeft(), 0);
+        const [session] = t.fakeStripe.sessions.values();
+        assert.equal(session.params.expires_at, Math.floor(new Date(held.body.seatHeldUntil).getTime() / 1000));
+
+        const full = await checkout(BOB);
+        assert.equal(full.status, 409);
+        assert.equal(full.body.full, true);
+
+        const joined = await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(BOB));
+        assert.equal(joined.status, 201);
+        assert.deepEqual(joined.body, { status: 'waiting', position: 1 });
+        await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(CY));
+        assert.equal((await t.api().get(`/contests/${contest._id}/waitlist`).set(bearer(CY))).body.position, 2);
+    });
+
+    it('promotes the next person when a checkout expires', async () => {
+        await checkout(ANA);
+        await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(BOB));
+        const [session] = t.fakeStripe.sessions.values();
+
+        await sendWebhook('checkout.session.expired', session);
+        const offer = await t.api().get(`/contests/${contest._id}/waitlist`).set(bearer(BOB));
+        assert.equal(offer.body.status, 'offered');
+        assert.ok(offer.body.expiresAt);
+        assert.equal(seatsLeft(), 0);
+        assert.equal(t.db.notifications.all().find(n => n.email === BOB).event, 'waitlist_promoted');
+        assert.equal((await checkout(CY)).status, 409);
+
+        // Bob's held seat carries him through checkout
+        assert.equal((await checkout(BOB)).status, 200);
+        const bobSession = t.fakeStripe.completeSession([...t.fakeStripe.sessions.values()][1].id);
+        await sendWebhook('checkout.session.completed', bobSession);
+
+        assert.deepEqual(t.db.participated.all().map(p => p.participantEmail), [BOB]);
+        assert.equal(t.db.seatHolds.all().length, 0);
+        assert.equal(t.db.waitlist.all().length, 0);
+        assert.equal(seatsLeft(), 0);
+    });
+
+    it('gives back seats whose hold ran out', async () => {
+        await checkout(ANA);
+        await t.db.seatHolds.updateOne({ email: ANA }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+        assert.equal((await checkout(BOB)).status, 200);
+        assert.deepEqual(t.db.seatHolds.all().map(h => h.email), [BOB]);
+    });
+
+    it('promotes the waitlist when a paid entry is refunded', async () => {
+        const participation = await seedParticipation(t.db, contest, ANA);
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { seatsLeft: 0, participantsCount: 1 } });
+        await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(BOB));
+
+        await sendWebhook('charge.refunded', { payment_intent: participation.transactionId, refunds: { data: [{ id: 're_1' }] } });
+        assert.equal((await t.api().get(`/contests/${contest._id}/waitlist`).set(bearer(BOB))).body.status, 'offered');
+    });
+
+    it('registers each user only once', async () => {
+        const free = await seedContest(t.db, { entryFee: 0 });
+        const enter = () => t.api().post('/participated').set(bearer(ANA))
+            .send({ contestId: free._id.toString(), participantEmail: ANA });
+
+        const statuses = (await Promise.all([enter(), enter()])).map(res => res.status).sort();
+        assert.deepEqual(statuses, [201, 409]);
+        assert.equal(t.db.participated.all().length, 1);
+        assert.equal((await checkout(ANA, free)).status, 409);
+    });
+
+    it('gives the seat and promo use back when a duplicate free entry loses the race', async () => {
+        const capped = await seedContest(t.db, { entryFee: 20, capacity: 2, seatsLeft: 2 });
+        await t.db.promoCodes.insertOne({
+            code: 'FREEPASS', kind: 'percent', amount: 100, contestId: null,
+            maxRedemptions: 5, maxPerUser: null, active: true, redemptions: 0
+        });
+        await seedParticipation(t.db, capped, ANA);
+        // The entry lands between the registration check and the insert
+        const findOne = t.db.participated.findOne;
+        t.db.participated.findOne = async () => null;
+
+        const res = await t.api().post('/participated').set(bearer(ANA))
+            .send({ contestId: capped._id.toString(), participantEmail: ANA, promoCode: 'FREEPASS' });
+        t.db.participated.findOne = findOne;
+        assert.equal(res.status, 409);
+        assert.equal(t.db.contests.all().find(c => c._id.equals(capped._id)).seatsLeft, 2);
+        assert.equal(t.db.seatHolds.all().length, 0);
+        assert.equal(t.db.promoCodes.all()[0].redemptions, 0);
+    });
+
+    it('refunds a second payment for an entry that already exists', async () => {
+        await checkout(ANA);
+        await checkout(ANA);
+        const [first, second] = [...t.fakeStripe.sessions.values()].map(session => t.fakeStripe.completeSession(session.id));
+        assert.equal(t.db.seatHolds.all().length, 1);
+
+        await sendWebhook('checkout.session.completed', first);
+        assert.equal((await sendWebhook('checkout.session.completed', second)).status, 200);
+        assert.equal(t.db.participated.all().length, 1);
+        assert.deepEqual(t.fakeStripe.refunds.map(r => r.payment_intent), [second.payment_intent]);
+    });
+
+    it('lets the creator change the capacity, filling new seats from the waitlist', async () => {
+        await checkout(ANA);
+        await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(BOB));
+        const url = `/contests/${contest._id}/capacity`;
+
+        assert.equal((await t.api().patch(url).set(bearer(ANA)).send({ capacity: 5 })).status, 403);
+        const raised = await t.api().patch(url).set(bearer(CREATOR)).send({ capacity: 3 });
+        assert.deepEqual(raised.body, { capacity: 3, seatsLeft: 1 });
+        assert.equal((await t.api().get(`/contests/${contest._id}/waitlist`).set(bearer(BOB))).body.status, 'offered');
+
+        const removed = await t.api().patch(url).set(bearer(CREATOR)).send({ capacity: null });
+        assert.deepEqual(removed.body, { capacity: null, seatsLeft: null });
+        assert.equal((await t.api().post(`/contests/${contest._id}/waitlist`).set(bearer(CY))).status, 409);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedParticipation,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const CREATOR = 'creator@example.com';
+
+describe('submissions', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: ANA, name: 'Ana' });
+        await seedUser(t.db, { email: 'bob@example.com', name: 'Bob' });
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        contest = await seedContest(t.db, { creatorEmail: CREATOR });
+    });
+
+    const submit = (overrides = {}) => t.api().post('/submissions').set(bearer(ANA)).send({
+        contestId: contest._id.toString(),
+        participantEmail: ANA,
+        submissionLink: 'https://example.com/v1',
+        ...overrides
+    });
+
+    it('accepts submissions from registered participants only', async () => {
+        assert.equal((await submit()).status, 403);
+
+        await seedParticipation(t.db, contest, ANA);
+        const res = await submit();
+        assert.equal(res.status, 200);
+        const [submission] = t.db.submissions.all();
+        assert.equal(submission.participantName, 'Ana');
+        assert.equal(submission.version, 1);
+
+        assert.equal((await submit({ participantEmail: 'bob@example.com' })).status, 403);
+        assert.equal((await submit({ submissionLink: undefined })).status, 400);
+    });
+
+    it('versions resubmissions and closes at the deadline', async () => {
+        await seedParticipation(t.db, contest, ANA);
+        await submit();
+        const res = await submit({ submissionLink: 'https://example.com/v2' });
+        assert.equal(res.body.updated, true);
+        assert.equal(res.body.submission.version, 2);
+        assert.equal(res.body.submission.history[0].submissionLink, 'https://example.com/v1');
+        assert.equal(t.db.submissions.all().length, 1);
+
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { status: 'Judging' } });
+        assert.equal((await submit()).status, 400);
+    });
+
+    it('shows a submission to its author and the contest judges only', async () => {
+        const submission = await seedSubmission(t.db, contest, ANA);
+
+        assert.equal((await t.api().get(`/submissions/${submission._id}`).set(bearer(ANA))).status, 200);
+        assert.equal((await t.api().get(`/submissions/${submission._id}`).set(bearer(CREATOR))).status, 200);
+        assert.equal((await t.api().get(`/submissions/${submission._id}`).set(bearer('bob@example.com'))).status, 403);
+        assert.equal((await t.api().get('/submissions/nope').set(bearer(ANA))).status, 400);
+    });
+
+    it('uploads, signs, downloads and removes attachments', async () => {
+        const submission = await seedSubmission(t.db, contest, ANA);
+        const file = Buffer.from('%PDF-1.4 test');
+
+        const upload = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(ANA))
+            .set('Content-Type', 'application/pdf')
+            .set('X-File-Name', 'entry.pdf')
+            .send(file);
+        assert.equal(upload.status, 201);
+        const [attachment] = upload.body.attachments;
+        assert.equal(attachment.fileName, 'entry.pdf');
+        assert.equal(upload.body.version, 2);
+
+        const link = await t.api().get(`/submissions/${submission._id}/attachments/${attachment.id}/url`).set(bearer(CREATOR));
+        assert.equal(link.status, 200);
+        const { pathname, search } = new URL(link.body.url);
+
+        const download = await t.api().get(pathname + search).buffer(true).parse((res, done) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => done(null, Buffer.concat(chunks)));
+        });
+        assert.equal(download.status, 200);
+        assert.deepEqual(download.body, file);
+        assert.equal(download.headers['content-disposition'], 'attachment; filename="entry.pdf"');
+
+        const cyrillic = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(ANA))
+            .set('Content-Type', 'application/pdf')
+            .set('X-File-Name', encodeURIComponent('эскиз 2.pdf'))
+            .send(file);
+        const second = await t.api().get(`/submissions/${submission._id}/attachments/${cyrillic.body.attachments[1].id}/url`).set(bearer(ANA));
+        const secondUrl = new URL(second.body.url);
+        const named = await t.api().get(secondUrl.pathname + secondUrl.search);
+        assert.equal(named.headers['content-disposition'], `attachment; filename="????? 2.pdf"; filename*=UTF-8''${encodeURIComponent('эскиз 2.pdf')}`);
+        assert.equal(named.headers['content-type'], 'application/pdf');
+
+        const tampered = await t.api().get(pathname + search.replace(/signature=[^&]+/, 'signature=00'));
+        assert.equal(tampered.status, 403);
+
+        const removed = await t.api().delete(`/submissions/${submission._id}/attachments/${attachment.id}`).set(bearer(ANA));
+        assert.deepEqual(removed.body.attachments.map(a => a.fileName), ['эскиз 2.pdf']);
+        // Older versions still reference the file, so links keep working
+        const again = await t.api().get(`/submissions/${submission._id}/attachments/${attachment.id}/url`).set(bearer(ANA));
+        assert.equal(again.status, 200);
+    });
+
+    it('rejects unsupported uploads and foreign edits', async () => {
+        const submission = await seedSubmission(t.db, contest, ANA);
+
+        const wrongType = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(ANA))
+            .set('Content-Type', 'text/plain').send('hello');
+        assert.equal(wrongType.status, 415);
+
+        const foreign = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(CREATOR))
+            .set('Content-Type', 'image/png').send(Buffer.from('png'));
+        assert.equal(foreign.status, 403);
+        // Refused before the body is read, so its size never matters
+        const oversized = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(CREATOR))
+            .set('Content-Type', 'image/png').send(Buffer.alloc(5 * 1024 * 1024));
+        assert.equal(oversized.status, 403);
+
+        const missing = await t.api().delete(`/submissions/${submission._id}/attachments/none`).set(bearer(ANA));
+        assert.equal(missing.status, 404);
+
+        // A name that doesn't decode is kept as sent
+        const malformed = await t.api().post(`/submissions/${submission._id}/attachments`).set(bearer(ANA))
+            .set('Content-Type', 'image/png').set('X-File-Name', '%E0%A4%A.png').send(Buffer.from('png'));
+        assert.equal(malformed.status, 201);
+        assert.equal(malformed.body.attachments[0].fileName, '%E0%A4%A.png');
+    });
+
+    it('lists a creator\'s submissions and answers submission checks', async () => {
+        await seedSubmission(t.db, contest, ANA);
+        const other = await seedContest(t.db, { creatorEmail: 'other@example.com' });
+        await seedSubmission(t.db, other, ANA);
+
+        const list = await t.api().get(`/submissions/creator/${CREATOR}`).set(bearer(CREATOR));
+        assert.equal(list.body.length, 1);
+        assert.equal(list.body[0].contestName, contest.name);
+
+        const filtered = await t.api().get(`/submissions/creator/${CREATOR}?contestId=${contest._id}`).set(bearer(CREATOR));
+        assert.equal(filtered.body.length, 1);
+        assert.equal((await t.api().get(`/submissions/creator/${CREATOR}`).set(bearer(ANA))).status, 403);
+
+        const check = await t.api().get(`/submissions/check/${contest._id}?email=${ANA}`).set(bearer(ANA));
+        assert.equal(check.body.hasSubmitted, true);
+        assert.equal(check.body.submission.history, undefined);
+        assert.equal((await t.api().get(`/submissions/check/${contest._id}?email=${ANA}`).set(bearer(CREATOR))).status, 403);
+    });
+});
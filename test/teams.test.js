@@ -0,0 +1,226 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    webhookHeaders,
+    seedUser,
+    seedContest
+} from "./helpers/testApp.js";
+
+const ANA = 'ana@example.com';
+const BOB = 'bob@example.com';
+const CY = 'cy@example.com';
+const CREATOR = 'creator@example.com';
+
+describe('team contests', () => {
+    let t;
+    let contest;
+    beforeEach(async () => {
+        t = await createTestApp();
+        for (const email of [ANA, BOB, CY]) {
+            await seedUser(t.db, { email, name: email.split('@')[0] });
+        }
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        contest = await seedContest(t.db, { entryFee: 30, teamContest: true, minTeamSize: 2, maxTeamSize: 2 });
+    });
+
+    const createTeam = (email, body = { name: 'Pixel Pals' }) =>
+        t.api().post(`/contests/${contest._id}/teams`).set(bearer(email)).send(body);
+
+    // Ana's team with Bob on it
+    const formTeam = async (body) => {
+        const team = (await createTeam(ANA, body)).body;
+        await t.api().post(`/teams/${team._id}/invites`).set(bearer(ANA)).send({ email: BOB });
+        await t.api().post(`/teams/${team._id}/accept`).set(bearer(BOB));
+        return team;
+    };
+
+    const checkout = (email, teamId) => t.api().post('/create-checkout-session').set(bearer(email))
+        .send({ contestId: contest._id.toString(), teamId, returnPath: '/' });
+
+    const completeCheckouts = async () => {
+        for (const session of [...t.fakeStripe.sessions.values()]) {
+            const paid = t.fakeStripe.completeSession(session.id);
+            const payload = JSON.stringify({ id: `evt_${session.id}`, type: 'checkout.session.completed', data: { object: paid } });
+            await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload);
+        }
+    };
+
+    it('builds a team from invites', async () => {
+        const created = await createTeam(ANA);
+        assert.equal(created.status, 201);
+        assert.deepEqual([created.body.captainEmail, created.body.paymentMode, created.body.status], [ANA, 'captain', 'forming']);
+        const url = `/teams/${created.body._id}`;
+
+        assert.equal((await t.api().post(`${url}/invites`).set(bearer(BOB)).send({ email: CY })).status, 403);
+        assert.equal((await t.api().post(`${url}/invites`).set(bearer(ANA)).send({ email: BOB })).status, 201);
+        assert.equal(t.db.notifications.all().find(n => n.email === BOB).event, 'team_invite');
+        // One open invite already fills the second place
+        const full = await t.api().post(`${url}/invites`).set(bearer(ANA)).send({ email: CY });
+        assert.equal(full.body.message, 'Teams can have at most 2 members');
+
+        const invites = await t.api().get('/teams/invites').set(bearer(BOB));
+        assert.deepEqual(invites.body.map(team => [team.name, team.contestName]), [['Pixel Pals', contest.name]]);
+        const accepted = await t.api().post(`${url}/accept`).set(bearer(BOB));
+        assert.deepEqual(accepted.body.members.map(m => [m.name, m.captain]), [['ana', true], ['bob', false]]);
+
+        assert.equal((await createTeam(BOB, { name: 'Solo' })).status, 409);
+        assert.equal((await t.api().get(url).set(bearer(CY))).status, 403);
+        assert.equal((await t.api().get(url).set(bearer(CREATOR))).status, 200);
+
+        assert.equal((await t.api().delete(`${url}/members/${ANA}`).set(bearer(ANA))).status, 400);
+        const left = await t.api().delete(`${url}/members/${BOB}`).set(bearer(BOB));
+        assert.deepEqual(left.body.memberEmails, [ANA]);
+    });
+
+    it('lets invitees decline', async () => {
+        const team = (await createTeam(ANA)).body;
+        await t.api().post(`/teams/${team._id}/invites`).set(bearer(ANA)).send({ email: BOB });
+
+        assert.equal((await t.api().post(`/teams/${team._id}/decline`).set(bearer(BOB))).status, 200);
+        assert.equal((await t.api().post(`/teams/${team._id}/accept`).set(bearer(BOB))).status, 404);
+        assert.deepEqual(t.db.teams.all()[0].invites, []);
+    });
+
+    it('keeps a user to one team when two joins race', async () => {
+        const teams = [(await createTeam(ANA)).body, (await createTeam(CY, { name: 'Night Owls' })).body];
+        await t.api().post(`/teams/${teams[0]._id}/invites`).set(bearer(ANA)).send({ email: BOB });
+        await t.api().post(`/teams/${teams[1]._id}/invites`).set(bearer(CY)).send({ email: BOB });
+        assert.equal((await t.api().post(`/teams/${teams[0]._id}/accept`).set(bearer(BOB))).status, 200);
+
+        // The other accept and a new team were checked before the first accept landed
+        const findOne = t.db.teams.findOne;
+        t.db.teams.findOne = async (query, ...rest) => (query.memberEmails ? null : findOne(query, ...rest));
+        const accepted = await t.api().post(`/teams/${teams[1]._id}/accept`).set(bearer(BOB));
+        const created = await createTeam(BOB, { name: 'Solo Act' });
+        t.db.teams.findOne = findOne;
+
+        assert.deepEqual([accepted.status, created.status], [409, 409]);
+        assert.equal(accepted.body.message, 'You are already in a team for this contest');
+        assert.deepEqual(t.db.teams.all().filter(team => team.memberEmails.includes(BOB)).map(team => team.name), ['Pixel Pals']);
+    });
+
+    it('has the captain pay for the whole team', async () => {
+        const solo = await checkout(ANA);
+        assert.equal(solo.body.message, 'This is a team contest, register through your team');
+
+        const incomplete = (await createTeam(CY, { name: 'Lonely' })).body;
+        assert.equal((await checkout(CY, incomplete._id)).body.message, 'Teams need between 2 and 2 members');
+
+        const team = await formTeam();
+        assert.equal((await checkout(BOB, team._id)).body.message, 'Only the team captain pays for this team');
+        assert.equal((await checkout(ANA, team._id)).status, 200);
+        const [session] = t.fakeStripe.sessions.values();
+        assert.equal(session.amount_total, 3000);
+        assert.equal(session.metadata.teamId, team._id);
+
+        // The roster can't change once someone has paid
+        assert.equal((await t.api().delete(`/teams/${team._id}/members/${BOB}`).set(bearer(BOB))).status, 409);
+
+        await completeCheckouts();
+        const entries = t.db.participated.all();
+        assert.deepEqual(entries.map(p => [p.participantEmail, p.price, p.paidBy]), [[ANA, 30, undefined], [BOB, 0, ANA]]);
+        assert.equal(t.db.teams.all().find(x => x.name === 'Pixel Pals').status, 'registered');
+        assert.equal(t.db.contests.all()[0].participantsCount, 2);
+    });
+
+    it('reopens the roster when the captain abandons checkout', async () => {
+        const team = await formTeam();
+        await checkout(ANA, team._id);
+        assert.equal(t.db.teams.all()[0].status, 'locked');
+
+        const [session] = t.fakeStripe.sessions.values();
+        const payload = JSON.stringify({ id: 'evt_expired', type: 'checkout.session.expired', data: { object: session } });
+        assert.equal((await t.api().post('/webhooks/stripe').set(webhookHeaders(payload)).send(payload)).status, 200);
+
+        assert.equal(t.db.teams.all()[0].status, 'forming');
+        assert.equal((await t.api().delete(`/teams/${team._id}/members/${BOB}`).set(bearer(BOB))).status, 200);
+        assert.equal((await t.api().delete(`/teams/${team._id}`).set(bearer(ANA))).status, 200);
+    });
+
+    it('splits the fee when every member pays a share', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { entryFee: 25 } });
+        const team = await formTeam({ name: 'Pixel Pals', paymentMode: 'split' });
+
+        await checkout(ANA, team._id);
+        await completeCheckouts();
+        assert.equal(t.db.teams.all()[0].status, 'locked');
+
+        t.fakeStripe.sessions.clear();
+        await checkout(BOB, team._id);
+        const [session] = t.fakeStripe.sessions.values();
+        assert.equal(session.amount_total, 1250);
+        await completeCheckouts();
+
+        assert.equal(t.db.teams.all()[0].status, 'registered');
+        const mine = await t.api().get(`/contests/${contest._id}/teams/mine`).set(bearer(BOB));
+        assert.deepEqual(mine.body.members.map(m => m.registered), [true, true]);
+    });
+
+    it('refuses split shares under the card minimum', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { entryFee: 0.8 } });
+        const team = await formTeam({ name: 'Pixel Pals', paymentMode: 'split' });
+
+        const res = await checkout(ANA, team._id);
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /minimum card payment/);
+        assert.equal(t.db.teams.all()[0].status, 'forming');
+    });
+
+    it('shares one submission and credits the win to every member', async () => {
+        const team = await formTeam();
+        await checkout(ANA, team._id);
+        await completeCheckouts();
+
+        const submit = (email, submissionLink) => t.api().post('/submissions').set(bearer(email))
+            .send({ contestId: contest._id.toString(), participantEmail: email, submissionLink });
+        assert.equal((await submit(BOB, 'https://example.com/first')).status, 200);
+        const edited = await submit(ANA, 'https://example.com/second');
+        assert.equal(edited.body.updated, true);
+
+        const [submission] = t.db.submissions.all();
+        assert.equal(t.db.submissions.all().length, 1);
+        assert.deepEqual(
+            [submission.participantEmail, submission.participantName, submission.memberEmails],
+            [ANA, 'Pixel Pals', [ANA, BOB]]
+        );
+        const check = await t.api().get(`/submissions/check/${contest._id}?email=${BOB}`).set(bearer(BOB));
+        assert.equal(check.body.hasSubmitted, true);
+
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { status: 'Judging', prizeMoney: 100.01 } });
+        const res = await t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(CREATOR))
+            .send({ submissionId: submission._id.toString() });
+        assert.equal(res.status, 200);
+
+        const [winner] = t.db.contests.all()[0].placements;
+        assert.deepEqual([winner.name, winner.memberEmails], ['Pixel Pals', [ANA, BOB]]);
+        for (const email of [ANA, BOB]) {
+            const user = t.db.users.all().find(u => u.email === email);
+            assert.deepEqual([user.wins, user.winPercentage], [1, 100]);
+        }
+        const bobWins = await t.api().get(`/contests/winner/${BOB}`).set(bearer(BOB));
+        assert.equal(bobWins.body[0].placement.teamName, 'Pixel Pals');
+
+        // The payout ledger owes each member the share the leaderboard credits them
+        const owed = t.db.ledger.all().filter(entry => entry.type === 'prize_owed').map(entry => entry.lines[1]);
+        assert.deepEqual(owed.map(line => [line.account, line.credit]), [[`winner:${ANA}`, 50.01], [`winner:${BOB}`, 50]]);
+        const rows = t.db.rankings.all().filter(row => row.window === 'all-time' && row.type === 'All');
+        assert.deepEqual(rows.map(row => [row.email, row.prizeMoney]).sort(), [[ANA, 50.01], [BOB, 50]]);
+    });
+
+    it('checks team settings on contests', async () => {
+        const pending = await seedContest(t.db, { status: 'Pending' });
+        const edit = (body) => t.api().put(`/contests/${pending._id}`).set(bearer(CREATOR)).send(body);
+
+        assert.deepEqual((await edit({ teamContest: true })).body.errors.map(e => e.field), ['maxTeamSize']);
+        assert.deepEqual(
+            (await edit({ teamContest: true, minTeamSize: 4, maxTeamSize: 3, capacity: 10 })).body.errors.map(e => e.field),
+            ['minTeamSize', 'capacity']
+        );
+        assert.equal((await edit({ teamContest: true, minTeamSize: 2, maxTeamSize: 3 })).body.modifiedCount, 1);
+
+        const capacity = await t.api().patch(`/contests/${contest._id}/capacity`).set(bearer(CREATOR)).send({ capacity: 5 });
+        assert.equal(capacity.status, 400);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestApp, bearer, seedUser } from "./helpers/testApp.js";
+
+describe('users', () => {
+    let t;
+    beforeEach(async () => {
+        t = await createTestApp();
+    });
+
+    it('registers a user once with server-side defaults', async () => {
+        const body = { name: 'Ana', email: 'ana@example.com', role: 'Admin', wins: 99 };
+        const res = await t.api().post('/users').send(body);
+        assert.equal(res.status, 201);
+
+        const [user] = t.db.users.all();
+        assert.equal(user.role, 'Normal User');
+        assert.equal(user.wins, 0);
+
+        const again = await t.api().post('/users').send(body);
+        assert.equal(again.body.message, 'User already exists');
+        assert.equal(t.db.users.all().length, 1);
+    });
+
+    it('validates new users', async () => {
+        const res = await t.api().post('/users').send({ name: 'Ana', email: 'not-an-email' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'email');
+    });
+
+    it('lists users as an array or as pages', async () => {
+        for (let i = 0; i < 3; i++) await seedUser(t.db);
+
+        const all = await t.api().get('/users');
+        assert.equal(all.body.length, 3);
+
+        const page = await t.api().get('/users?limit=2');
+        assert.equal(page.body.users.length, 2);
+        assert.equal(page.body.totalCount, 3);
+
+        const first = await t.api().get('/users?paging=cursor&limit=2');
+        assert.equal(first.body.users.length, 2);
+        const second = await t.api().get(`/users?cursor=${first.body.nextCursor}&limit=2`);
+        assert.equal(second.body.users.length, 1);
+        assert.equal(second.body.nextCursor, null);
+
+        assert.equal((await t.api().get('/users?cursor=garbage')).status, 400);
+    });
+
+    it('ranks the leaderboard by wins', async () => {
+        const row = (email, wins) => ({ window: 'all-time', period: 'all', type: 'All', email, contests: 3, wins, podiums: wins, prizeMoney: 0 });
+        await t.db.rankings.insertMany([row('one@example.com', 1), row('three@example.com', 3)]);
+
+        const res = await t.api().get('/users/leaderboard');
+        assert.deepEqual(res.body.map(u => u.email), ['three@example.com', 'one@example.com']);
+    });
+
+    it('reports only the caller\'s own role and profile', async () => {
+        await seedUser(t.db, { email: 'ana@example.com', role: 'Contest Creator' });
+        await seedUser(t.db, { email: 'bob@example.com' });
+
+        const role = await t.api().get('/users/role/ana@example.com').set(bearer('ana@example.com'));
+        assert.equal(role.body.role, 'Contest Creator');
+        assert.equal((await t.api().get('/users/role/ana@example.com').set(bearer('bob@example.com'))).status, 403);
+
+        const profile = await t.api().get('/users/ana@example.com').set(bearer('ana@example.com'));
+        assert.equal(profile.body.email, 'ana@example.com');
+        assert.equal((await t.api().get('/users/ana@example.com').set(bearer('bob@example.com'))).status, 403);
+    });
+
+    it('updates a profile without touching server-only fields', async () => {
+        await seedUser(t.db, { email: 'ana@example.com' });
+        const res = await t.api().put('/users/ana@example.com').set(bearer('ana@example.com'))
+            .send({ bio: 'Illustrator', role: 'Admin', email: 'other@example.com' });
+        assert.equal(res.status, 200);
+
+        const [user] = t.db.users.all();
+        assert.equal(user.bio, 'Illustrator');
+        assert.equal(user.role, 'Normal User');
+        assert.equal(user.email, 'ana@example.com');
+    });
+
+    it('lets admins change roles and logs the user out everywhere', async () => {
+        await seedUser(t.db, { email: 'admin@example.com', role: 'Admin' });
+        const user = await seedUser(t.db, { email: 'ana@example.com' });
+
+        const denied = await t.api().patch(`/users/role/${user._id}`).set(bearer('ana@example.com'))
+            .send({ role: 'Admin' });
+        assert.equal(denied.status, 403);
+
+        const invalid = await t.api().patch(`/users/role/${user._id}`).set(bearer('admin@example.com'))
+            .send({ role: 'Overlord' });
+        assert.equal(invalid.status, 400);
+
+        const res = await t.api().patch(`/users/role/${user._id}`).set(bearer('admin@example.com'))
+            .send({ role: 'Contest Creator' });
+        assert.equal(res.status, 200);
+
+        const updated = t.db.users.all().find(u => u.email === 'ana@example.com');
+        assert.equal(updated.role, 'Contest Creator');
+        assert.equal(updated.tokenVersion, 1);
+        // The old token no longer works
+        assert.equal((await t.api().get('/users/ana@example.com').set(bearer('ana@example.com'))).status, 401);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createTestApp,
+    bearer,
+    seedUser,
+    seedContest,
+    seedSubmission
+} from "./helpers/testApp.js";
+
+const CREATOR = 'creator@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('winners and ledger', () => {
+    let t;
+    let contest;
+    let entries;
+    beforeEach(async () => {
+        t = await createTestApp();
+        await seedUser(t.db, { email: CREATOR, role: 'Contest Creator' });
+        await seedUser(t.db, { email: ADMIN, role: 'Admin' });
+        for (const email of ['ana@example.com', 'bob@example.com', 'cy@example.com']) {
+            await seedUser(t.db, { email, participatedCount: 2 });
+        }
+        contest = await seedContest(t.db, { status: 'Judging', prizeMoney: 200, prizeSplits: [60, 40] });
+        entries = [];
+        for (const email of ['ana@example.com', 'bob@example.com', 'cy@example.com']) {
+            entries.push(await seedSubmission(t.db, contest, email));
+        }
+    });
+
+    const declare = (body, email = CREATOR) =>
+        t.api().put(`/contests/declare-winner/${contest._id}`).set(bearer(email)).send(body);
+
+    it('declares placements, updates stats and owes the prizes', async () => {
+        const res = await declare({
+            submissionIds: [entries[1]._id.toString(), entries[0]._id.toString()],
+            honourableMentions: [entries[2]._id.toString()]
+        });
+        assert.equal(res.status, 200);
+
+        const [stored] = t.db.contests.all();
+        assert.equal(stored.status, 'Closed');
+        assert.deepEqual(stored.placements.map(p => [p.label, p.email, p.prizeMoney]), [
+            ['1st', 'bob@example.com', 120],
+            ['2nd', 'ana@example.com', 80],
+            ['Honourable Mention', 'cy@example.com', 0]
+        ]);
+        assert.equal(stored.winner.email, 'bob@example.com');
+
+        const bob = t.db.users.all().find(u => u.email === 'bob@example.com');
+        assert.equal(bob.wins, 1);
+        assert.equal(bob.winPercentage, 50);
+        assert.equal(bob.podiums, 1);
+
+        const won = await t.api().get('/contests/winner/ana@example.com').set(bearer('ana@example.com'));
+        assert.equal(won.body[0].placement.label, '2nd');
+        assert.equal((await t.api().get('/contests/winner/ana@example.com').set(bearer(CREATOR))).status, 403);
+
+        // Once closed there is nothing left to declare
+        assert.equal((await declare({ submissionId: entries[0]._id.toString() })).status, 400);
+    });
+
+    it('rejects invalid placements', async () => {
+        const tooMany = await declare({ submissionIds: entries.map(e => e._id.toString()) });
+        assert.equal(tooMany.status, 400);
+        const twice = await declare({ submissionIds: [entries[0]._id.toString()], honourableMentions: [entries[0]._id.toString()] });
+        assert.equal(twice.status, 400);
+
+        await seedUser(t.db, { email: 'rival@example.com', role: 'Contest Creator' });
+        assert.equal((await declare({ submissionId: entries[0]._id.toString() }, 'rival@example.com')).status, 403);
+    });
+
+    it('places the top scored submissions automatically', async () => {
+        await t.db.contests.updateOne({ _id: contest._id }, { $set: { rubric: [{ name: 'Overall', weight: 1, maxPoints: 10 }] } });
+        const points = [4, 9, 7];
+        for (const [index, entry] of entries.entries()) {
+            await t.api().put(`/submissions/${entry._id}/scores`).set(bearer(CREATOR))
+                .send({ scores: [{ criterion: 'Overall', points: points[index] }] });
+        }
+
+        assert.equal((await declare({ autoSelect: true })).status, 200);
+        const [stored] = t.db.contests.all();
+        assert.deepEqual(stored.placements.map(p => p.email), ['bob@example.com', 'cy@example.com']);
+    });
+
+    it('tracks what winners are owed and records payouts', async () => {
+        await declare({ submissionIds: [entries[0]._id.toString(), entries[1]._id.toString()] });
+
+        const statement = await t.api().get('/ledger/winner/ana@example.com').set(bearer('ana@example.com'));
+        assert.equal(statement.body.balance, 120);
+        assert.equal((await t.api().get('/ledger/winner/ana@example.com').set(bearer('bob@example.com'))).status, 403);
+
+        const creator = await t.api().get(`/ledger/creator/${CREATOR}`).set(bearer(ADMIN));
+        assert.equal(creator.body.balance, -200);
+
+        const liabilities = await t.api().get('/ledger/liabilities').set(bearer(ADMIN));
+        assert.equal(liabilities.body.total, 200);
+        assert.deepEqual(liabilities.body.winners.map(w => w.email), ['ana@example.com', 'bob@example.com']);
+        assert.equal((await t.api().get('/ledger/liabilities').set(bearer(CREATOR))).status, 403);
+
+        const payout = { email: 'ana@example.com', kind: 'prize', amount: 120, reference: 'wire-1' };
+        const paid = await t.api().post('/ledger/payouts').set(bearer(ADMIN)).send(payout);
+        assert.equal(paid.status, 201);
+        assert.equal(paid.body.balance, 0);
+
+        assert.equal((await t.api().post('/ledger/payouts').set(bearer(ADMIN)).send({ ...payout, reference: 'wire-2' })).status, 400);
+        const bobPayout = { ...payout, email: 'bob@example.com', amount: 10, reference: 'wire-3' };
+        assert.equal((await t.api().post('/ledger/payouts').set(bearer(ADMIN)).send(bobPayout)).status, 201);
+        assert.equal((await t.api().post('/ledger/payouts').set(bearer(ADMIN)).send(bobPayout)).status, 409);
+    });
+});